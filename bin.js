@@ -4,6 +4,8 @@
 
 const {
 	getAST,
+	getAccountSnapshot,
+	getNetwork,
 	getSource,
 	getSuspensionReasons,
 	getSynths,
@@ -14,9 +16,56 @@ const {
 	toBytes32,
 } = require('./index');
 
+const { red } = require('chalk');
 const commander = require('commander');
 const program = new commander.Command();
 
+program
+	.command('account <address>')
+	.description(
+		'Get the collateral, debt, fees, escrow, liquidation status and synths of an account'
+	)
+	.option('-n, --network <value>', 'The network to run off.', x => x.toLowerCase(), 'bsc')
+	.option(
+		'-p, --provider-url <value>',
+		'The RPC to read from (default is the first RPC of the network)'
+	)
+	.option('-b, --block <value>', 'The block to read at (default is the latest)', 'latest')
+	.action(async (address, { network, providerUrl, block }) => {
+		try {
+			// the first RPC of the network with every ${VAR} in it set in the environment
+			providerUrl =
+				providerUrl ||
+				getNetwork({ network })
+					.rpcs.filter(url =>
+						(url.match(/\$\{\w+\}/g) || []).every(match => process.env[match.slice(2, -1)])
+					)
+					.map(url => url.replace(/\$\{(\w+)\}/g, (match, key) => process.env[key]))[0];
+			if (!providerUrl) {
+				throw Error(
+					`There is no RPC of ${network} to read from, please provide the --provider-url`
+				);
+			}
+			let Web3;
+			try {
+				// an optional peer dependency, only required for this command
+				Web3 = require('web3');
+			} catch (err) {
+				throw Error('Please install web3 alongside this package to read an account');
+			}
+			const snapshot = await getAccountSnapshot({
+				network,
+				provider: new Web3(new Web3.providers.HttpProvider(providerUrl)),
+				account: address,
+				blockTag: isNaN(block) ? block : Number(block),
+			});
+			console.log(JSON.stringify(snapshot, null, 2));
+		} catch (err) {
+			console.error(red(err));
+			process.exitCode = 1;
+		}
+	});
+
 program
 	.command('ast <source>')
 	.description('Get the AST for some source file')
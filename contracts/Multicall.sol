@@ -0,0 +1,33 @@
+pragma solidity ^0.5.16;
+pragma experimental ABIEncoderV2;
+
+
+// https://docs.oikos.cash/contracts/Multicall
+contract Multicall {
+    struct Call {
+        address target;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    /* ========== VIEWS ========== */
+
+    // Note: calls are made with staticcall, so none can change state
+    function aggregate(Call[] memory calls, bool requireSuccess)
+        public
+        view
+        returns (uint blockNumber, Result[] memory results)
+    {
+        blockNumber = block.number;
+        results = new Result[](calls.length);
+        for (uint i = 0; i < calls.length; i++) {
+            (bool success, bytes memory returnData) = calls[i].target.staticcall(calls[i].callData);
+            require(success || !requireSuccess, "Multicall call failed");
+            results[i] = Result(success, returnData);
+        }
+    }
+}
@@ -15,7 +15,9 @@ const constants = {
 	SYNTHS_FILENAME: 'synths.json',
 	OWNER_ACTIONS_FILENAME: 'owner-actions.json',
 	DEPLOYMENT_FILENAME: 'deployment.json',
+	NETWORKS_FILENAME: 'networks.json',
 	VERSIONS_FILENAME: 'versions.json',
+	PLAN_FILENAME: 'plan.json',
 
 	AST_FILENAME: 'asts.json',
 
@@ -24,6 +26,11 @@ const constants = {
 	inflationStartTimestampInSecs: 1551830400, // 2019-03-06T00:00:00Z
 };
 
+// the registry of the networks (see getNetwork)
+const networkRegistry = JSON.parse(
+	fs.readFileSync(path.join(__dirname, 'publish', constants.NETWORKS_FILENAME))
+);
+
 /**
  * Converts a string into a hex representation of bytes32, with right padding
  */
@@ -38,7 +45,7 @@ const loadDeploymentFile = ({ network }) => {
 };
 
 /**
- * Retrieve the list of targets for the network - returning the name, address, source file and link to etherscan
+ * Retrieve the list of targets for the network - returning the name, address, source file, link to the explorer and chain ID
  */
 const getTarget = ({ network = 'bsc', contract } = {}) => {
 	const deployment = loadDeploymentFile({ network });
@@ -55,6 +62,262 @@ const getSource = ({ network = 'bsc', contract } = {}) => {
 	else return deployment.sources;
 };
 
+/**
+ * Retrieve the name of the contract a proxy or token state is for, by the naming of the deployment
+ * (e.g. ProxyFeePool is for FeePool, ProxyoUSD, ProxyERC20oUSD and TokenStateoUSD for SynthoUSD,
+ * and ProxyERC20 for Oikos)
+ */
+const getUnderlying = ({ network = 'bsc', contract, targets = getTarget({ network }) } = {}) => {
+	const match = contract.match(/^(?:ReadProxy|ProxyERC20|Proxy|TokenState)(.*)$/);
+	if (!match) {
+		return;
+	}
+	const [, rest] = match;
+	const candidates = rest ? [`Synth${rest}`, rest] : ['Oikos'];
+	return candidates.find(candidate => candidate in targets);
+};
+
+// a function creating contract instances with either web3 or ethers (see getContracts)
+const getContractCreator = ({ provider, signer }) => {
+	if (provider && provider.eth) {
+		return ({ abi, address }) =>
+			new provider.eth.Contract(abi, address, signer ? { from: signer } : {});
+	} else if (provider || signer) {
+		// an optional peer dependency, only required when used with ethers
+		const { Contract } = require('ethers');
+		const signerOrProvider =
+			signer && provider && !signer.provider ? signer.connect(provider) : signer || provider;
+		return ({ abi, address }) => new Contract(address, abi, signerOrProvider);
+	}
+	throw Error('Please provide either a web3 instance, or an ethers provider or signer');
+};
+
+/**
+ * Retrieve a contract instance for every target of the network, keyed by its name, where each proxy
+ * has the ABI of the contract it is for (e.g. ProxyERC20 has the ABI of Oikos).
+ *
+ * The provider is either a web3 instance, whose contracts send from the signer address if given,
+ * or an ethers provider, whose contracts are connected to the signer (an ethers Signer) if given.
+ */
+const getContracts = ({ network = 'bsc', provider, signer } = {}) => {
+	const targets = getTarget({ network });
+	const sources = getSource({ network });
+	const create = getContractCreator({ provider, signer });
+
+	return Object.entries(targets).reduce((memo, [name, { address, source }]) => {
+		const implementation = ['Proxy', 'ProxyERC20', 'ReadProxy'].includes(source)
+			? getUnderlying({ contract: name, targets })
+			: undefined;
+		const { abi } = sources[implementation ? targets[implementation].source : source] || {};
+		if (abi) {
+			memo[name] = create({ abi, address });
+		}
+		return memo;
+	}, {});
+};
+
+// the ABI of Multicall.aggregate, for networks where Multicall isn't in the deployment
+const multicallABI = [
+	{
+		constant: true,
+		inputs: [
+			{
+				components: [
+					{ name: 'target', type: 'address' },
+					{ name: 'callData', type: 'bytes' },
+				],
+				name: 'calls',
+				type: 'tuple[]',
+			},
+			{ name: 'requireSuccess', type: 'bool' },
+		],
+		name: 'aggregate',
+		outputs: [
+			{ name: 'blockNumber', type: 'uint256' },
+			{
+				components: [
+					{ name: 'success', type: 'bool' },
+					{ name: 'returnData', type: 'bytes' },
+				],
+				name: 'results',
+				type: 'tuple[]',
+			},
+		],
+		payable: false,
+		stateMutability: 'view',
+		type: 'function',
+	},
+];
+
+// encode, decode and make a read-only call on a web3 or ethers contract instance
+const readOnlyCall = ({ provider, contract, method, args = [], blockTag }) => {
+	if (contract.methods) {
+		const { outputs } = contract.options.jsonInterface.find(
+			({ name, inputs }) => name === method && inputs.length === args.length
+		);
+		return {
+			address: contract.options.address,
+			callData: contract.methods[method](...args).encodeABI(),
+			// as web3 decodes the result of a call
+			decode: data => {
+				const result = provider.eth.abi.decodeParameters(outputs, data);
+				if (result.__length__ === 1) {
+					return result[0];
+				}
+				delete result.__length__;
+				return result;
+			},
+			call: () => contract.methods[method](...args).call({}, blockTag),
+		};
+	}
+	return {
+		address: contract.address,
+		callData: contract.interface.encodeFunctionData(method, args),
+		// as ethers decodes the result of a call
+		decode: data => {
+			const result = contract.interface.decodeFunctionResult(method, data);
+			return result.length === 1 ? result[0] : result;
+		},
+		call: () => contract[method](...args, { blockTag }),
+	};
+};
+
+/**
+ * Retrieve a function making many read-only calls at once, each as { contract, method, args } with
+ * the contract a web3 or ethers instance (see getContracts), which resolves to what each call
+ * returns (or rejects with the first error). The calls are aggregated through the Multicall
+ * contract in chunks of the given size, at the address given, in MULTICALL_ADDRESS in the
+ * environment or in the deployment. Without one, or when a chunk cannot be aggregated, each of
+ * its calls is made on its own.
+ */
+const getMulticall = ({
+	network = 'bsc',
+	provider,
+	address = process.env.MULTICALL_ADDRESS,
+	chunkSize = 100,
+	blockTag = 'latest',
+} = {}) => {
+	if (!address) {
+		({ address } = getTarget({ network, contract: 'Multicall' }) || {});
+	}
+	const multicall = address && getContractCreator({ provider })({ abi: multicallABI, address });
+
+	const aggregate = async calls => {
+		const requests = calls.map(entry => readOnlyCall(Object.assign({ provider, blockTag }, entry)));
+		let results;
+		if (multicall) {
+			const args = [requests.map(({ address, callData }) => [address, callData]), false];
+			try {
+				({ results } = multicall.methods
+					? await multicall.methods.aggregate(...args).call({}, blockTag)
+					: await multicall.aggregate(...args, { blockTag }));
+			} catch (err) {
+				// e.g. too many calls for the gas limit of a call, or no Multicall at the address
+			}
+		}
+		// any call that failed is made on its own, to have its error
+		return Promise.all(
+			requests.map(({ decode, call }, i) =>
+				results && results[i].success ? decode(results[i].returnData) : call()
+			)
+		);
+	};
+
+	return async calls => {
+		const results = [];
+		for (let i = 0; i < calls.length; i += chunkSize) {
+			results.push(...(await aggregate(calls.slice(i, i + chunkSize))));
+		}
+		return results;
+	};
+};
+
+/**
+ * Retrieve the state of an account in the system at the given block: its collateral, debt and how
+ * much more it can issue, the fees and rewards it can claim, its escrowed rewards, whether it is
+ * open for liquidation and its balance of each synth.
+ *
+ * Amounts are in units rather than wei (as strings, to keep their precision), times are in
+ * seconds (0 when not set) and currency keys are strings. The provider is either a web3 instance
+ * or an ethers provider (see getContracts), and the reads are batched (see getMulticall).
+ */
+const getAccountSnapshot = async ({ network = 'bsc', provider, account, blockTag = 'latest' }) => {
+	if (!w3utils.isAddress(account)) {
+		throw Error(`Invalid account address: ${account}`);
+	}
+	const contracts = getContracts({ network, provider });
+	const multicall = getMulticall({ network, provider, blockTag });
+	const call = (contract, method, ...args) => ({ contract: contracts[contract], method, args });
+	const fromWei = value => w3utils.fromWei(String(value));
+
+	const [
+		collateral,
+		collateralisationRatio,
+		debtBalance,
+		maxIssuableSynths,
+		feesAvailable,
+		isFeesClaimable,
+		escrowed,
+		vestingEntries,
+		isOpenForLiquidation,
+		liquidationDeadline,
+		currencyKeys,
+	] = await multicall([
+		call('Issuer', 'collateral', account),
+		call('Issuer', 'collateralisationRatio', account),
+		call('Issuer', 'debtBalanceOf', account, toBytes32('oUSD')),
+		call('Issuer', 'maxIssuableSynths', account),
+		call('FeePool', 'feesAvailable', account),
+		call('FeePool', 'isFeesClaimable', account),
+		call('RewardEscrow', 'balanceOf', account),
+		call('RewardEscrow', 'numVestingEntries', account),
+		call('Liquidations', 'isOpenForLiquidation', account),
+		call('Liquidations', 'getLiquidationDeadlineForAccount', account),
+		call('Issuer', 'availableCurrencyKeys'),
+	]);
+
+	const synths = currencyKeys
+		.map(key => w3utils.hexToUtf8(key))
+		.filter(currencyKey => contracts[`Synth${currencyKey}`]);
+
+	const vesting = Array.from(Array(Number(vestingEntries)), (_, i) =>
+		call('RewardEscrow', 'getVestingScheduleEntry', account, i)
+	);
+	const results = await multicall(
+		vesting.concat(synths.map(currencyKey => call(`Synth${currencyKey}`, 'balanceOf', account)))
+	);
+	const entries = results.slice(0, vesting.length);
+	const balances = results.slice(vesting.length);
+
+	return {
+		network,
+		account,
+		blockTag,
+		collateral: fromWei(collateral),
+		collateralisationRatio: fromWei(collateralisationRatio),
+		debtBalance: fromWei(debtBalance),
+		maxIssuableSynths: fromWei(maxIssuableSynths),
+		feesAvailable: fromWei(feesAvailable[0]),
+		rewardsAvailable: fromWei(feesAvailable[1]),
+		isFeesClaimable,
+		escrow: {
+			balance: fromWei(escrowed),
+			entries: entries.map(([time, quantity]) => ({
+				time: Number(time),
+				quantity: fromWei(quantity),
+			})),
+		},
+		liquidation: {
+			isOpen: isOpenForLiquidation,
+			deadline: Number(liquidationDeadline),
+		},
+		synthBalances: synths.reduce((memo, currencyKey, i) => {
+			memo[currencyKey] = fromWei(balances[i]);
+			return memo;
+		}, {}),
+	};
+};
+
 /**
  * Retrieve the ASTs for the source contracts
  */
@@ -95,7 +358,6 @@ const getAST = ({ source, match = /^contracts\// } = {}) => {
  */
 const getSynths = ({ network = 'bsc' } = {}) => {
 	const pathToSynthList = getPathToNetwork({ network, file: constants.SYNTHS_FILENAME });
-	console.log({pathToSynthList});
 
 	if (!fs.existsSync(pathToSynthList)) {
 		throw Error(`Cannot find synth list.`);
@@ -121,33 +383,27 @@ const getSynths = ({ network = 'bsc' } = {}) => {
 const getPathToNetwork = ({ network = 'bsc', file = '' } = {}) =>
 	path.join(__dirname, 'publish', 'deployed', network, file);
 
+/**
+ * Retrieve a network from the registry in publish/networks.json: its chain id, RPCs (in the order
+ * to try them, where ${VAR} is read from the environment), explorer, confirmations and users
+ */
+const getNetwork = ({ network = 'bsc' } = {}) => {
+	if (!networkRegistry[network]) {
+		throw Error(
+			`Cannot find network: ${network}. Must be one of ${Object.keys(networkRegistry).join(', ')}.`
+		);
+	}
+	return Object.assign({ name: network }, networkRegistry[network]);
+};
+
 /**
  * Retrieve the list of system user addresses
  */
 const getUsers = ({ network = 'bsc', user } = {}) => {
-	const testnetOwner = '0xB64fF7a4a33Acdf48d97dab0D764afD0F6176882';
-	const base = {
-		owner: testnetOwner,
-		deployer: testnetOwner,
-		marketClosure: testnetOwner,
-		oracle: '0xac1e8B385230970319906C03A1d8567e3996d1d5',
-		fee: '0xfeEFEEfeefEeFeefEEFEEfEeFeefEEFeeFEEFEeF',
-		zero: '0x' + '0'.repeat(40),
-	};
-
-	const map = {
-		bsc: Object.assign({}, base, {
-			owner: '0xEb3107117FEAd7de89Cd14D463D340A2E6917769',
-			deployer: '0xDe910777C787903F78C89e7a0bf7F4C435cBB1Fe',
-			marketClosure: '0xC105Ea57Eb434Fbe44690d7Dec2702e4a2FBFCf7',
-			oracle: '0xaC1ED4Fabbd5204E02950D68b6FC8c446AC95362',
-		}),
-		testnet: Object.assign({}, base),
-		rinkeby: Object.assign({}, base),
-		ropsten: Object.assign({}, base),
-	};
-
-	const users = Object.entries(map[network]).map(([key, value]) => ({ name: key, address: value }));
+	const users = Object.entries(getNetwork({ network }).users).map(([key, value]) => ({
+		name: key,
+		address: value,
+	}));
 
 	return user ? users.find(({ name }) => name === user) : users;
 };
@@ -222,15 +478,20 @@ const getSuspensionReasons = ({ code = undefined } = {}) => {
 
 module.exports = {
 	getAST,
+	getAccountSnapshot,
+	getContracts,
+	getMulticall,
+	getNetwork,
 	getPathToNetwork,
 	getSource,
 	getSuspensionReasons,
 	getSynths,
 	getTarget,
 	getTokens,
+	getUnderlying,
 	getUsers,
 	getVersions,
-	networks: ['testnet', 'bsc', 'local'],
+	networks: Object.keys(networkRegistry),
 	toBytes32,
 	constants,
 };
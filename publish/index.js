@@ -5,12 +5,33 @@ const program = require('commander');
 require('pretty-error').start();
 require('dotenv').config();
 
+const { red } = require('chalk');
+const { configureLogger, description: logFormatDescription, DEFAULTS } = require('./src/logger');
+
+program
+	.option('--log-format <value>', logFormatDescription, DEFAULTS.logFormat)
+	.option(
+		'--log-file <value>',
+		'Append the structured events of the run to this file, as JSON lines'
+	);
+
 require('./src/commands/build').cmd(program);
+require('./src/commands/check').cmd(program);
+require('./src/commands/debt-cache').cmd(program);
 require('./src/commands/deploy').cmd(program);
+require('./src/commands/drift').cmd(program);
+require('./src/commands/epoch').cmd(program);
 require('./src/commands/generate-token-list').cmd(program);
 require('./src/commands/import-fee-periods').cmd(program);
+require('./src/commands/index-events').cmd(program);
+require('./src/commands/liquidations').cmd(program);
+require('./src/commands/migrate-deployments').cmd(program);
+require('./src/commands/monitor').cmd(program);
 require('./src/commands/nominate').cmd(program);
+require('./src/commands/oracle').cmd(program);
 require('./src/commands/owner').cmd(program);
+require('./src/commands/owner-bundle').cmd(program);
+require('./src/commands/plan').cmd(program);
 require('./src/commands/purge-synths').cmd(program);
 require('./src/commands/release').cmd(program);
 require('./src/commands/remove-synths').cmd(program);
@@ -20,4 +41,13 @@ require('./src/commands/verify').cmd(program);
 require('./src/commands/versions-history').cmd(program);
 require('./src/commands/versions-update').cmd(program);
 
+// log as asked before any command runs, tagging the events with the command
+const { operands } = program.parseOptions(process.argv.slice(2));
+try {
+	configureLogger(Object.assign({ command: operands[0] }, program.opts()));
+} catch (err) {
+	console.error(red(err));
+	process.exit(1);
+}
+
 program.parse(process.argv);
@@ -1,9 +1,11 @@
 'use strict';
 
 const linker = require('solc/linker');
-const Web3 = require('web3');
 const { gray, green, yellow } = require('chalk');
 
+const { getWeb3 } = require('./util');
+const { logEvent } = require('./logger');
+
 /**
  *
  */
@@ -13,40 +15,61 @@ class Deployer {
 	 * @param {object} compiled An object with full combined contract name keys mapping to ABIs and bytecode
 	 * @param {object} config An object with full combined contract name keys mapping to a deploy flag and the contract source file name
 	 * @param {object} deployment An object with full combined contract name keys mapping to existing deployment addresses (if any)
+	 * @param {array} providerUrls The RPCs to connect to, failing over from the first to the rest (see FailoverProvider)
+	 * @param {number} requestsPerSecond The most requests to send the RPCs a second
+	 * @param {string} account The account to use when there is no private key (e.g. to simulate, or to rehearse on a fork)
+	 * @param {string} unsignedFile The file to write the transactions of the account to unsigned, rather than send them (see loadSigner)
+	 * @param {Fees} fees How to price transactions, and the tally of the gas they use
+	 * @param {string} stuck What to do with a transaction not mined in time (see NonceManager)
+	 * @param {boolean} yes Whether the run was told not to prompt, so stuck transactions aren't either
+	 * @param {number} methodCallGasLimit The gas limit of method calls, otherwise it is estimated
+	 * @param {number} contractDeploymentGasLimit The gas limit of deployments, otherwise it is estimated
 	 */
 	constructor({
 		compiled,
 		config,
 		deployment,
-		gasPrice,
+		fees,
+		stuck,
+		yes,
 		methodCallGasLimit,
 		contractDeploymentGasLimit,
 		providerUrl,
+		providerUrls,
+		requestsPerSecond,
 		privateKey,
+		account,
+		unsignedFile,
 	}) {
 		this.compiled = compiled;
 		this.config = config;
 		this.deployment = deployment;
-		this.gasPrice = gasPrice;
+		this.fees = fees;
 		this.methodCallGasLimit = methodCallGasLimit;
 		this.contractDeploymentGasLimit = contractDeploymentGasLimit;
 
 		// Configure Web3 so we can sign transactions and connect to the network.
-		this.web3 = new Web3(new Web3.providers.HttpProvider(providerUrl));
-
-		this.web3.eth.accounts.wallet.add(privateKey);
-		this.web3.eth.defaultAccount = this.web3.eth.accounts.wallet[0].address;
-		this.account = this.web3.eth.defaultAccount;
+		({ web3: this.web3, account: this.account, rpc: this.rpc } = getWeb3({
+			providerUrl,
+			providerUrls,
+			requestsPerSecond,
+			privateKey,
+			account,
+			unsignedFile,
+			fees,
+			stuck,
+			yes,
+		}));
 		this.deployedContracts = {};
 		this._dryRunCounter = 0;
+		// an optional Journal to record deployments in (and resume them from)
+		this.journal = undefined;
 	}
 
+	// the fees are added by the web3 provider, as is the gas when there is no limit (see Fees)
 	sendParameters(type = 'method-call') {
-		return {
-			from: this.account,
-			gas: type === 'method-call' ? this.methodCallGasLimit : this.contractDeploymentGasLimit,
-			gasPrice: this.web3.utils.toWei(this.gasPrice, 'gwei'),
-		};
+		const gas = type === 'method-call' ? this.methodCallGasLimit : this.contractDeploymentGasLimit;
+		return Object.assign({ from: this.account }, gas ? { gas: Number(gas) } : {});
 	}
 
 	async deploy({ name, source, args = [], deps = [], force = false, dryRun = false }) {
@@ -96,7 +119,9 @@ class Deployer {
 
 		if (deploy) {
 			console.log(gray(` - Attempting to deploy ${name}`));
+			logEvent('step.started', { step: `deploy:${name}`, dryRun: !!dryRun });
 			let gasUsed;
+			let hash;
 			if (dryRun) {
 				this._dryRunCounter++;
 				// use the existing version of a contract in a dry run
@@ -111,16 +136,48 @@ class Deployer {
 				});
 				deployedContract.options.address = '0x' + this._dryRunCounter.toString().padStart(40, '0');
 			} else {
-				const newContract = new this.web3.eth.Contract(compiled.abi);
-				deployedContract = await newContract
-					.deploy({
-						data: '0x' + bytecode,
-						arguments: args,
-					})
-					.send(this.sendParameters('contract-deployment'))
-					.on('receipt', receipt => (gasUsed = receipt.gasUsed));
+				deployedContract = await this.deployFromJournal({ name, source, abi: compiled.abi });
+				if (deployedContract) {
+					({ hash } = this.journal.get(`deploy:${name}`));
+				} else {
+					const { journal } = this;
+					const journalKey = `deploy:${name}`;
+					const newContract = new this.web3.eth.Contract(compiled.abi);
+					try {
+						deployedContract = await newContract
+							.deploy({
+								data: '0x' + bytecode,
+								arguments: args,
+							})
+							.send(this.sendParameters('contract-deployment'))
+							.on('transactionHash', transactionHash => {
+								hash = transactionHash;
+								if (journal) {
+									journal.record(journalKey, { type: 'deploy', status: 'sent', source, hash });
+								}
+							})
+							.on('receipt', receipt => {
+								gasUsed = receipt.gasUsed;
+								if (journal) {
+									journal.record(journalKey, {
+										status: 'confirmed',
+										address: receipt.contractAddress,
+										blockNumber: receipt.blockNumber,
+										gasUsed,
+									});
+								}
+							});
+					} catch (err) {
+						if (journal) {
+							journal.record(journalKey, { type: 'deploy', status: 'failed', error: err.message });
+						}
+						logEvent('step.failed', { step: journalKey, error: err.message });
+						throw err;
+					}
+				}
 			}
 			deployedContract.options.deployed = true; // indicate a fresh deployment occurred
+			deployedContract.options.transactionHash = hash;
 			console.log(
 				green(
 					`${dryRun ? '[DRY RUN] - Simulated deployment of' : '- Deployed'} ${name} to ${
@@ -128,10 +185,24 @@ class Deployer {
 					} ${gasUsed ? `used ${(gasUsed / 1e6).toFixed(1)}m in gas` : ''}`
 				)
 			);
+			logEvent('step.completed', {
+				step: `deploy:${name}`,
+				contract: name,
+				address: deployedContract.options.address,
+				hash,
+				gasUsed,
+				dryRun: !!dryRun,
+			});
 		} else if (existingAddress && existingABI) {
 			// get ABI from the deployment (not the compiled ABI which may be newer)
 			deployedContract = this.getContract({ abi: existingABI, address: existingAddress });
 			console.log(gray(` - Reusing instance of ${name} at ${existingAddress}`));
+			logEvent('step.skipped', {
+				step: `deploy:${name}`,
+				reason: 'reused',
+				contract: name,
+				address: existingAddress,
+			});
 		} else {
 			throw new Error(
 				`Settings for contract: ${name} specify an existing contract, but cannot find address or ABI.`
@@ -144,6 +215,20 @@ class Deployer {
 		return deployedContract;
 	}
 
+	// when resuming a run, reuse any contract that run already deployed
+	async deployFromJournal({ name, source, abi }) {
+		if (!this.journal) {
+			return;
+		}
+		const journalKey = `deploy:${name}`;
+		const entry = this.journal.get(journalKey);
+		if (!entry || entry.source !== source || !(await this.journal.confirmedReceipt(journalKey))) {
+			return;
+		}
+		const { address } = this.journal.get(journalKey);
+		return this.getContract({ abi, address });
+	}
+
 	getContract({ abi, address }) {
 		return new this.web3.eth.Contract(abi, address);
 	}
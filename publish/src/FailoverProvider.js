@@ -0,0 +1,190 @@
+'use strict';
+
+const Web3 = require('web3');
+const { gray, yellow } = require('chalk');
+const { table } = require('table');
+
+const DEFAULTS = {
+	// how many times a call is retried (across the RPCs) before it fails
+	retries: 4,
+	// in ms, before the first retry, doubling with each after
+	backoff: 500,
+	// in ms, after which a request to an RPC has failed
+	timeout: 30000,
+};
+
+// the methods that send or change something, which aren't sent again in case the first got through
+const SIDE_EFFECTS = /^(eth_sendTransaction|eth_sendRawTransaction|personal_|evm_|miner_)/;
+
+// the errors of RPCs that are busy or behind, rather than of the call itself (e.g. a revert)
+const TRANSIENT = /rate limit|limit exceeded|too many requests|header not found|timeout|timed out|temporarily unavailable|busy/i;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// the host of an RPC, as the rest of its URL may have an API key in it
+const describe = url => (url.match(/^\w+:\/\/(?:[^@/]*@)?([^/?#]+)/) || [url, url])[1];
+
+/**
+ * Call attempt() until it succeeds, waiting a backoff that doubles after each failure.
+ *
+ * @param {function} attempt Returns a promise of the result, given the number of the attempt
+ * @param {number} retries How many times it is retried before the last error is thrown
+ * @param {number} backoff In ms, before the first retry
+ * @param {function} onError Called with each error and the number of its attempt, e.g. to log it
+ */
+const retry = async (
+	attempt,
+	{ retries = DEFAULTS.retries, backoff = DEFAULTS.backoff, onError = () => {} } = {}
+) => {
+	for (let i = 0; ; i++) {
+		try {
+			return await attempt(i);
+		} catch (err) {
+			onError(err, i);
+			if (i >= retries) {
+				throw err;
+			}
+			await sleep(backoff * 2 ** i);
+		}
+	}
+};
+
+/**
+ * A web3 provider sending to the first of a list of RPCs, failing over to the next when one errors
+ * (after which it carries on with that one). Calls that only read are retried with a backoff,
+ * while those that send (e.g. eth_sendRawTransaction) are sent once, as the first may have got
+ * through (NonceManager resends any the node dropped). Requests are throttled to at most
+ * requestsPerSecond across the RPCs, and the requests and errors of each RPC are kept to show.
+ */
+class FailoverProvider {
+	/**
+	 *
+	 * @param {array} providerUrls The RPCs in the order to try them
+	 * @param {number} requestsPerSecond The most requests to send a second (default is no limit)
+	 * @param {number} retries How many times a call that only reads is retried before it fails
+	 * @param {number} backoff In ms, before the first retry, doubling with each after
+	 * @param {number} timeout In ms, after which a request to an RPC has failed
+	 */
+	constructor({
+		providerUrls,
+		requestsPerSecond,
+		retries = DEFAULTS.retries,
+		backoff = DEFAULTS.backoff,
+		timeout = DEFAULTS.timeout,
+	}) {
+		if (!providerUrls || !providerUrls.length) {
+			throw Error('Please provide at least one RPC to connect to');
+		}
+		this.endpoints = providerUrls.map(url => ({
+			url,
+			provider: new Web3.providers.HttpProvider(url, { timeout }),
+			requests: 0,
+			errors: 0,
+			lastError: undefined,
+		}));
+		this.current = 0;
+		this.interval = requestsPerSecond ? 1000 / requestsPerSecond : 0;
+		this.nextRequestAt = 0;
+		this.retries = retries;
+		this.backoff = backoff;
+	}
+
+	// wait for the turn of the next request, so they are spaced by the interval
+	async throttle() {
+		const now = Date.now();
+		const at = Math.max(now, this.nextRequestAt);
+		this.nextRequestAt = at + this.interval;
+		if (at > now) {
+			await sleep(at - now);
+		}
+	}
+
+	// send the payload (a request or a batch of them) to the endpoint, failing on a transient error
+	async sendTo(endpoint, payload) {
+		await this.throttle();
+		endpoint.requests++;
+		const response = await new Promise((resolve, reject) =>
+			endpoint.provider.send(payload, (err, result) =>
+				// without the URL of the RPC in the error, as it may have an API key in it
+				err
+					? reject(Error(err.message.split(endpoint.url).join(describe(endpoint.url))))
+					: resolve(result)
+			)
+		);
+		const transient = []
+			.concat(response)
+			.find(({ error } = {}) => error && (error.code === -32005 || TRANSIENT.test(error.message)));
+		if (transient) {
+			throw Error(transient.error.message);
+		}
+		return response;
+	}
+
+	// send the payload, retrying it on the next RPC if it only reads
+	request(payload) {
+		const reads = [].concat(payload).every(({ method }) => !SIDE_EFFECTS.test(method));
+		let endpoint;
+		return retry(
+			() => {
+				endpoint = this.endpoints[this.current];
+				return this.sendTo(endpoint, payload);
+			},
+			{
+				retries: reads ? this.retries : 0,
+				backoff: this.backoff,
+				onError: err => this.failed(endpoint, err),
+			}
+		);
+	}
+
+	// count the error against the endpoint, and fail over to the next one
+	failed(endpoint, err) {
+		endpoint.errors++;
+		endpoint.lastError = err.message;
+		// unless another request failed over from it already
+		if (this.endpoints[this.current] === endpoint) {
+			this.current = (this.current + 1) % this.endpoints.length;
+		}
+		const next = this.endpoints[this.current];
+		console.log(
+			yellow(
+				`RPC ${describe(endpoint.url)} failed (${err.message}), ${
+					next === endpoint ? 'retrying it' : `failing over to ${describe(next.url)}`
+				}`
+			)
+		);
+	}
+
+	send(payload, callback) {
+		// answer outside of the promise chain, as web3 expects of a provider
+		this.request(payload).then(
+			response => setImmediate(() => callback(null, response)),
+			err => setImmediate(() => callback(err))
+		);
+	}
+
+	// log the requests and errors of each RPC, if any failed
+	summary() {
+		if (!this.endpoints.some(({ errors }) => errors)) {
+			return;
+		}
+		console.log(gray('Requests to each RPC:'));
+		console.log(
+			table(
+				[['RPC', 'Requests', 'Errors', 'Last error']].concat(
+					this.endpoints.map(({ url, requests, errors, lastError }) => [
+						describe(url),
+						requests,
+						errors,
+						lastError || '-',
+					])
+				)
+			)
+		);
+	}
+}
+
+FailoverProvider.DEFAULTS = DEFAULTS;
+FailoverProvider.retry = retry;
+
+module.exports = FailoverProvider;
@@ -0,0 +1,236 @@
+'use strict';
+
+const w3utils = require('web3-utils');
+const { gray, yellow } = require('chalk');
+
+const { logEvent } = require('./logger');
+
+const DEFAULTS = {
+	feeStrategy: 'fixed',
+	// the multiple of the estimated gas to send transactions with
+	gasMargin: 1.2,
+	// in GWEI, when the node cannot suggest a priority fee
+	priorityFee: '1',
+};
+
+const description =
+	'How to price transactions: fixed (the --gas-price, default), node[:<multiplier>] (the gas price suggested by the node), capped:<max GWEI>[:<multiplier>] (as node, but no more than the max) or eip1559[:<max fee GWEI>[:<priority fee GWEI>]]';
+
+const toWei = gwei => w3utils.toBN(w3utils.toWei(gwei.toString(), 'gwei'));
+
+// multiply a BN by a (possibly fractional) number, to the nearest wei
+const multiply = (value, multiplier) =>
+	value.mul(w3utils.toBN(Math.round(Number(multiplier) * 1e6))).div(w3utils.toBN(1e6));
+
+const BN_MIN = (a, b) => (a.lt(b) ? a : b);
+
+// the quantities of a transaction or receipt (hex on the wire) as numbers, or as decimal strings
+// for those in wei, to log
+const toNumber = value => (value === undefined ? undefined : w3utils.hexToNumber(value));
+const toDecimal = value => (value === undefined ? undefined : w3utils.toBN(value).toString());
+
+/**
+ * How the transactions of a run are priced and how much gas they are sent with, along with a
+ * tally of the gas they used.
+ */
+class Fees {
+	/**
+	 *
+	 * @param {string} feeStrategy fixed, node[:<multiplier>], capped:<max GWEI>[:<multiplier>] or eip1559[:<max fee GWEI>[:<priority fee GWEI>]]
+	 * @param {string} gasPrice The gas price in GWEI for the fixed strategy
+	 * @param {number} gasMargin The multiple of the estimated gas to send transactions with
+	 */
+	constructor({ feeStrategy = DEFAULTS.feeStrategy, gasPrice, gasMargin = DEFAULTS.gasMargin }) {
+		const [type, ...args] = feeStrategy.split(':');
+		this.type = type;
+		this.gasMargin = gasMargin;
+		this.transactions = {};
+
+		if (type === 'fixed') {
+			if (!gasPrice || isNaN(gasPrice)) {
+				throw Error('Please provide the --gas-price for the fixed fee strategy');
+			}
+			this.gasPrice = toWei(gasPrice);
+		} else if (type === 'node') {
+			[this.multiplier = 1] = args;
+		} else if (type === 'capped') {
+			[this.maxGasPrice, this.multiplier = 1] = args;
+			if (!this.maxGasPrice || isNaN(this.maxGasPrice)) {
+				throw Error('Please provide the max gas price in GWEI, as in capped:<max GWEI>');
+			}
+			this.maxGasPrice = toWei(this.maxGasPrice);
+		} else if (type === 'eip1559') {
+			const [maxFee, priorityFee] = args;
+			this.maxFee = maxFee ? toWei(maxFee) : undefined;
+			this.priorityFee = priorityFee ? toWei(priorityFee) : undefined;
+		} else {
+			throw Error(
+				`Unknown fee strategy ${feeStrategy}. Please use one of fixed, node[:<multiplier>], capped:<max GWEI>[:<multiplier>] or eip1559[:<max fee GWEI>[:<priority fee GWEI>]]`
+			);
+		}
+		if ([this.multiplier, this.gasMargin].some(value => value !== undefined && isNaN(value))) {
+			throw Error(`Invalid multiplier in the fee strategy ${feeStrategy}`);
+		}
+	}
+
+	describe() {
+		if (this.type === 'fixed') {
+			return `${w3utils.fromWei(this.gasPrice, 'gwei')} GWEI`;
+		} else if (this.type === 'node') {
+			return `suggested by the node x ${this.multiplier}`;
+		} else if (this.type === 'capped') {
+			return `suggested by the node x ${this.multiplier}, up to ${w3utils.fromWei(
+				this.maxGasPrice,
+				'gwei'
+			)} GWEI`;
+		}
+		return `EIP-1559${this.maxFee ? `, up to ${w3utils.fromWei(this.maxFee, 'gwei')} GWEI` : ''}`;
+	}
+
+	/**
+	 * The fee fields for a transaction: either its gasPrice, or its maxFeePerGas and
+	 * maxPriorityFeePerGas under EIP-1559.
+	 *
+	 * @param {function} send Sends a JSON-RPC request to the node, as send(method, params)
+	 */
+	async getFeeFields(send) {
+		if (this.type === 'fixed') {
+			return { gasPrice: w3utils.toHex(this.gasPrice) };
+		}
+
+		const suggestedGasPrice = async () =>
+			multiply(w3utils.toBN(await send('eth_gasPrice', [])), this.multiplier || 1);
+
+		if (this.type === 'node') {
+			return { gasPrice: w3utils.toHex(await suggestedGasPrice()) };
+		} else if (this.type === 'capped') {
+			return { gasPrice: w3utils.toHex(BN_MIN(await suggestedGasPrice(), this.maxGasPrice)) };
+		}
+
+		const { baseFeePerGas } = await send('eth_getBlockByNumber', ['latest', false]);
+		if (!baseFeePerGas) {
+			if (!this.warnedNoBaseFee) {
+				console.log(yellow('The network has no base fee, so the node suggested gas price is used'));
+				this.warnedNoBaseFee = true;
+			}
+			const gasPrice = await suggestedGasPrice();
+			return { gasPrice: w3utils.toHex(this.maxFee ? BN_MIN(gasPrice, this.maxFee) : gasPrice) };
+		}
+
+		let priorityFee = this.priorityFee;
+		if (!priorityFee) {
+			try {
+				priorityFee = w3utils.toBN(await send('eth_maxPriorityFeePerGas', []));
+			} catch (err) {
+				priorityFee = toWei(DEFAULTS.priorityFee);
+			}
+		}
+		// allow for the base fee doubling before the transaction is mined
+		let maxFee = w3utils
+			.toBN(baseFeePerGas)
+			.muln(2)
+			.add(priorityFee);
+		if (this.maxFee) {
+			maxFee = BN_MIN(maxFee, this.maxFee);
+		}
+		return {
+			maxFeePerGas: w3utils.toHex(maxFee),
+			maxPriorityFeePerGas: w3utils.toHex(BN_MIN(priorityFee, maxFee)),
+		};
+	}
+
+	/**
+	 * The gas to send a transaction with: the estimate of the node plus the margin.
+	 */
+	async estimateGas(send, { from, to, data, value }) {
+		let estimate;
+		try {
+			estimate = await send('eth_estimateGas', [{ from, to, data, value }]);
+		} catch (err) {
+			throw Error(
+				`Cannot estimate the gas of the transaction, it would likely fail: ${err.message}`
+			);
+		}
+		return w3utils.toHex(Math.ceil(w3utils.hexToNumber(estimate) * this.gasMargin));
+	}
+
+	// keep track of a transaction sent, to tally the gas it uses once mined
+	sent({ hash, to, nonce, gas, gasPrice, maxFeePerGas, maxPriorityFeePerGas }) {
+		this.transactions[hash] = { gasPrice, maxFeePerGas, maxPriorityFeePerGas };
+		logEvent('transaction.sent', {
+			hash,
+			to,
+			nonce: toNumber(nonce),
+			gas: toNumber(gas),
+			gasPrice: toDecimal(gasPrice),
+			maxFeePerGas: toDecimal(maxFeePerGas),
+		});
+	}
+
+	/**
+	 * Tally the gas a transaction used once mined, and what it paid for each: the effective gas
+	 * price of its receipt or, where the node doesn't give one, its gas price or, under EIP-1559,
+	 * the base fee of its block plus its priority fee (up to its max fee). Should the block not be
+	 * had, its max fee is taken instead, as an upper bound.
+	 *
+	 * @param {object} receipt The receipt of the transaction
+	 * @param {function} send Sends a JSON-RPC request to the node, as send(method, params)
+	 */
+	async mined({ transactionHash, blockNumber, status, gasUsed, effectiveGasPrice }, send) {
+		const transaction = this.transactions[transactionHash];
+		if (!transaction || transaction.gasUsed) {
+			return;
+		}
+		transaction.gasUsed = w3utils.hexToNumber(gasUsed);
+		if (effectiveGasPrice || transaction.gasPrice) {
+			transaction.gasPrice = effectiveGasPrice || transaction.gasPrice;
+		} else {
+			const { maxFeePerGas, maxPriorityFeePerGas } = transaction;
+			try {
+				const { baseFeePerGas } = await send('eth_getBlockByNumber', [blockNumber, false]);
+				transaction.gasPrice = w3utils.toHex(
+					BN_MIN(
+						w3utils.toBN(baseFeePerGas).add(w3utils.toBN(maxPriorityFeePerGas)),
+						w3utils.toBN(maxFeePerGas)
+					)
+				);
+			} catch (err) {
+				transaction.gasPrice = maxFeePerGas;
+				transaction.upperBound = true;
+			}
+		}
+		logEvent('transaction.mined', {
+			hash: transactionHash,
+			blockNumber: toNumber(blockNumber),
+			success: toNumber(status) === 1,
+			gasUsed: transaction.gasUsed,
+			gasPrice: toDecimal(transaction.gasPrice),
+			gasPriceUpperBound: transaction.upperBound,
+		});
+	}
+
+	summary() {
+		const mined = Object.values(this.transactions).filter(({ gasUsed }) => gasUsed);
+		if (!mined.length) {
+			return;
+		}
+		const gasUsed = mined.reduce((memo, { gasUsed }) => memo + gasUsed, 0);
+		const cost = mined.reduce(
+			(memo, { gasUsed, gasPrice }) => memo.add(w3utils.toBN(gasPrice).muln(gasUsed)),
+			w3utils.toBN(0)
+		);
+		const upperBound = mined.some(({ upperBound }) => upperBound);
+		console.log(
+			gray(
+				`${mined.length} transactions mined using ${gasUsed} gas, costing ${
+					upperBound ? 'at most ' : ''
+				}${w3utils.fromWei(cost)} BNB`
+			)
+		);
+	}
+}
+
+Fees.DEFAULTS = DEFAULTS;
+Fees.description = description;
+
+module.exports = Fees;
@@ -0,0 +1,371 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { gray, yellow } = require('chalk');
+
+const { getUnderlyingReader, sameAddress } = require('./wiring');
+
+const {
+	getSource,
+	getTarget,
+	getUnderlying,
+	constants: { BUILD_FOLDER },
+} = require('../..');
+
+const COLLATERAL_EVENTS = [
+	'LoanCreated',
+	'LoanClosed',
+	'LoanLiquidated',
+	'LoanPartiallyLiquidated',
+	'CollateralDeposited',
+	'CollateralWithdrawn',
+	'LoanRepaid',
+];
+
+// the events indexed from each contract, those it doesn't have are skipped
+const EVENTS = {
+	// emitted through its proxies
+	Oikos: ['SynthExchange', 'ExchangeReclaim', 'ExchangeRebate', 'AccountLiquidated'],
+	// the oUSD issued and burned, of which only that by stakers is kept (see isStakerIssuance)
+	SynthoUSD: ['Issued', 'Burned'],
+	// appended by Issuer right after a staker issues or burns
+	FeePool: ['FeesClaimed', 'IssuanceDebtRatioEntry'],
+	Exchanger: ['ExchangeEntryAppended', 'ExchangeEntrySettled'],
+	Liquidations: ['AccountFlaggedForLiquidation', 'AccountRemovedFromLiquidation'],
+	RewardEscrow: ['VestingEntryCreated', 'Vested'],
+	BNBCollateral: COLLATERAL_EVENTS,
+	EtherCollateraloUSD: COLLATERAL_EVENTS,
+	VBNBCollateraloUSD: COLLATERAL_EVENTS,
+};
+
+const DEFAULTS = {
+	// where the contracts of each network were first used, to index from
+	fromBlock: {
+		testnet: 10367492,
+		bsc: 22771609,
+	},
+	// blocks behind the latest that are indexed, as those after may yet be reorganised
+	confirmations: 15,
+	// the most blocks to request the logs of at once (as most RPCs limit it)
+	pageSize: 5000,
+	// the checkpoints kept to find where a reorganisation happened from
+	checkpoints: 50,
+	folder: path.join(__dirname, '..', '..', BUILD_FOLDER, 'indexed'),
+};
+
+/**
+ * Indexes the key events of a deployment into a JSON-lines file per event, incrementally from
+ * where it got to. Only blocks with enough confirmations are indexed, and the hash of each block
+ * it got to is kept, so that any reorganisation since is found and what was indexed after it is
+ * indexed again. Contracts added to the deployment since are indexed from the start.
+ */
+class Indexer {
+	/**
+	 *
+	 * @param {string} network The network of the deployment
+	 * @param {object} web3 A web3 instance connected to the network
+	 * @param {string} folder Where to store the index (in a folder for the network)
+	 * @param {number} fromBlock The block to index from, when first indexing
+	 * @param {number} confirmations Blocks behind the latest to index up to
+	 * @param {number} pageSize The most blocks to request the logs of at once
+	 * @param {object} targets The targets of the deployment (default is those of the network)
+	 * @param {object} sources The sources of the deployment (default is those of the network)
+	 */
+	constructor({
+		network,
+		web3,
+		folder = DEFAULTS.folder,
+		fromBlock = DEFAULTS.fromBlock[network] || 0,
+		confirmations = DEFAULTS.confirmations,
+		pageSize = DEFAULTS.pageSize,
+		targets = getTarget({ network }),
+		sources = getSource({ network }),
+	}) {
+		this.network = network;
+		this.web3 = web3;
+		this.folder = path.join(folder, network);
+		this.fromBlock = Number(fromBlock);
+		this.confirmations = Number(confirmations);
+		this.pageSize = Number(pageSize);
+		this.emitters = Indexer.getEmitters({ targets, sources, web3 });
+		// the records of each event, loaded when first queried
+		this.records = {};
+	}
+
+	/**
+	 * The addresses each indexed event is emitted from, along with the contract it is for and its
+	 * ABI, keyed by the hash of its signature (topic 0).
+	 */
+	static getEmitters({ targets, sources, web3 }) {
+		const emitters = {};
+		for (const [contract, events] of Object.entries(EVENTS)) {
+			if (!targets[contract]) {
+				continue;
+			}
+			const { abi } = sources[targets[contract].source];
+			// the contract and any proxy for it
+			const addresses = [targets[contract].address].concat(
+				Object.entries(targets)
+					.filter(
+						([name, { source }]) =>
+							getUnderlyingReader(source) === 'target' &&
+							getUnderlying({ contract: name, targets }) === contract
+					)
+					.map(([, { address }]) => address)
+			);
+			for (const event of abi.filter(
+				({ type, name }) => type === 'event' && events.includes(name)
+			)) {
+				const topic = web3.eth.abi.encodeEventSignature(event);
+				emitters[topic] = emitters[topic] || { event, contracts: [] };
+				emitters[topic].contracts.push({ contract, addresses });
+			}
+		}
+		return emitters;
+	}
+
+	get addresses() {
+		const addresses = [].concat(
+			...Object.values(this.emitters).map(({ contracts }) =>
+				[].concat(...contracts.map(({ addresses }) => addresses))
+			)
+		);
+		return addresses.filter(
+			(address, i) => addresses.findIndex(entry => sameAddress(entry, address)) === i
+		);
+	}
+
+	fileFor(event) {
+		return path.join(this.folder, `${event}.jsonl`);
+	}
+
+	get checkpointFile() {
+		return path.join(this.folder, 'checkpoint.json');
+	}
+
+	loadCheckpoint() {
+		return fs.existsSync(this.checkpointFile)
+			? JSON.parse(fs.readFileSync(this.checkpointFile))
+			: { fromBlock: this.fromBlock, blocks: [], addresses: [] };
+	}
+
+	saveCheckpoint(checkpoint) {
+		fs.mkdirSync(this.folder, { recursive: true });
+		fs.writeFileSync(this.checkpointFile, JSON.stringify(checkpoint, null, '\t') + '\n');
+	}
+
+	// the records of an event, as indexed
+	load(event) {
+		if (!this.records[event]) {
+			const file = this.fileFor(event);
+			this.records[event] = fs.existsSync(file)
+				? fs
+						.readFileSync(file)
+						.toString()
+						.split('\n')
+						.filter(line => line)
+						.map(line => JSON.parse(line))
+				: [];
+		}
+		return this.records[event];
+	}
+
+	// drop the records that match, e.g. those of blocks that were reorganised
+	drop(match) {
+		const events = fs.existsSync(this.folder)
+			? fs
+					.readdirSync(this.folder)
+					.filter(file => /\.jsonl$/.test(file))
+					.map(file => file.replace(/\.jsonl$/, ''))
+			: [];
+		for (const event of events) {
+			const records = this.load(event);
+			const kept = records.filter(record => !match(record));
+			if (kept.length < records.length) {
+				this.records[event] = kept;
+				fs.writeFileSync(
+					this.fileFor(event),
+					kept.map(record => JSON.stringify(record) + '\n').join('')
+				);
+			}
+		}
+	}
+
+	/**
+	 * Whether an oUSD Issued or Burned log is a staker issuing or burning, rather than an exchange,
+	 * a fee being minted or claimed, a settlement or a loan, which all issue and burn oUSD too. Issuer
+	 * appends an issuance record for the staker straight after, which none of the others do.
+	 */
+	isStakerIssuance(log, next) {
+		const entry = next && this.emitters[next.topics[0]];
+		return (
+			!!entry &&
+			entry.event.name === 'IssuanceDebtRatioEntry' &&
+			next.transactionHash === log.transactionHash &&
+			next.topics[1] === log.topics[1]
+		);
+	}
+
+	// add the logs of the given addresses in the given range to the index
+	async indexRange({ fromBlock, toBlock, addresses }) {
+		// those of every address, as whether some are kept depends on the logs that follow them
+		const logs = await this.web3.eth.getPastLogs({
+			fromBlock,
+			toBlock,
+			address: this.addresses,
+			topics: [Object.keys(this.emitters)],
+		});
+		const byEvent = {};
+		for (const [i, log] of logs.entries()) {
+			const { address, topics, data, blockNumber, transactionHash, logIndex } = log;
+			const { event, contracts } = this.emitters[topics[0]];
+			const emitter = contracts.find(({ addresses }) =>
+				addresses.find(entry => sameAddress(entry, address))
+			);
+			if (!emitter || !addresses.find(entry => sameAddress(entry, address))) {
+				// an event indexed for another contract, or of an address not being indexed
+				continue;
+			}
+			if (emitter.contract === 'SynthoUSD' && !this.isStakerIssuance(log, logs[i + 1])) {
+				continue;
+			}
+			const decoded = this.web3.eth.abi.decodeLog(event.inputs, data, topics.slice(1));
+			const returnValues = event.inputs.reduce((memo, { name }) => {
+				memo[name] = decoded[name];
+				return memo;
+			}, {});
+			const accountInput = event.inputs.find(({ type }) => type === 'address');
+			byEvent[event.name] = byEvent[event.name] || [];
+			byEvent[event.name].push({
+				event: event.name,
+				contract: emitter.contract,
+				address,
+				account: accountInput ? returnValues[accountInput.name] : undefined,
+				blockNumber,
+				transactionHash,
+				logIndex,
+				returnValues,
+			});
+		}
+		fs.mkdirSync(this.folder, { recursive: true });
+		for (const [event, records] of Object.entries(byEvent)) {
+			fs.appendFileSync(
+				this.fileFor(event),
+				records.map(record => JSON.stringify(record) + '\n').join('')
+			);
+			if (this.records[event]) {
+				this.records[event].push(...records);
+			}
+		}
+		return Object.values(byEvent).reduce((memo, records) => memo + records.length, 0);
+	}
+
+	// index the logs of the given addresses page by page, calling back after each
+	async indexPages({ fromBlock, toBlock, addresses, onPage = () => {} }) {
+		for (let from = fromBlock; from <= toBlock; from += this.pageSize) {
+			const to = Math.min(from + this.pageSize - 1, toBlock);
+			const found = await this.indexRange({ fromBlock: from, toBlock: to, addresses });
+			console.log(gray(`Indexed ${found} events of blocks ${from} to ${to} (of ${toBlock})`));
+			await onPage(to);
+		}
+	}
+
+	/**
+	 * Index from where it got to up to the latest block with enough confirmations, first indexing any
+	 * contract that is new to the deployment up to there.
+	 *
+	 * @returns {object} The block indexed up to
+	 */
+	async sync() {
+		const checkpoint = this.loadCheckpoint();
+
+		// find the latest checkpoint the chain still has
+		let last;
+		while (checkpoint.blocks.length) {
+			const candidate = checkpoint.blocks.slice(-1)[0];
+			const block = await this.web3.eth.getBlock(candidate.number);
+			if (block && block.hash === candidate.hash) {
+				last = candidate;
+				break;
+			}
+			console.log(yellow(`Block ${candidate.number} was reorganised, indexing it again`));
+			checkpoint.blocks.pop();
+		}
+		const upTo = last ? last.number : checkpoint.fromBlock - 1;
+		if (!last) {
+			// nothing was indexed, or none of it is on the chain anymore
+			checkpoint.addresses = [];
+		}
+		this.drop(({ blockNumber }) => blockNumber > upTo);
+
+		// any contract not indexed up to the checkpoint is indexed from the start
+		const added = this.addresses.filter(
+			address => !checkpoint.addresses.find(entry => sameAddress(entry, address))
+		);
+		if (last && added.length) {
+			console.log(gray(`Indexing ${added.length} new addresses up to block ${upTo}...`));
+			// anything of theirs from an interrupted run
+			this.drop(({ address }) => added.find(entry => sameAddress(entry, address)));
+			await this.indexPages({ fromBlock: checkpoint.fromBlock, toBlock: upTo, addresses: added });
+		}
+		checkpoint.addresses = this.addresses;
+		this.saveCheckpoint(checkpoint);
+
+		const latest = (await this.web3.eth.getBlockNumber()) - this.confirmations;
+		await this.indexPages({
+			fromBlock: upTo + 1,
+			toBlock: latest,
+			addresses: this.addresses,
+			onPage: async number => {
+				const { hash } = await this.web3.eth.getBlock(number);
+				checkpoint.blocks = checkpoint.blocks.concat({ number, hash }).slice(-DEFAULTS.checkpoints);
+				this.saveCheckpoint(checkpoint);
+			},
+		});
+
+		return { blockNumber: Math.max(upTo, latest) };
+	}
+
+	/**
+	 * The indexed records of an event, in the order they happened.
+	 *
+	 * @param {string} event The name of the event, e.g. SynthExchange
+	 * @param {string} account Only those for an account (the first address of the event)
+	 * @param {string} contract Only those of a contract, e.g. EtherCollateraloUSD
+	 * @param {number} fromBlock Only those from this block
+	 * @param {number} toBlock Only those up to this block
+	 * @returns {array} Each as { event, contract, address, account, blockNumber, transactionHash, logIndex, returnValues }
+	 */
+	query(event, { account, contract, fromBlock = 0, toBlock = Infinity } = {}) {
+		return this.load(event).filter(
+			record =>
+				(!account || sameAddress(record.account, account)) &&
+				(!contract || record.contract === contract) &&
+				record.blockNumber >= fromBlock &&
+				record.blockNumber <= toBlock
+		);
+	}
+
+	// the synths the account exchanged
+	exchangesByAccount(account, options = {}) {
+		return this.query('SynthExchange', Object.assign({}, options, { account }));
+	}
+
+	// the oUSD the account issued and burned as a staker, in the order it did
+	issuanceHistory(account, options = {}) {
+		return this.query('Issued', Object.assign({}, options, { account }))
+			.concat(this.query('Burned', Object.assign({}, options, { account })))
+			.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+	}
+
+	// the fees and rewards the account claimed
+	feeClaims(account, options = {}) {
+		return this.query('FeesClaimed', Object.assign({}, options, { account }));
+	}
+}
+
+Indexer.DEFAULTS = DEFAULTS;
+Indexer.EVENTS = EVENTS;
+
+module.exports = Indexer;
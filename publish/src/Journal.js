@@ -0,0 +1,140 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const { gray } = require('chalk');
+
+const {
+	constants: { BUILD_FOLDER },
+} = require('../..');
+
+const { stringify } = require('./util');
+
+const DEFAULTS = {
+	// kept out of the deployment folders, as they are of the run and not of the deployment
+	folder: path.join(__dirname, '..', '..', BUILD_FOLDER, 'journals'),
+};
+
+const getJournalFile = ({ folder, network, runId }) =>
+	path.join(folder, network, `journal-${runId}.json`);
+
+// e.g. 20201018-225043
+const createRunId = () =>
+	new Date()
+		.toISOString()
+		.replace(/\..+$/, '')
+		.replace(/[-:]/g, '')
+		.replace('T', '-');
+
+/**
+ * A per-run record of every deployment and transactional step, written to disk as it happens
+ * so that an interrupted run can be resumed without resending what was already mined.
+ */
+class Journal {
+	/**
+	 *
+	 * @param {string} file The path to the journal file for this run
+	 * @param {string} runId The identifier of this run
+	 * @param {object} web3 A web3 instance used to confirm recorded transactions on chain
+	 * @param {object} data Any existing journal content (when resuming)
+	 */
+	constructor({ file, runId, network, web3, data }) {
+		this.file = file;
+		this.runId = runId;
+		this.web3 = web3;
+		this.data = data || {
+			runId,
+			network,
+			startedAt: new Date(),
+			completedAt: null,
+			entries: {},
+		};
+		// how many times each action was taken in this run so far (see nextKey)
+		this.occurrences = {};
+	}
+
+	static create({ folder = DEFAULTS.folder, network, web3 }) {
+		const runId = createRunId();
+		fs.mkdirSync(path.join(folder, network), { recursive: true });
+		const journal = new Journal({
+			file: getJournalFile({ folder, network, runId }),
+			runId,
+			network,
+			web3,
+		});
+		journal.save();
+		return journal;
+	}
+
+	static load({ folder = DEFAULTS.folder, network, runId, web3 }) {
+		const file = getJournalFile({ folder, network, runId });
+		if (!fs.existsSync(file)) {
+			throw Error(`Cannot find a journal for run "${runId}" in ${path.dirname(file)}`);
+		}
+		return new Journal({ file, runId, web3, data: JSON.parse(fs.readFileSync(file)) });
+	}
+
+	save() {
+		this.data.updatedAt = new Date();
+		fs.writeFileSync(this.file, stringify(this.data));
+	}
+
+	/**
+	 * The key of the next time the action is taken in this run, as the same action can be taken
+	 * more than once (e.g. a rate set and later set back), e.g. Issuer.setIssuanceRatio(1)#2.
+	 * A resumed run takes its actions in the same order, so each maps to the same entry again.
+	 */
+	nextKey(action) {
+		this.occurrences[action] = (this.occurrences[action] || 0) + 1;
+		return `${action}#${this.occurrences[action]}`;
+	}
+
+	get(key) {
+		return this.data.entries[key];
+	}
+
+	record(key, fields) {
+		this.data.entries[key] = Object.assign({ key }, this.data.entries[key], fields, {
+			updatedAt: new Date(),
+		});
+		this.save();
+	}
+
+	complete() {
+		this.data.completedAt = new Date();
+		this.save();
+	}
+
+	/**
+	 * Check whether the given entry was sent in this run and has been successfully mined.
+	 *
+	 * @returns the transaction receipt if so, undefined otherwise
+	 */
+	async confirmedReceipt(key) {
+		const entry = this.get(key);
+		if (!entry || !entry.hash || !['sent', 'confirmed'].includes(entry.status)) {
+			return;
+		}
+		const receipt = await this.web3.eth.getTransactionReceipt(entry.hash);
+		if (!receipt || !receipt.status) {
+			return;
+		}
+		if (entry.status !== 'confirmed') {
+			// the run was interrupted after sending but before the receipt was recorded
+			this.record(key, {
+				status: 'confirmed',
+				blockNumber: receipt.blockNumber,
+				address: receipt.contractAddress || entry.address,
+			});
+		}
+		console.log(
+			gray(`Resuming: ${key} already confirmed in block ${receipt.blockNumber} (${entry.hash})`)
+		);
+		return receipt;
+	}
+}
+
+Journal.DEFAULTS = DEFAULTS;
+Journal.createRunId = createRunId;
+
+module.exports = Journal;
@@ -0,0 +1,301 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const w3utils = require('web3-utils');
+const { gray, yellow, red } = require('chalk');
+
+const {
+	constants: { BUILD_FOLDER },
+} = require('../..');
+
+const { getLogFormat } = require('./logger');
+
+const DEFAULTS = {
+	stuck: 'prompt',
+	// what to do instead of prompting when there is no one to answer
+	unattendedStuck: 'speed-up',
+	// in seconds, after which a transaction not yet mined is stuck
+	stuckTimeout: 180,
+	// the multiple of the fees of a stuck transaction to replace it with (nodes require at least 10% more)
+	replacementMultiplier: 1.25,
+	pendingFolder: path.join(__dirname, '..', '..', BUILD_FOLDER, 'pending'),
+};
+
+const ACTIONS = ['prompt', 'speed-up', 'cancel', 'wait'];
+
+const description =
+	'What to do with a transaction not mined in time: prompt (unless run with --yes, in CI, in the json log format or without a terminal, when it is sped up instead), speed-up (resend it with higher fees), cancel (replace it with an empty transaction) or wait, optionally after how many seconds as <action>:<seconds> (default 180)';
+
+// whether there is someone to answer a prompt: not in CI, in the json log format or without a terminal
+const canPrompt = () => !!process.stdin.isTTY && !process.env.CI && getLogFormat() !== 'json';
+
+const promptAction = prompt =>
+	new Promise(resolve => {
+		const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+		rl.question(prompt, answer => {
+			rl.close();
+			resolve(answer.trim().toLowerCase());
+		});
+	});
+
+const bump = (value, multiplier) =>
+	w3utils.toHex(
+		w3utils
+			.toBN(value)
+			.mul(w3utils.toBN(Math.round(multiplier * 100)))
+			.divn(100)
+	);
+
+const BN_MAX = (a, b) => (w3utils.toBN(a).gt(w3utils.toBN(b)) ? a : b);
+
+/**
+ * Hands out the nonces of an account and keeps track of its transactions until they are mined,
+ * so that one stuck in the mempool can be sped up (resent with the same nonce and higher fees)
+ * or cancelled (replaced with an empty transaction to itself). What is in flight is kept in a
+ * file, so a restarted script continues after it, and resends any the node has since dropped.
+ */
+class NonceManager {
+	/**
+	 *
+	 * @param {string} account The account sending the transactions
+	 * @param {function} request Sends a JSON-RPC request to the node, as request(method, params)
+	 * @param {function} broadcast Signs (if need be) and sends a transaction, returning its hash and raw transaction
+	 * @param {Fees} fees How transactions are priced, to replace stuck ones with at least the current fees
+	 * @param {string} stuck prompt, speed-up, cancel or wait, optionally as <action>:<seconds>
+	 * @param {boolean} yes Whether the run was told not to prompt (--yes), so stuck ones aren't either
+	 * @param {array} used Any nonces already used that the node doesn't know of (e.g. unsigned transactions)
+	 */
+	constructor({ account, request, broadcast, fees, stuck = DEFAULTS.stuck, yes, used = [] }) {
+		const [requested, timeout = DEFAULTS.stuckTimeout] = stuck.split(':');
+		if (!ACTIONS.includes(requested) || isNaN(timeout)) {
+			throw Error(
+				`Unknown stuck transaction action ${stuck}. Please use one of ${ACTIONS.join(
+					', '
+				)}, optionally as <action>:<seconds>`
+			);
+		}
+		// nothing would answer the prompt, and the run would wait on it for good
+		this.unattended = requested === 'prompt' && (yes || !canPrompt());
+		const action = this.unattended ? DEFAULTS.unattendedStuck : requested;
+		this.account = account;
+		this.request = request;
+		this.broadcast = broadcast;
+		this.fees = fees;
+		this.action = action;
+		this.timeout = Number(timeout) * 1000;
+		this.used = used;
+		// the transactions in flight by nonce, each with all the hashes sent with that nonce
+		this.pending = {};
+		// stuck transactions being dealt with by nonce, one at a time (as they may prompt)
+		this.handling = {};
+		this.queue = Promise.resolve();
+		// nonces given back by transactions that could not be sent
+		this.released = [];
+	}
+
+	// load what was in flight from previous runs, and work out the next nonce
+	async init() {
+		if (!this.initialized) {
+			this.initialized = (async () => {
+				const chainId = w3utils.hexToNumber(await this.request('eth_chainId', []));
+				this.file = path.join(DEFAULTS.pendingFolder, `${chainId}-${this.account}.json`);
+				const stored = fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file)) : {};
+
+				const mined = await this.transactionCount('latest');
+				for (const entry of Object.values(stored).filter(({ nonce }) => nonce >= mined)) {
+					this.pending[entry.nonce] = entry;
+					const known = await Promise.all(
+						entry.hashes.map(hash => this.request('eth_getTransactionByHash', [hash]))
+					);
+					if (known.some(tx => tx) || !entry.raw) {
+						console.log(
+							yellow(
+								`Transaction ${entry.hashes.slice(-1)[0]} with nonce ${entry.nonce} is in flight`
+							)
+						);
+					} else {
+						console.log(
+							yellow(`Resending transaction with nonce ${entry.nonce}, as it was dropped`)
+						);
+						await this.request('eth_sendRawTransaction', [entry.raw]);
+					}
+				}
+				this.save();
+
+				this.nextNonce = Math.max(
+					await this.transactionCount('pending'),
+					...Object.keys(this.pending).map(nonce => Number(nonce) + 1),
+					...this.used.map(nonce => nonce + 1)
+				);
+			})();
+		}
+		return this.initialized;
+	}
+
+	async transactionCount(block) {
+		return w3utils.hexToNumber(
+			await this.request('eth_getTransactionCount', [this.account, block])
+		);
+	}
+
+	save() {
+		if (!this.file) {
+			return;
+		}
+		fs.mkdirSync(path.dirname(this.file), { recursive: true });
+		fs.writeFileSync(this.file, JSON.stringify(this.pending, null, '\t') + '\n');
+	}
+
+	// the nonce for the next transaction (or the one it was given), after any the node has pending
+	// (e.g. sent by another script from the same account)
+	async next(nonce) {
+		await this.init();
+		const pending = await this.transactionCount('pending');
+		if (nonce === undefined) {
+			// reuse any nonce given back, so there is no gap
+			this.released = this.released.filter(released => released >= pending).sort((a, b) => a - b);
+			nonce = this.released.length ? this.released.shift() : Math.max(this.nextNonce, pending);
+		}
+		this.nextNonce = Math.max(this.nextNonce, nonce + 1);
+		return nonce;
+	}
+
+	// give back the nonce of a transaction that could not be sent
+	release(nonce) {
+		this.released.push(nonce);
+	}
+
+	sent({ nonce, hash, raw, tx }) {
+		this.pending[nonce] = { nonce, hashes: [hash], raw, tx, sentAt: Date.now() };
+		this.save();
+	}
+
+	/**
+	 * The receipt of the transaction sent with the given hash, or of what replaced it, once mined.
+	 * Until it is, any of the transactions in flight that are stuck are dealt with.
+	 */
+	async receipt(hash) {
+		const entry = Object.values(this.pending).find(({ hashes }) => hashes.includes(hash));
+		if (!entry) {
+			return this.request('eth_getTransactionReceipt', [hash]);
+		}
+
+		for (const replacement of entry.hashes) {
+			const receipt = await this.request('eth_getTransactionReceipt', [replacement]);
+			if (receipt) {
+				delete this.pending[entry.nonce];
+				this.save();
+				if (replacement === entry.cancellation) {
+					// web3 doesn't show the reason the receipt could not be had
+					await this.fees.mined(receipt, this.request);
+					console.log(red(`Transaction ${hash} was cancelled by ${replacement}`));
+					throw Error(`Transaction ${hash} was cancelled by ${replacement}`);
+				}
+				return receipt;
+			}
+		}
+
+		// deal with the earliest stuck transactions first, as later ones cannot be mined before them
+		const stuck = Object.values(this.pending).filter(
+			({ nonce, sentAt }) => nonce <= entry.nonce && Date.now() - sentAt > this.timeout
+		);
+		for (const { nonce } of stuck) {
+			if (!this.handling[nonce]) {
+				this.handling[nonce] = this.queue
+					.then(() => this.pending[nonce] && this.unstick(this.pending[nonce]))
+					.finally(() => delete this.handling[nonce]);
+				this.queue = this.handling[nonce].catch(() => {});
+			}
+			await this.handling[nonce];
+		}
+		return null;
+	}
+
+	async unstick(entry) {
+		const { nonce, hashes, tx } = entry;
+		const waited = Math.round((Date.now() - entry.sentAt) / 1000);
+		if (Date.now() - entry.sentAt <= this.timeout) {
+			// dealt with while waiting for the ones before it
+			return;
+		}
+		let action = this.action;
+		while (action === 'prompt') {
+			const answer = await promptAction(
+				yellow(
+					`Transaction ${
+						hashes.slice(-1)[0]
+					} with nonce ${nonce} has not been mined after ${waited}s. `
+				) + 'Speed it up, cancel it or wait? (s/c/w) '
+			);
+			action = { s: 'speed-up', c: 'cancel', w: 'wait' }[answer] || 'prompt';
+		}
+
+		if (this.unattended) {
+			console.log(
+				yellow(
+					`Transaction with nonce ${nonce} has not been mined after ${waited}s, and there is no one to prompt (see --stuck)`
+				)
+			);
+		}
+
+		if (action === 'wait') {
+			console.log(gray(`Waiting for the transaction with nonce ${nonce}...`));
+		} else {
+			// replace it with higher fees: more than it had, and at least the current ones
+			const current = await this.fees.getFeeFields(this.request);
+			const fees = tx.maxFeePerGas
+				? {
+						maxFeePerGas: BN_MAX(
+							bump(tx.maxFeePerGas, DEFAULTS.replacementMultiplier),
+							current.maxFeePerGas || 0
+						),
+						maxPriorityFeePerGas: BN_MAX(
+							bump(tx.maxPriorityFeePerGas, DEFAULTS.replacementMultiplier),
+							current.maxPriorityFeePerGas || 0
+						),
+				  }
+				: {
+						gasPrice: BN_MAX(
+							bump(tx.gasPrice, DEFAULTS.replacementMultiplier),
+							current.gasPrice || current.maxFeePerGas
+						),
+				  };
+			const replacement =
+				action === 'speed-up'
+					? Object.assign({}, tx, fees)
+					: Object.assign(
+							{ from: this.account, to: this.account, value: '0x0', data: '0x', gas: '0x5208' },
+							fees
+					  );
+
+			try {
+				const { hash, raw } = await this.broadcast(Object.assign(replacement, { nonce }));
+				console.log(
+					yellow(
+						`${
+							action === 'speed-up' ? 'Sped up' : 'Cancelled'
+						} the transaction with nonce ${nonce}: ${hash}`
+					)
+				);
+				entry.hashes.push(hash);
+				entry.raw = raw;
+				entry.tx = replacement;
+				if (action === 'cancel') {
+					entry.cancellation = hash;
+				}
+			} catch (err) {
+				// e.g. it was mined in the meantime
+				console.log(red(`Could not replace the transaction with nonce ${nonce}: ${err.message}`));
+			}
+		}
+		entry.sentAt = Date.now();
+		this.save();
+	}
+}
+
+NonceManager.DEFAULTS = DEFAULTS;
+NonceManager.description = description;
+
+module.exports = NonceManager;
@@ -0,0 +1,287 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const execFile = require('util').promisify(require('child_process').execFile);
+const w3utils = require('web3-utils');
+
+const {
+	constants: { BUILD_FOLDER },
+} = require('../..');
+
+const { stringify } = require('./util');
+const { onEvent, stripColors } = require('./logger');
+
+const DEFAULTS = {
+	// kept out of the deployment folders, as they are of the run and not of the deployment
+	folder: path.join(__dirname, '..', '..', BUILD_FOLDER, 'reports'),
+};
+
+// what became of a completed step, from its event
+const outcomeOf = ({ ownerAction, confirmedByOwner, payload, dryRun }) =>
+	ownerAction
+		? `owner action${dryRun ? ' (simulated)' : ''}`
+		: confirmedByOwner
+		? 'confirmed by owner'
+		: payload
+		? 'payload shown'
+		: dryRun
+		? 'simulated'
+		: 'completed';
+
+// the commit the run is from, marked as dirty when there are changes not committed
+const getCommit = async () => {
+	try {
+		// of this repo, wherever the run is from
+		const options = { cwd: __dirname };
+		const { stdout: commit } = await execFile('git', ['rev-parse', 'HEAD'], options);
+		const { stdout: changes } = await execFile('git', ['status', '--porcelain'], options);
+		return { hash: commit.trim(), dirty: !!changes.trim() };
+	} catch (err) {
+		return { hash: undefined, dirty: undefined };
+	}
+};
+
+/**
+ * The report of a deploy run, to attach to a release: the contracts it deployed or reused, each of
+ * its steps with their outcome and the gas and BNB they cost, the owner actions it appended, the
+ * parameters it ran with and the commit it ran from. The steps, transactions and owner actions
+ * are taken from the events of the run (see logger), and the report is written as JSON and
+ * Markdown after each, so an interrupted run still has one.
+ */
+class RunReport {
+	/**
+	 *
+	 * @param {string} folder The folder to write report-<runId>.json and report-<runId>.md to
+	 * @param {string} runId The identifier of the run (see Journal)
+	 * @param {string} network The network deployed to
+	 * @param {number} chainId The chain ID of the network
+	 * @param {boolean} dryRun Whether the run only simulated its transactions
+	 * @param {string} etherscanLinkPrefix The explorer to link the contracts and transactions to
+	 * @param {object} parameters The parameters the run was checked with (see parameterNotice)
+	 * @param {object} commit The hash of the commit the run is from, and whether it is dirty
+	 */
+	constructor({
+		folder,
+		runId,
+		network,
+		chainId,
+		dryRun,
+		etherscanLinkPrefix,
+		parameters,
+		commit,
+	}) {
+		const name = `report-${runId}${dryRun ? '-dry-run' : ''}`;
+		this.jsonFile = path.join(folder, `${name}.json`);
+		this.markdownFile = path.join(folder, `${name}.md`);
+		this.etherscanLinkPrefix = etherscanLinkPrefix;
+		// the gas used and price paid of each transaction mined, by hash
+		this.transactions = {};
+		this.data = {
+			runId,
+			network,
+			chainId,
+			dryRun: !!dryRun,
+			commit,
+			startedAt: new Date(),
+			completedAt: null,
+			outcome: 'incomplete',
+			parameters: Object.entries(parameters).reduce(
+				(memo, [key, value]) =>
+					Object.assign(memo, {
+						[key]: stripColors(value)
+							.replace(/\s+/g, ' ')
+							.trim(),
+					}),
+				{}
+			),
+			contracts: [],
+			steps: [],
+			ownerActions: [],
+			totals: { transactions: 0, gasUsed: 0, cost: '0' },
+		};
+		this.stopListening = onEvent(event => this.record(event));
+	}
+
+	// in the folder given, otherwise in one for the network in build/reports
+	static async create(options) {
+		const { folder = path.join(DEFAULTS.folder, options.network) } = options;
+		fs.mkdirSync(folder, { recursive: true });
+		const report = new RunReport(Object.assign({ commit: await getCommit() }, options, { folder }));
+		report.save();
+		return report;
+	}
+
+	// keep what the event says of a step, transaction or owner action
+	record({
+		event,
+		step,
+		reason,
+		hash,
+		gasUsed,
+		gasPrice,
+		gasPriceUpperBound,
+		error,
+		key,
+		target,
+		action,
+		...rest
+	}) {
+		const entry = [...this.data.steps].reverse().find(entry => entry.step === step);
+		if (event === 'step.started') {
+			this.data.steps.push({ step, outcome: 'started' });
+		} else if (event === 'step.skipped' && entry) {
+			Object.assign(entry, { outcome: 'skipped', reason, hash });
+		} else if (event === 'step.completed' && entry) {
+			Object.assign(entry, {
+				outcome: outcomeOf(rest),
+				hash: rest.dryRun ? undefined : hash,
+				gasUsed,
+			});
+			this.costStep(entry);
+		} else if (event === 'step.failed' && entry) {
+			Object.assign(entry, { outcome: 'failed', error });
+		} else if (event === 'transaction.mined') {
+			this.transactions[hash] = { gasUsed, gasPrice, upperBound: gasPriceUpperBound };
+			this.data.steps.filter(entry => entry.hash === hash).forEach(entry => this.costStep(entry));
+		} else if (event === 'owner-action.appended') {
+			this.data.ownerActions.push({ key, target, action, data: rest.data });
+		} else {
+			return;
+		}
+		this.save();
+	}
+
+	// the gas the transaction of the step used, and what it cost in BNB, once mined
+	costStep(entry) {
+		const transaction = this.transactions[entry.hash];
+		if (!transaction) {
+			return;
+		}
+		entry.gasUsed = transaction.gasUsed;
+		entry.cost = w3utils.fromWei(w3utils.toBN(transaction.gasPrice).muln(transaction.gasUsed));
+		// when what it paid for each gas could not be had, the cost is at most this
+		entry.costUpperBound = transaction.upperBound;
+	}
+
+	// a contract the run deployed or reused
+	contract({ name, address, source, deployed, hash }) {
+		this.data.contracts.push({ name, address, source, deployed: !!deployed, hash });
+		this.save();
+	}
+
+	complete({ outcome = 'completed' } = {}) {
+		this.stopListening();
+		Object.assign(this.data, { completedAt: new Date(), outcome });
+		this.save();
+	}
+
+	save() {
+		const mined = Object.values(this.transactions);
+		this.data.totals = {
+			transactions: mined.length,
+			gasUsed: mined.reduce((memo, { gasUsed }) => memo + gasUsed, 0),
+			cost: w3utils.fromWei(
+				mined.reduce(
+					(memo, { gasUsed, gasPrice }) => memo.add(w3utils.toBN(gasPrice).muln(gasUsed)),
+					w3utils.toBN(0)
+				)
+			),
+			costUpperBound: mined.some(({ upperBound }) => upperBound) || undefined,
+		};
+		this.data.updatedAt = new Date();
+		fs.writeFileSync(this.jsonFile, stringify(this.data));
+		fs.writeFileSync(this.markdownFile, this.toMarkdown());
+	}
+
+	toMarkdown() {
+		const { etherscanLinkPrefix } = this;
+		const {
+			runId,
+			network,
+			chainId,
+			dryRun,
+			commit,
+			startedAt,
+			completedAt,
+			outcome,
+			parameters,
+			contracts,
+			steps,
+			ownerActions,
+			totals,
+		} = this.data;
+
+		const cell = value => (value === undefined ? '-' : String(value).replace(/\|/g, '\\|'));
+		const markdownTable = (header, rows) =>
+			[header, header.map(() => '---')]
+				.concat(rows)
+				.map(row => `| ${row.map(cell).join(' | ')} |`)
+				.join('\n');
+		const costOf = ({ cost, costUpperBound }) =>
+			cost === undefined ? undefined : `${costUpperBound ? 'at most ' : ''}${cost}`;
+		const txLink = hash => (hash ? `[${hash}](${etherscanLinkPrefix}/tx/${hash})` : undefined);
+
+		return (
+			[
+				`# Deploy to ${network}${dryRun ? ' (dry run)' : ''}`,
+				markdownTable(
+					['', ''],
+					[
+						['Run ID', runId],
+						['Chain ID', chainId],
+						['Commit', commit.hash && `${commit.hash}${commit.dirty ? ' (with changes)' : ''}`],
+						['Started', new Date(startedAt).toISOString()],
+						['Completed', completedAt ? new Date(completedAt).toISOString() : undefined],
+						['Outcome', outcome],
+						['Transactions mined', totals.transactions],
+						['Gas used', totals.gasUsed],
+						['BNB spent', costOf(totals)],
+					]
+				),
+				'## Parameters',
+				markdownTable(['Parameter', 'Value'], Object.entries(parameters)),
+				'## Contracts',
+				contracts.length
+					? markdownTable(
+							['Contract', 'Address', 'Deployed', 'Transaction'],
+							contracts.map(({ name, address, deployed, hash }) => [
+								name,
+								`[${address}](${etherscanLinkPrefix}/address/${address})`,
+								deployed ? 'deployed' : 'reused',
+								txLink(hash),
+							])
+					  )
+					: 'None.',
+				'## Steps',
+				steps.length
+					? markdownTable(
+							['Step', 'Outcome', 'Transaction', 'Gas used', 'BNB'],
+							steps.map(entry => [
+								entry.step,
+								entry.outcome +
+									(entry.reason || entry.error ? ` (${entry.reason || entry.error})` : ''),
+								txLink(entry.hash),
+								entry.gasUsed,
+								costOf(entry),
+							])
+					  )
+					: 'None.',
+				'## Owner actions',
+				ownerActions.length
+					? markdownTable(
+							['Action', 'Target'],
+							ownerActions.map(({ key, target }) => [
+								key,
+								`[${target}](${etherscanLinkPrefix}/address/${target}#writeContract)`,
+							])
+					  )
+					: 'None.',
+			].join('\n\n') + '\n'
+		);
+	}
+}
+
+RunReport.DEFAULTS = DEFAULTS;
+
+module.exports = RunReport;
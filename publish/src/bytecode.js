@@ -0,0 +1,75 @@
+'use strict';
+
+const w3utils = require('web3-utils');
+
+const strip = hex => hex.replace(/^0x/, '');
+
+/**
+ * The parts of the runtime code of a contract that depend on where and how it was deployed rather
+ * than on its source, as [start, end) ranges of hex characters: the addresses of linked libraries,
+ * the address a library is deployed at (which it pushes first, to guard against calls), and any
+ * immutables.
+ *
+ * @param {string} expected The runtime code as compiled, with library placeholders
+ * @param {object} immutableReferences Where each immutable is in the runtime code, in bytes (as
+ * compiled into evm.deployedBytecode.immutableReferences)
+ */
+const getVariableRanges = ({ expected, immutableReferences = {} }) => {
+	const ranges = [];
+	const placeholder = /__.{36}__/g;
+	let match;
+	while ((match = placeholder.exec(expected))) {
+		ranges.push([match.index, match.index + 40]);
+	}
+	if (/^730{40}/.test(expected)) {
+		ranges.push([2, 42]);
+	}
+	for (const references of Object.values(immutableReferences)) {
+		for (const { start, length } of references) {
+			ranges.push([start * 2, (start + length) * 2]);
+		}
+	}
+	return ranges;
+};
+
+// the hash of the code with all of the given ranges zeroed
+const hashWithout = (code, ranges) =>
+	w3utils.keccak256(
+		'0x' +
+			ranges.reduce(
+				(memo, [start, end]) => memo.slice(0, start) + '0'.repeat(end - start) + memo.slice(end),
+				code
+			)
+	);
+
+/**
+ * Compare the code deployed at an address with the bytecode it was deployed from. The runtime code
+ * is the end of the creation bytecode (after the constructor), so it is compared with that,
+ * ignoring the parts that depend on the deployment (see getVariableRanges).
+ *
+ * @param {string} code The code at the address (from eth_getCode)
+ * @param {string} bytecode The creation bytecode (as in the sources of deployment.json)
+ * @param {object} immutableReferences Where each immutable is in the runtime code, if any
+ * @returns {object} The hash of each, with the deployment specific parts zeroed, and whether they match
+ */
+const compareBytecode = ({ code, bytecode, immutableReferences }) => {
+	code = strip(code);
+	bytecode = strip(bytecode);
+	if (!code.length || code.length > bytecode.length) {
+		return {
+			deployedHash: code.length ? w3utils.keccak256('0x' + code) : null,
+			expectedHash: null,
+			matches: false,
+		};
+	}
+	const expected = bytecode.slice(-code.length);
+	const ranges = getVariableRanges({ expected, immutableReferences });
+	const deployedHash = hashWithout(code, ranges);
+	// placeholders aren't hex, so they are zeroed before hashing
+	const expectedHash = hashWithout(expected, ranges);
+	return { deployedHash, expectedHash, matches: deployedHash === expectedHash };
+};
+
+module.exports = {
+	compareBytecode,
+};
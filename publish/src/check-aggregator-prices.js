@@ -4,7 +4,7 @@ const Web3 = require('web3');
 const axios = require('axios');
 
 const { loadConnections } = require('./util');
-const { toBytes32 } = require('../../.');
+const { getMulticall, toBytes32 } = require('../../.');
 
 module.exports = async ({ network, providerUrl, synths, oldExrates }) => {
 	const output = [];
@@ -12,55 +12,60 @@ module.exports = async ({ network, providerUrl, synths, oldExrates }) => {
 
 	const web3 = new Web3(new Web3.providers.HttpProvider(providerUrl));
 
-	let abi;
+	const aggregated = synths.filter(({ aggregator }) => aggregator);
 
-	for (const synth of synths) {
-		if (synth.aggregator) {
-			if (!web3.utils.isAddress(synth.aggregator)) {
-				throw Error(
-					`Invalid aggregator address for ${synth.name}: ${synth.aggregator}. (If mixed case, make sure it is valid checksum)`
-				);
-			}
+	for (const synth of aggregated) {
+		if (!web3.utils.isAddress(synth.aggregator)) {
+			throw Error(
+				`Invalid aggregator address for ${synth.name}: ${synth.aggregator}. (If mixed case, make sure it is valid checksum)`
+			);
+		}
+	}
+
+	if (!aggregated.length) {
+		return output;
+	}
 
-			if (!abi) {
-				// Get the ABI from the first aggregator on Etherscan
-				// Note: assumes all use the same ABI
-				const {
-					data: { result },
-				} = await axios.get(etherscanUrl, {
-					params: {
-						module: 'contract',
-						action: 'getabi',
-						address: synth.aggregator,
-						apikey: process.env.ETHERSCAN_KEY,
-					},
-				});
-				abi = JSON.parse(result);
-			}
+	// Get the ABI from the first aggregator on Etherscan
+	// Note: assumes all use the same ABI
+	const {
+		data: { result },
+	} = await axios.get(etherscanUrl, {
+		params: {
+			module: 'contract',
+			action: 'getabi',
+			address: aggregated[0].aggregator,
+			apikey: process.env.ETHERSCAN_KEY,
+		},
+	});
+	const abi = JSON.parse(result);
 
-			const liveAggregator = new web3.eth.Contract(abi, synth.aggregator);
+	// read the answer of every aggregator and the rate on-chain for each at once
+	const answers = await getMulticall({ network, provider: web3 })(
+		[].concat(
+			...aggregated.map(synth => [
+				{ contract: new web3.eth.Contract(abi, synth.aggregator), method: 'latestAnswer' },
+				{ contract: oldExrates, method: 'rateForCurrency', args: [toBytes32(synth.name)] },
+			])
+		)
+	);
 
-			const [aggAnswerRaw, exRatesAnswerRaw] = await Promise.all([
-				liveAggregator.methods.latestAnswer().call(),
-				oldExrates.methods.rateForCurrency(toBytes32(synth.name)).call(),
-			]);
+	for (const [i, synth] of aggregated.entries()) {
+		const [aggAnswerRaw, exRatesAnswerRaw] = answers.slice(i * 2, i * 2 + 2);
 
-			const answer = (aggAnswerRaw / 1e8).toString();
+		const answer = (aggAnswerRaw / 1e8).toString();
 
-			const existing = web3.utils.fromWei(exRatesAnswerRaw);
+		const existing = web3.utils.fromWei(exRatesAnswerRaw);
 
-			if (answer === existing) {
-				output.push(
-					`- Synth ${synth.name} aggregated price: ${answer} (same as currently on-chain)`
-				);
-			} else {
-				output.push(
-					`- Synth ${synth.name} aggregated price: ${answer} vs ${existing} (${(
-						(Math.abs(answer - existing) / answer) *
-						100
-					).toFixed(2)} %)`
-				);
-			}
+		if (answer === existing) {
+			output.push(`- Synth ${synth.name} aggregated price: ${answer} (same as currently on-chain)`);
+		} else {
+			output.push(
+				`- Synth ${synth.name} aggregated price: ${answer} vs ${existing} (${(
+					(Math.abs(answer - existing) / answer) *
+					100
+				).toFixed(2)} %)`
+			);
 		}
 	}
 
@@ -0,0 +1,258 @@
+'use strict';
+
+const fs = require('fs');
+const { gray, green, red, cyan } = require('chalk');
+const { table } = require('table');
+const Web3 = require('web3');
+const w3utils = require('web3-utils');
+
+const {
+	ensureNetwork,
+	ensureDeploymentPath,
+	loadAndCheckRequiredSources,
+	loadConnections,
+	stringify,
+} = require('../util');
+const { sameAddress, getUnderlyingReader } = require('../wiring');
+
+const {
+	getUnderlying,
+	getUsers,
+	toBytes32,
+	constants: { CONFIG_FILENAME, DEPLOYMENT_FILENAME, SYNTHS_FILENAME, ZERO_ADDRESS },
+} = require('../../..');
+
+const DEFAULTS = {
+	network: 'testnet',
+};
+
+const check = async ({ network = DEFAULTS.network, deploymentPath, providerUrl, outputFile }) => {
+	ensureNetwork(network);
+	ensureDeploymentPath(deploymentPath);
+
+	const { synths, deployment } = loadAndCheckRequiredSources({
+		deploymentPath,
+		network,
+	});
+	const { targets, sources } = deployment;
+
+	if (!providerUrl) {
+		({ providerUrl } = loadConnections({ network }));
+	}
+	const web3 = new Web3(new Web3.providers.HttpProvider(providerUrl));
+
+	const getContract = name =>
+		new web3.eth.Contract(sources[targets[name].source].abi, targets[name].address);
+	const hasFunction = (name, fnc) =>
+		sources[targets[name].source].abi.find(({ name }) => name === fnc);
+	const addressOf = name => (targets[name] || {}).address;
+
+	for (const required of ['AddressResolver', 'Issuer', 'ExchangeRates']) {
+		if (!targets[required]) {
+			throw Error(`Cannot find ${required} in the ${DEPLOYMENT_FILENAME} of ${network}`);
+		}
+	}
+
+	const results = [];
+	// each as { check, contract, expected, actual, pass }
+	const record = result => results.push(result);
+
+	// networks without an owner (such as local) have no owner to check the contracts against
+	const { address: owner } = getUsers({ network, user: 'owner' }) || {};
+	const addressResolver = getContract('AddressResolver');
+
+	console.log(
+		gray(`Checking the ${Object.keys(targets).length} contracts of ${network} at ${providerUrl}...`)
+	);
+	if (!owner) {
+		console.log(gray(`Skipping the owner checks, as ${network} has no owner`));
+	}
+
+	for (const name of Object.keys(targets)) {
+		const { source } = targets[name];
+		const contract = getContract(name);
+
+		if (hasFunction(name, 'getResolverAddressesRequired')) {
+			const [resolver, required, cached] = await Promise.all([
+				contract.methods.resolver().call(),
+				contract.methods.getResolverAddressesRequired().call(),
+				contract.methods.isResolverCached(addressOf('AddressResolver')).call(),
+			]);
+			record({
+				check: 'resolver',
+				contract: name,
+				expected: addressOf('AddressResolver'),
+				actual: resolver,
+				pass: sameAddress(resolver, addressOf('AddressResolver')),
+			});
+
+			const names = required.filter(entry => !/^0x0*$/.test(entry));
+			const missing = [];
+			for (const entry of names) {
+				if (sameAddress(await addressResolver.methods.getAddress(entry).call(), ZERO_ADDRESS)) {
+					missing.push(w3utils.hexToUtf8(entry));
+				}
+			}
+			record({
+				check: 'required addresses',
+				contract: name,
+				expected: `${names.length} in AddressResolver`,
+				actual: missing.length ? `missing ${missing.join(', ')}` : `${names.length} found`,
+				pass: !missing.length,
+			});
+			record({
+				check: 'resolver cache',
+				contract: name,
+				expected: true,
+				actual: cached,
+				pass: cached,
+			});
+		}
+
+		const read = getUnderlyingReader(source);
+		if (read) {
+			const underlying = getUnderlying({ contract: name, targets });
+			if (underlying) {
+				const actual = await contract.methods[read]().call();
+				record({
+					check: read,
+					contract: name,
+					expected: `${underlying} ${addressOf(underlying)}`,
+					actual,
+					pass: sameAddress(actual, addressOf(underlying)),
+				});
+			} else {
+				console.log(gray(`Skipping the ${read} of ${name}, as what it is for isn't deployed`));
+			}
+		}
+
+		if (owner && hasFunction(name, 'owner')) {
+			const actual = await contract.methods.owner().call();
+			record({
+				check: 'owner',
+				contract: name,
+				expected: owner,
+				actual,
+				pass: sameAddress(actual, owner),
+			});
+		}
+	}
+
+	const issuer = getContract('Issuer');
+	const availableSynths = await Promise.all(
+		Array.from(Array(Number(await issuer.methods.availableSynthCount().call())), (_, i) =>
+			issuer.methods.availableSynths(i).call()
+		)
+	);
+	const exchangeRates = getContract('ExchangeRates');
+
+	for (const { name: currencyKey } of synths) {
+		const synth = `Synth${currencyKey}`;
+		const registered = addressOf(synth)
+			? availableSynths.find(address => sameAddress(address, addressOf(synth)))
+			: undefined;
+		record({
+			check: 'available synth',
+			contract: 'Issuer',
+			expected: `${synth} ${addressOf(synth) || '(not deployed)'}`,
+			actual: registered || 'not in availableSynths',
+			pass: !!registered,
+		});
+
+		const rate = await exchangeRates.methods.rateForCurrency(toBytes32(currencyKey)).call();
+		record({
+			check: 'rate',
+			contract: 'ExchangeRates',
+			expected: `a rate for ${currencyKey}`,
+			actual: w3utils.fromWei(rate),
+			pass: rate !== '0',
+		});
+	}
+
+	const failed = results.filter(({ pass }) => !pass);
+	const checks = Array.from(new Set(results.map(({ check }) => check)));
+
+	console.log(gray('-'.repeat(50)));
+	console.log(
+		table(
+			[['Check', 'Passed', 'Failed']].concat(
+				checks.map(name => {
+					const entries = results.filter(({ check }) => check === name);
+					const failures = entries.filter(({ pass }) => !pass).length;
+					return [
+						name,
+						green(entries.length - failures),
+						failures ? red(failures) : gray(failures),
+					];
+				})
+			)
+		)
+	);
+
+	if (failed.length) {
+		console.log(
+			table(
+				[['Check', 'Contract', 'Expected', 'Actual']].concat(
+					failed.map(({ check, contract, expected, actual }) => [
+						check,
+						contract,
+						String(expected),
+						red(String(actual)),
+					])
+				)
+			)
+		);
+		console.log(red(`${failed.length} of ${results.length} checks failed for ${cyan(network)}`));
+		process.exitCode = 1;
+	} else {
+		console.log(green(`All ${results.length} checks passed for ${cyan(network)}`));
+	}
+
+	if (outputFile) {
+		fs.writeFileSync(
+			outputFile,
+			stringify({ network, passed: !failed.length, failed: failed.length, results })
+		);
+		console.log(gray(`Results written to ${outputFile}`));
+	}
+
+	return { passed: !failed.length, results };
+};
+
+module.exports = {
+	check,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('check')
+			.description(
+				'Check that a deployment is wired correctly on-chain: resolvers, proxies, token states, synths, rates and owners'
+			)
+			.option(
+				'-d, --deployment-path <value>',
+				`Path to a folder that has your ${CONFIG_FILENAME}, ${SYNTHS_FILENAME} and ${DEPLOYMENT_FILENAME} files`
+			)
+			.option(
+				'-f, --output-file <value>',
+				'A file to write the results of every check to as JSON (e.g. for CI)'
+			)
+			.option(
+				'-n, --network <value>',
+				'The network to run off.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option(
+				'-p, --provider-url <value>',
+				'The RPC to read from, such as a local fork (default is the provider of the network)'
+			)
+			.action(async (...args) => {
+				try {
+					await check(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+const { gray, yellow, red, cyan, green } = require('chalk');
+const { table } = require('table');
+const w3utils = require('web3-utils');
+
+const { getContracts } = require('../../..');
+
+const { ensureNetwork, loadConnections, providerUrlsOption, getWeb3 } = require('../util');
+const { loadSigner, description: signerDescription } = require('../signer');
+const {
+	inspectDebtCache,
+	maintainDebtCache,
+	DEFAULTS: DEBT_CACHE_DEFAULTS,
+} = require('../debt-cache');
+const Fees = require('../Fees');
+const NonceManager = require('../NonceManager');
+
+const DEFAULTS = {
+	network: 'testnet',
+	gasPrice: '1',
+	maxDeviation: DEBT_CACHE_DEFAULTS.maxDeviation,
+	stuck: 'speed-up',
+};
+
+const formatDeviation = deviation =>
+	deviation === Infinity ? 'new' : `${(deviation * 100).toFixed(2)}%`;
+
+const debtCache = async ({
+	network = DEFAULTS.network,
+	providerUrl,
+	maxDeviation = DEFAULTS.maxDeviation,
+	synths,
+	dryRun,
+	gasPrice = DEFAULTS.gasPrice,
+	feeStrategy,
+	stuck = DEFAULTS.stuck,
+	privateKey,
+	signer,
+}) => {
+	ensureNetwork(network);
+	console.log(gray('Using network:', yellow(network)));
+
+	const {
+		providerUrls,
+		requestsPerSecond,
+		privateKey: envPrivateKey,
+		etherscanLinkPrefix,
+	} = loadConnections({
+		network,
+		providerUrl,
+	});
+
+	const fees = new Fees({ feeStrategy, gasPrice });
+	const { web3, account, rpc } = getWeb3(
+		Object.assign(
+			{ providerUrls, requestsPerSecond, fees, stuck },
+			await loadSigner({ signer, privateKey: privateKey || envPrivateKey })
+		)
+	);
+	console.log(gray('Using wallet', cyan(account)));
+	console.log(gray(`Gas price: ${fees.describe()}`));
+
+	const { DebtCache, Issuer } = getContracts({ network, provider: web3 });
+	if (!DebtCache) {
+		throw Error(`There is no DebtCache in the deployment of ${network}`);
+	}
+
+	const state = await inspectDebtCache({ debtCache: DebtCache, issuer: Issuer });
+	console.log(
+		table(
+			[['Synth', 'Cached debt', 'Current debt', 'Deviation']].concat(
+				state.synths.map(({ currencyKey, cachedDebt, currentDebt, deviation }) => [
+					currencyKey,
+					w3utils.fromWei(cachedDebt),
+					w3utils.fromWei(currentDebt),
+					Math.abs(deviation) >= maxDeviation
+						? yellow(formatDeviation(deviation))
+						: formatDeviation(deviation),
+				])
+			)
+		)
+	);
+	console.log(
+		gray(
+			`Cached debt ${w3utils.fromWei(state.cachedDebt)} oUSD at ${new Date(
+				state.timestamp * 1000
+			).toISOString()}, current debt ${w3utils.fromWei(
+				state.currentDebt
+			)} oUSD (deviation ${formatDeviation(state.deviation)})`
+		)
+	);
+	console.log(
+		gray(
+			`Cache is ${state.isStale ? red('stale') : 'fresh'} and ${
+				state.isInvalid ? red('invalid') : 'valid'
+			}, the rates are ${state.anyRateIsInvalid ? red('invalid') : 'valid'}`
+		)
+	);
+
+	const refreshed = await maintainDebtCache({
+		state,
+		debtCache: DebtCache,
+		issuer: Issuer,
+		maxDeviation,
+		currencyKeys: synths,
+		send: async ({ write, writeArg, gasLimit }) => {
+			const description = `DebtCache.${write}(${writeArg})`;
+			if (dryRun) {
+				console.log(green(`[DRY RUN] ${description}`));
+				return;
+			}
+			const transaction = DebtCache.methods[write](...writeArg);
+			// unless given a gas limit, its gas is estimated by the signing provider, with the margin of the fees
+			const { transactionHash } = await transaction.send(
+				Object.assign({ from: account }, gasLimit ? { gas: gasLimit } : {})
+			);
+			console.log(green(description), gray(`${etherscanLinkPrefix}/tx/${transactionHash}`));
+			return transactionHash;
+		},
+	});
+
+	fees.summary();
+	rpc.summary();
+
+	return refreshed;
+};
+
+module.exports = {
+	debtCache,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('debt-cache')
+			.description(
+				'Compare the debt cache with the current debt of each synth, refreshing it when stale, invalid or too far from it'
+			)
+			.option(
+				'-g, --gas-price <value>',
+				'Gas price in GWEI, for the fixed fee strategy',
+				DEFAULTS.gasPrice
+			)
+			.option(
+				'-m, --max-deviation <value>',
+				'How far the current debt may be from the cached debt, as a fraction, before the cache is refreshed',
+				parseFloat,
+				DEFAULTS.maxDeviation
+			)
+			.option(
+				'-n, --network <value>',
+				'The network to run off.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option(...providerUrlsOption)
+			.option(
+				'-s, --synths <value>',
+				'Update only these synths when the cache is too far from the current debt, comma separated (default is a snapshot of every synth)',
+				x => x.split(',').map(key => key.trim())
+			)
+			.option('-v, --private-key <value>', 'Provide private key to send from given account')
+			.option(
+				'-x, --dry-run',
+				'If enabled, will not run any transactions but merely report on them.'
+			)
+			.option('--fee-strategy <value>', Fees.description)
+			.option('--signer <value>', signerDescription)
+			.option('--stuck <value>', NonceManager.description, DEFAULTS.stuck)
+			.action(async (...args) => {
+				try {
+					await debtCache(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
@@ -0,0 +1,299 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const { gray, green, yellow, red, cyan } = require('chalk');
+const { table } = require('table');
+const Web3 = require('web3');
+
+const { compareBytecode } = require('../bytecode');
+const { loadCompiledFiles } = require('../solidity');
+const { sameAddress, getUnderlyingReader } = require('../wiring');
+const {
+	ensureNetwork,
+	ensureDeploymentPath,
+	loadAndCheckRequiredSources,
+	loadConnections,
+	confirmAction,
+	stringify,
+} = require('../util');
+
+const {
+	getUnderlying,
+	toBytes32,
+	constants: { BUILD_FOLDER, CONFIG_FILENAME, DEPLOYMENT_FILENAME, ZERO_ADDRESS },
+} = require('../../..');
+
+const DEFAULTS = {
+	network: 'testnet',
+	buildPath: path.join(__dirname, '..', '..', '..', BUILD_FOLDER),
+};
+
+const drift = async ({
+	network = DEFAULTS.network,
+	buildPath = DEFAULTS.buildPath,
+	deploymentPath,
+	providerUrl,
+	outputFile,
+	write,
+	yes,
+}) => {
+	ensureNetwork(network);
+	ensureDeploymentPath(deploymentPath);
+
+	const { deployment, deploymentFile } = loadAndCheckRequiredSources({
+		deploymentPath,
+		network,
+	});
+	const { targets, sources } = deployment;
+
+	// the compiled contracts are only needed for where any immutables are
+	const { compiled = {} } = loadCompiledFiles({ buildPath });
+
+	const { providerUrl: defaultProviderUrl, etherscanLinkPrefix } = loadConnections({ network });
+	providerUrl = providerUrl || defaultProviderUrl;
+	const web3 = new Web3(new Web3.providers.HttpProvider(providerUrl));
+
+	const addressOf = name => (targets[name] || {}).address;
+
+	const compareCode = async ({ address, source }) => {
+		if (!sources[source] || !sources[source].bytecode) {
+			return { deployedHash: null, expectedHash: null, matches: false };
+		}
+		const { deployedBytecode = {} } = (compiled[source] || {}).evm || {};
+		return compareBytecode({
+			code: await web3.eth.getCode(address),
+			bytecode: sources[source].bytecode,
+			immutableReferences: deployedBytecode.immutableReferences,
+		});
+	};
+
+	// each as { contract, kind, expected, actual, implies }, where implies is the contract whose
+	// address in the deployment file the chain disagrees with, if any
+	const drifted = [];
+	// the addresses the chain has for each contract, where they differ from the deployment file
+	const onChain = {};
+	const disagree = ({ contract, kind, implies, actual }) => {
+		drifted.push({ contract, kind, expected: addressOf(implies), actual, implies });
+		onChain[implies] = (onChain[implies] || []).concat(actual);
+	};
+
+	console.log(
+		gray(
+			`Comparing the ${Object.keys(targets).length} contracts of ${network} at ${providerUrl}...`
+		)
+	);
+
+	const addressResolver = targets['AddressResolver']
+		? new web3.eth.Contract(
+				sources[targets['AddressResolver'].source].abi,
+				addressOf('AddressResolver')
+		  )
+		: undefined;
+
+	const hashes = {};
+	for (const [name, { address, source }] of Object.entries(targets)) {
+		const { deployedHash, expectedHash, matches } = await compareCode({ address, source });
+		hashes[name] = { deployedHash, expectedHash };
+		if (!deployedHash) {
+			drifted.push({ contract: name, kind: 'code', expected: source, actual: 'no code' });
+			continue;
+		} else if (!matches) {
+			drifted.push({
+				contract: name,
+				kind: 'bytecode',
+				expected: expectedHash || `no bytecode for ${source}`,
+				actual: deployedHash,
+			});
+		}
+
+		const { abi } = sources[source] || {};
+		if (!abi) {
+			continue;
+		}
+		const contract = new web3.eth.Contract(abi, address);
+		const hasFunction = fnc => abi.find(({ name }) => name === fnc);
+
+		if (addressResolver) {
+			const resolved = await addressResolver.methods.getAddress(toBytes32(name)).call();
+			if (!sameAddress(resolved, ZERO_ADDRESS) && !sameAddress(resolved, address)) {
+				disagree({
+					contract: 'AddressResolver',
+					kind: `getAddress(${name})`,
+					implies: name,
+					actual: resolved,
+				});
+			}
+		}
+
+		if (hasFunction('resolver') && hasFunction('getResolverAddressesRequired')) {
+			const resolver = await contract.methods.resolver().call();
+			if (!sameAddress(resolver, addressOf('AddressResolver'))) {
+				disagree({
+					contract: name,
+					kind: 'resolver',
+					implies: 'AddressResolver',
+					actual: resolver,
+				});
+			}
+		}
+
+		const read = getUnderlyingReader(source);
+		const underlying = read && getUnderlying({ contract: name, targets });
+		if (underlying) {
+			const actual = await contract.methods[read]().call();
+			if (!sameAddress(actual, addressOf(underlying))) {
+				disagree({ contract: name, kind: read, implies: underlying, actual });
+			}
+		}
+	}
+
+	// correct the address of a contract only where the chain agrees on another one, which has the
+	// code of its source
+	const corrections = {};
+	const uncorrected = {};
+	for (const [name, addresses] of Object.entries(onChain)) {
+		const distinct = Array.from(new Set(addresses.map(address => address.toLowerCase())));
+		const address = addresses.find(entry => sameAddress(entry, distinct[0]));
+		if (distinct.length > 1) {
+			uncorrected[name] = `the chain has ${distinct.length} different addresses for it`;
+		} else if (sameAddress(address, ZERO_ADDRESS)) {
+			uncorrected[name] = 'the chain has no address for it';
+		} else if (!(await compareCode({ address, source: targets[name].source })).matches) {
+			uncorrected[name] = `the code at ${address} isn't that of ${targets[name].source}`;
+		} else {
+			corrections[name] = { from: addressOf(name), to: address };
+		}
+	}
+
+	console.log(gray('-'.repeat(50)));
+	if (!drifted.length) {
+		console.log(green(`The ${DEPLOYMENT_FILENAME} of ${cyan(network)} matches the chain`));
+	} else {
+		console.log(
+			red(`${drifted.length} differences between the ${DEPLOYMENT_FILENAME} and the chain:`)
+		);
+		console.log(
+			table(
+				[['Contract', 'Check', DEPLOYMENT_FILENAME, 'On-chain']].concat(
+					drifted.map(({ contract, kind, expected, actual }) => [
+						contract,
+						kind,
+						String(expected),
+						red(String(actual)),
+					])
+				)
+			)
+		);
+	}
+
+	if (Object.keys(uncorrected).length) {
+		console.log(
+			yellow(
+				`Cannot correct:\n\t${Object.entries(uncorrected)
+					.map(([name, reason]) => `${name}, as ${reason}`)
+					.join('\n\t')}`
+			)
+		);
+	}
+
+	if (Object.keys(corrections).length) {
+		console.log(
+			table(
+				[['Contract', DEPLOYMENT_FILENAME, 'Corrected to']].concat(
+					Object.entries(corrections).map(([name, { from, to }]) => [name, from, green(to)])
+				)
+			)
+		);
+	}
+
+	if (outputFile) {
+		fs.writeFileSync(outputFile, stringify({ network, drifted, hashes, corrections, uncorrected }));
+		console.log(gray(`Differences written to ${outputFile}`));
+	}
+
+	if (drifted.length) {
+		process.exitCode = 1;
+	}
+
+	if (!write || !Object.keys(corrections).length) {
+		return { drifted, corrections };
+	}
+
+	if (!yes) {
+		try {
+			await confirmAction(
+				yellow(
+					`⚠ This will update the addresses of ${Object.keys(corrections).join(
+						', '
+					)} in ${deploymentFile}. Do you want to continue? (y/n) `
+				)
+			);
+		} catch (err) {
+			console.log(gray('Operation cancelled'));
+			return { drifted, corrections };
+		}
+	}
+
+	for (const [name, { to }] of Object.entries(corrections)) {
+		// the transaction and time it was deployed at are unknown
+		targets[name] = Object.assign({}, targets[name], {
+			address: to,
+			link: `${etherscanLinkPrefix}/address/${to}`,
+			timestamp: '',
+			txn: '',
+		});
+	}
+	fs.writeFileSync(deploymentFile, stringify(deployment));
+	console.log(gray(`Corrected ${deploymentFile}`));
+
+	return { drifted, corrections };
+};
+
+module.exports = {
+	drift,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('drift')
+			.description(
+				`Compare the code and wiring of the contracts on-chain with the ${DEPLOYMENT_FILENAME}, optionally correcting it`
+			)
+			.option(
+				'-b, --build-path [value]',
+				'Path to a folder hosting compiled files from the "build" step, for where any immutables are',
+				DEFAULTS.buildPath
+			)
+			.option(
+				'-d, --deployment-path <value>',
+				`Path to a folder that has your ${CONFIG_FILENAME} and ${DEPLOYMENT_FILENAME} files`
+			)
+			.option(
+				'-f, --output-file <value>',
+				'A file to write the differences and bytecode hashes to as JSON (e.g. for CI)'
+			)
+			.option(
+				'-n, --network <value>',
+				'The network to run off.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option(
+				'-p, --provider-url <value>',
+				'The RPC to read from, such as a local fork (default is the provider of the network)'
+			)
+			.option(
+				'-w, --write',
+				`Update the addresses in the ${DEPLOYMENT_FILENAME} the chain agrees on, and which have the code of their source`
+			)
+			.option('-y, --yes', 'Dont prompt, just reply yes.')
+			.action(async (...args) => {
+				try {
+					await drift(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
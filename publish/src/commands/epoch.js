@@ -0,0 +1,342 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { gray, yellow, red, cyan, green } = require('chalk');
+const { table } = require('table');
+const w3utils = require('web3-utils');
+
+const {
+	getContracts,
+	getMulticall,
+	constants: { BUILD_FOLDER },
+} = require('../../..');
+
+const {
+	ensureNetwork,
+	loadConnections,
+	providerUrlsOption,
+	getWeb3,
+	stringify,
+	runRounds,
+} = require('../util');
+const { loadSigner, description: signerDescription } = require('../signer');
+const { sameAddress } = require('../wiring');
+const Fees = require('../Fees');
+const NonceManager = require('../NonceManager');
+
+const DEFAULTS = {
+	network: 'testnet',
+	gasPrice: '1',
+	// in seconds, between the rounds of the keeper
+	interval: 3600,
+	reportFolder: path.join(__dirname, '..', '..', '..', BUILD_FOLDER, 'epochs'),
+	stuck: 'speed-up',
+};
+
+const TRANSFER_TOPIC = w3utils.keccak256('Transfer(address,address,uint256)');
+const REWARDS_DISTRIBUTED_TOPIC = w3utils.keccak256('RewardsDistributed(uint256)');
+
+const formatTime = seconds => new Date(Number(seconds) * 1000).toISOString();
+
+const epoch = async ({
+	network = DEFAULTS.network,
+	providerUrl,
+	reportFolder = DEFAULTS.reportFolder,
+	watch,
+	interval = DEFAULTS.interval,
+	dryRun,
+	gasPrice = DEFAULTS.gasPrice,
+	feeStrategy,
+	stuck = DEFAULTS.stuck,
+	privateKey,
+	signer,
+}) => {
+	ensureNetwork(network);
+	console.log(gray('Using network:', yellow(network)));
+
+	const {
+		providerUrls,
+		requestsPerSecond,
+		privateKey: envPrivateKey,
+		etherscanLinkPrefix,
+	} = loadConnections({
+		network,
+		providerUrl,
+	});
+
+	const fees = new Fees({ feeStrategy, gasPrice });
+	const { web3, account, rpc } = getWeb3(
+		Object.assign(
+			{ providerUrls, requestsPerSecond, fees, stuck },
+			await loadSigner({ signer, privateKey: privateKey || envPrivateKey })
+		)
+	);
+	console.log(gray('Using wallet', cyan(account)));
+	console.log(gray(`Gas price: ${fees.describe()}`));
+
+	// Oikos.mint rewards its sender, so it is called on Oikos rather than through its proxy
+	const { FeePool, Oikos, SupplySchedule, RewardsDistribution, OikosDebtShare } = getContracts({
+		network,
+		provider: web3,
+	});
+	const multicall = getMulticall({ network, provider: web3 });
+
+	// send a transaction, returning its receipt
+	const send = async ({ description, transaction }) => {
+		if (dryRun) {
+			console.log(green(`[DRY RUN] ${description}`));
+			return;
+		}
+		// its gas is estimated by the signing provider, with the margin of the fees
+		const receipt = await transaction.send({ from: account });
+		console.log(green(description), gray(`${etherscanLinkPrefix}/tx/${receipt.transactionHash}`));
+		return receipt;
+	};
+
+	// the OKS minted that RewardsDistribution distributed, and whether each got its share
+	const checkDistributions = async transactionHash => {
+		// the logs of other contracts are dropped from the receipt of a contract method
+		const { logs } = await web3.eth.getTransactionReceipt(transactionHash);
+		const [oikosProxy, rewardEscrow, length] = await multicall([
+			{ contract: RewardsDistribution, method: 'oikosProxy' },
+			{ contract: RewardsDistribution, method: 'rewardEscrow' },
+			{ contract: RewardsDistribution, method: 'distributionsLength' },
+		]);
+		const distributions = await multicall(
+			Array.from({ length: Number(length) }, (_, i) => ({
+				contract: RewardsDistribution,
+				method: 'distributions',
+				args: [i],
+			}))
+		);
+		const distributedLog = logs.find(
+			({ address, topics }) =>
+				sameAddress(address, RewardsDistribution.options.address) &&
+				topics[0] === REWARDS_DISTRIBUTED_TOPIC
+		);
+		if (!distributedLog) {
+			return { distributed: '0', distributions: [] };
+		}
+		const distributed = web3.eth.abi.decodeParameter('uint256', distributedLog.data);
+		const transfers = logs
+			.filter(
+				({ address, topics }) => sameAddress(address, oikosProxy) && topics[0] === TRANSFER_TOPIC
+			)
+			.map(({ topics, data }) => ({
+				from: web3.eth.abi.decodeParameter('address', topics[1]),
+				to: web3.eth.abi.decodeParameter('address', topics[2]),
+				value: web3.eth.abi.decodeParameter('uint256', data),
+			}));
+
+		// those removed are left empty, and skipped
+		const expected = distributions
+			.filter(({ destination, amount }) => !w3utils.toBN(destination).isZero() || Number(amount))
+			.map(({ destination, amount }) => ({ destination, amount }));
+		// what is left goes to RewardEscrow, for the stakers to claim
+		const remainder = expected.reduce(
+			(memo, { amount }) => memo.sub(w3utils.toBN(amount)),
+			w3utils.toBN(distributed)
+		);
+
+		return {
+			distributed: w3utils.fromWei(distributed),
+			distributions: expected
+				.concat({ destination: rewardEscrow, amount: remainder.toString() })
+				.map(({ destination, amount }) => ({
+					destination,
+					amount: w3utils.fromWei(amount),
+					received: transfers.some(
+						({ from, to, value }) =>
+							sameAddress(from, RewardsDistribution.options.address) &&
+							sameAddress(to, destination) &&
+							value === amount
+					),
+				})),
+		};
+	};
+
+	// run a step of the epoch, recording it (or why it failed) in the report
+	const step = async (report, name, fn) => {
+		try {
+			const result = await fn();
+			if (result) {
+				report[name] = result;
+			}
+		} catch (err) {
+			console.log(red(`Could not ${name}: ${err.message}`));
+			report[name] = { error: err.message };
+		}
+	};
+
+	const round = async () => {
+		const { timestamp: now } = await web3.eth.getBlock('latest');
+		const [
+			{ feePeriodId, startTime },
+			feePeriodDuration,
+			isMintable,
+			lastMintEvent,
+			mintPeriodDuration,
+		] = await multicall([
+			{ contract: FeePool, method: 'recentFeePeriods', args: [0] },
+			{ contract: FeePool, method: 'feePeriodDuration' },
+			{ contract: SupplySchedule, method: 'isMintable' },
+			{ contract: SupplySchedule, method: 'lastMintEvent' },
+			{ contract: SupplySchedule, method: 'MINT_PERIOD_DURATION' },
+		]);
+
+		const report = { network, feePeriodId: Number(feePeriodId) };
+
+		const closesAt = Number(startTime) + Number(feePeriodDuration);
+		if (now >= closesAt) {
+			await step(report, 'close', async () => {
+				const receipt = await send({
+					description: `Close fee period ${feePeriodId}`,
+					transaction: FeePool.methods.closeCurrentFeePeriod(),
+				});
+				// the period opened by closing it, as predicted when not sent
+				report.feePeriodId = receipt
+					? Number((await FeePool.methods.recentFeePeriods(0).call()).feePeriodId)
+					: Number(feePeriodId) + 1;
+				return {
+					feePeriodId: Number(feePeriodId),
+					transactionHash: (receipt || {}).transactionHash,
+				};
+			});
+		} else {
+			console.log(gray(`Fee period ${feePeriodId} closes at ${formatTime(closesAt)}`));
+		}
+
+		if (isMintable) {
+			await step(report, 'mint', async () => {
+				const receipt = await send({
+					description: 'Mint the inflationary supply',
+					transaction: Oikos.methods.mint(),
+				});
+				if (!receipt) {
+					return;
+				}
+				const { distributed, distributions } = await checkDistributions(receipt.transactionHash);
+				console.log(
+					table(
+						[['Destination', 'OKS', 'Received']].concat(
+							distributions.map(({ destination, amount, received }) => [
+								destination,
+								amount,
+								received ? green('yes') : red('no'),
+							])
+						)
+					)
+				);
+				if (!distributions.length || distributions.some(({ received }) => !received)) {
+					console.log(yellow(`Not all of the ${distributed} OKS minted was distributed`));
+				}
+				return { transactionHash: receipt.transactionHash, distributed, distributions };
+			});
+		} else {
+			console.log(
+				gray(
+					`Nothing to mint until ${formatTime(Number(lastMintEvent) + Number(mintPeriodDuration))}`
+				)
+			);
+		}
+
+		// the debt shares of each fee period are kept from when it opens
+		if (OikosDebtShare) {
+			const [currentPeriodId, authorized] = await multicall([
+				{ contract: OikosDebtShare, method: 'currentPeriodId' },
+				{ contract: OikosDebtShare, method: 'authorizedToSnapshot', args: [account] },
+			]);
+			if (Number(currentPeriodId) >= report.feePeriodId) {
+				console.log(gray(`The debt shares of fee period ${currentPeriodId} are already kept`));
+			} else if (!authorized) {
+				console.log(yellow(`Cannot snapshot the debt shares, as ${account} is not authorized to`));
+			} else {
+				await step(report, 'snapshot', async () => {
+					const receipt = await send({
+						description: `Snapshot the debt shares for fee period ${report.feePeriodId}`,
+						transaction: OikosDebtShare.methods.takeSnapshot(report.feePeriodId),
+					});
+					return { periodId: report.feePeriodId, transactionHash: (receipt || {}).transactionHash };
+				});
+			}
+		}
+
+		if (!dryRun && (report.close || report.mint || report.snapshot)) {
+			// a report per epoch, adding to any of an earlier round
+			const reportFile = path.join(reportFolder, network, `${report.feePeriodId}.json`);
+			fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+			fs.writeFileSync(
+				reportFile,
+				stringify(
+					Object.assign(
+						fs.existsSync(reportFile) ? JSON.parse(fs.readFileSync(reportFile)) : {},
+						report,
+						{ updatedAt: new Date() }
+					)
+				)
+			);
+			console.log(gray(`Report of fee period ${report.feePeriodId} written to ${reportFile}`));
+		}
+
+		return report;
+	};
+
+	const reports = await runRounds({ round, watch, interval });
+	fees.summary();
+	rpc.summary();
+
+	return reports;
+};
+
+module.exports = {
+	epoch,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('epoch')
+			.description(
+				'Close the fee period when it is due, mint the inflationary supply when mintable and snapshot the debt shares of the new fee period'
+			)
+			.option(
+				'-g, --gas-price <value>',
+				'Gas price in GWEI, for the fixed fee strategy',
+				DEFAULTS.gasPrice
+			)
+			.option(
+				'-i, --interval <value>',
+				'Seconds between the rounds of the keeper',
+				x => parseInt(x, 10),
+				DEFAULTS.interval
+			)
+			.option(
+				'-n, --network <value>',
+				'The network to run off.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option(
+				'-o, --report-folder <value>',
+				'The folder to write the report of each fee period to (in a folder for the network)',
+				DEFAULTS.reportFolder
+			)
+			.option(...providerUrlsOption)
+			.option('-v, --private-key <value>', 'Provide private key to send from given account')
+			.option('-w, --watch', 'Keep watching, checking again after each interval')
+			.option(
+				'-x, --dry-run',
+				'If enabled, will not run any transactions but merely report on them.'
+			)
+			.option('--fee-strategy <value>', Fees.description)
+			.option('--signer <value>', signerDescription)
+			.option('--stuck <value>', NonceManager.description, DEFAULTS.stuck)
+			.action(async (...args) => {
+				try {
+					await epoch(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
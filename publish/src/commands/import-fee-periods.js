@@ -3,7 +3,6 @@
 const path = require('path');
 const fs = require('fs');
 const w3utils = require('web3-utils');
-const Web3 = require('web3');
 const { red, gray, green, yellow } = require('chalk');
 
 const {
@@ -13,7 +12,6 @@ const {
 
 const DEFAULTS = {
 	gasPrice: '1',
-	gasLimit: 1.5e6, // 1.5m
 	network: 'testnet',
 };
 
@@ -22,9 +20,14 @@ const {
 	ensureDeploymentPath,
 	loadAndCheckRequiredSources,
 	loadConnections,
+	getWeb3,
 	confirmAction,
 	stringify,
 } = require('../util');
+const { forkAction } = require('../fork');
+const { loadSigner, description: signerDescription } = require('../signer');
+const Fees = require('../Fees');
+const NonceManager = require('../NonceManager');
 
 const pathToLocal = name => path.join(__dirname, `${name}.json`);
 
@@ -39,23 +42,34 @@ const importFeePeriods = async ({
 	deploymentPath,
 	network = DEFAULTS.network,
 	gasPrice = DEFAULTS.gasPrice,
-	gasLimit = DEFAULTS.gasLimit,
+	gasLimit,
+	feeStrategy,
+	stuck,
 	sourceContractAddress,
 	privateKey,
 	yes,
 	override,
 	skipTimeCheck = false,
+	fork,
+	signer,
 }) => {
 	ensureNetwork(network);
 	ensureDeploymentPath(deploymentPath);
+	const fees = new Fees({ feeStrategy, gasPrice });
 
 	const { deployment } = loadAndCheckRequiredSources({
 		deploymentPath,
 		network,
 	});
 
-	const { providerUrl, privateKey: envPrivateKey, etherscanLinkPrefix } = loadConnections({
+	const {
+		providerUrls,
+		requestsPerSecond,
+		privateKey: envPrivateKey,
+		etherscanLinkPrefix,
+	} = loadConnections({
 		network,
+		fork,
 	});
 
 	// allow local deployments to use the private key passed as a CLI option
@@ -63,9 +77,12 @@ const importFeePeriods = async ({
 		privateKey = envPrivateKey;
 	}
 
-	const web3 = new Web3(new Web3.providers.HttpProvider(providerUrl));
-	web3.eth.accounts.wallet.add(privateKey);
-	const account = web3.eth.accounts.wallet[0].address;
+	const { web3, account, rpc } = getWeb3(
+		Object.assign(
+			{ providerUrls, requestsPerSecond, fees, stuck, yes },
+			await loadSigner({ signer, privateKey, fork })
+		)
+	);
 	console.log(gray(`Using account with public key ${account}`));
 
 	let { address: targetContractAddress, source } = deployment.targets['FeePool'];
@@ -97,7 +114,7 @@ const importFeePeriods = async ({
 
 	const entry = feePoolVersions.slice(-2);
 	sourceContractAddress = entry.address;
-	
+
 	//console.log(entry)
 	//const feePeriods = [];
 
@@ -107,15 +124,14 @@ const importFeePeriods = async ({
 	//		'Cannot use same FeePool address as the source and the target. Check your source input.'
 	//	);
 	//} else {
-		console.log(gray(`Reading from old FeePool at: ${"0x4a7644B4b3ae6E4e2c53D01a39E7C4afA25061aF"}`));
-		console.log(gray(`Importing into new FeePool at: ${targetContractAddress}`));
+	console.log(gray(`Reading from old FeePool at: ${'0x4a7644B4b3ae6E4e2c53D01a39E7C4afA25061aF'}`));
+	console.log(gray(`Importing into new FeePool at: ${targetContractAddress}`));
 	//}
-	const sourceContract = new web3.eth.Contract(abi, "0x4a7644B4b3ae6E4e2c53D01a39E7C4afA25061aF");
+	const sourceContract = new web3.eth.Contract(abi, '0x4a7644B4b3ae6E4e2c53D01a39E7C4afA25061aF');
 	const targetContract = new web3.eth.Contract(abi, targetContractAddress);
 
 	const feePeriodLength = await sourceContract.methods.FEE_PERIOD_LENGTH().call();
 
-	
 	// Check sources
 	for (let i = 0; i <= feePeriodLength - 1; i++) {
 		const period = await sourceContract.methods.recentFeePeriods(i).call();
@@ -165,12 +181,12 @@ const importFeePeriods = async ({
 	console.log(gray('The fee periods to import over are as follows:'));
 	console.log(gray(stringify(feePeriods)));
 
-	console.log(gray(`Gas Price: ${gasPrice} gwei`));
+	console.log(gray(`Gas Price: ${fees.describe()}`));
 
 	if (network !== 'local') {
 		saveFeePeriodsToFile({ network, feePeriods, sourceContractAddress });
 	}
-/*
+	/*
 	const feePeriods = [
 		{
 			"feePeriodId": "16",
@@ -231,11 +247,9 @@ const importFeePeriods = async ({
 			feePeriod.rewardsClaimed,
 		];
 		console.log(yellow(`Attempting action FeePool.importFeePeriod(${importArgs})`));
-		const { transactionHash } = await targetContract.methods.importFeePeriod(...importArgs).send({
-			from: account,
-			gasLimit: Number(gasLimit),
-			gasPrice: w3utils.toWei("10", 'gwei'),
-		});
+		const { transactionHash } = await targetContract.methods
+			.importFeePeriod(...importArgs)
+			.send(Object.assign({ from: account }, gasLimit ? { gas: Number(gasLimit) } : {}));
 		index++;
 
 		console.log(
@@ -245,6 +259,8 @@ const importFeePeriods = async ({
 		);
 	}
 */
+	fees.summary();
+	rpc.summary();
 	console.log(gray('Action complete.'));
 };
 
@@ -258,8 +274,14 @@ module.exports = {
 				'-d, --deployment-path <value>',
 				`Path to a folder that has your input configuration file (${CONFIG_FILENAME}) and where your ${DEPLOYMENT_FILENAME} files will go`
 			)
-			.option('-g, --gas-price <value>', 'Gas price in GWEI', DEFAULTS.gasPrice)
-			.option('-l, --gas-limit <value>', 'Gas limit', parseInt, DEFAULTS.gasLimit)
+			.option(
+				'-g, --gas-price <value>',
+				'Gas price in GWEI, for the fixed fee strategy',
+				DEFAULTS.gasPrice
+			)
+			.option('-l, --gas-limit <value>', 'Gas limit (default is to estimate it)', parseInt)
+			.option('--fee-strategy <value>', Fees.description)
+			.option('--stuck <value>', NonceManager.description, NonceManager.DEFAULTS.stuck)
 			.option('-s, --source-contract-address <value>', 'The Fee Pool source contract address')
 			.option(
 				'-n, --network <value>',
@@ -271,6 +293,7 @@ module.exports = {
 				'-v, --private-key [value]',
 				'The private key to deploy with (only works in local mode, otherwise set in .env).'
 			)
+			.option('--signer <value>', signerDescription)
 			.option(
 				'-o, --override',
 				'Override fee periods in target - use when resuming an import process that failed or was cancelled partway through'
@@ -279,11 +302,19 @@ module.exports = {
 				'-t, --skip-time-check',
 				"Do not do a time check - I sure hope you know what you're doing"
 			)
+			.option(
+				'--fork',
+				'Rehearse on a local fork of the network as the owner, against a copy of the deployment folder'
+			)
+			.option(
+				'--fork-cache <value>',
+				'The JSON-RPC cache to fork from, recorded from the network if it does not exist (default is build/fork/<network>.json)'
+			)
 			.option('-y, --yes', 'Dont prompt, just reply yes.')
 
 			.action(async (...args) => {
 				try {
-					await importFeePeriods(...args);
+					await forkAction(importFeePeriods)(...args);
 				} catch (err) {
 					// show pretty errors for CLI users
 					console.error(red(err));
@@ -0,0 +1,130 @@
+'use strict';
+
+const { gray, green, red } = require('chalk');
+const { table } = require('table');
+const Web3 = require('web3');
+
+const Indexer = require('../Indexer');
+const {
+	ensureNetwork,
+	ensureDeploymentPath,
+	loadAndCheckRequiredSources,
+	loadConnections,
+} = require('../util');
+
+const {
+	constants: { CONFIG_FILENAME, DEPLOYMENT_FILENAME },
+} = require('../../..');
+
+const DEFAULTS = {
+	network: 'testnet',
+	folder: Indexer.DEFAULTS.folder,
+	pageSize: Indexer.DEFAULTS.pageSize,
+};
+
+const indexEvents = async ({
+	network = DEFAULTS.network,
+	deploymentPath,
+	providerUrl,
+	folder = DEFAULTS.folder,
+	fromBlock,
+	confirmations,
+	pageSize = DEFAULTS.pageSize,
+}) => {
+	ensureNetwork(network);
+	ensureDeploymentPath(deploymentPath);
+
+	const {
+		deployment: { targets, sources },
+	} = loadAndCheckRequiredSources({
+		deploymentPath,
+		network,
+	});
+
+	// the provider and confirmations default to those of the network
+	const connections = loadConnections({ network });
+	providerUrl = providerUrl || connections.providerUrl;
+	if (confirmations === undefined) {
+		confirmations = connections.confirmations;
+	}
+	const web3 = new Web3(new Web3.providers.HttpProvider(providerUrl));
+
+	const indexer = new Indexer({
+		network,
+		web3,
+		folder,
+		fromBlock,
+		confirmations,
+		pageSize,
+		targets,
+		sources,
+	});
+
+	console.log(gray(`Indexing the events of ${network} into ${indexer.folder}...`));
+	const { blockNumber } = await indexer.sync();
+
+	const events = Array.from(
+		new Set(Object.values(indexer.emitters).map(({ event: { name } }) => name))
+	).sort();
+	console.log(
+		table([['Event', 'Indexed']].concat(events.map(event => [event, indexer.query(event).length])))
+	);
+	console.log(green(`Indexed ${network} up to block ${blockNumber}`));
+
+	return indexer;
+};
+
+module.exports = {
+	indexEvents,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('index-events')
+			.description(
+				'Index the exchanges, issuance, fee claims, liquidations, escrow and loans of a deployment into a local store, from where it got to'
+			)
+			.option(
+				'-c, --confirmations <value>',
+				'How many blocks behind the latest to index up to, as those after may yet be reorganised (default is the confirmations of the network)',
+				x => parseInt(x, 10)
+			)
+			.option(
+				'-d, --deployment-path <value>',
+				`Path to a folder that has your ${CONFIG_FILENAME} and ${DEPLOYMENT_FILENAME} files`
+			)
+			.option(
+				'-f, --from-block <value>',
+				'The block to index from when first indexing (default is where the network was first used)',
+				x => parseInt(x, 10)
+			)
+			.option(
+				'-i, --folder <value>',
+				'The folder to keep the index in (in a folder for the network)',
+				DEFAULTS.folder
+			)
+			.option(
+				'-n, --network <value>',
+				'The network to run off.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option(
+				'-p, --provider-url <value>',
+				'The RPC to read from (default is the provider of the network)'
+			)
+			.option(
+				'-s, --page-size <value>',
+				'The most blocks to request the events of at once',
+				x => parseInt(x, 10),
+				DEFAULTS.pageSize
+			)
+			.action(async (...args) => {
+				try {
+					await indexEvents(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
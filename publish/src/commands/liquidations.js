@@ -0,0 +1,315 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { gray, yellow, red, cyan, green } = require('chalk');
+const { table } = require('table');
+const w3utils = require('web3-utils');
+
+const {
+	getContracts,
+	getMulticall,
+	toBytes32,
+	constants: { BUILD_FOLDER },
+} = require('../../..');
+
+const {
+	ensureNetwork,
+	loadConnections,
+	providerUrlsOption,
+	getWeb3,
+	stringify,
+	runRounds,
+} = require('../util');
+const { loadSigner, description: signerDescription } = require('../signer');
+const Fees = require('../Fees');
+const Indexer = require('../Indexer');
+const NonceManager = require('../NonceManager');
+
+const DEFAULTS = {
+	network: 'testnet',
+	gasPrice: '1',
+	// in seconds, between the rounds of the keeper
+	interval: 60,
+	watchlistFolder: path.join(__dirname, '..', '..', '..', BUILD_FOLDER, 'liquidations'),
+	stuck: 'speed-up',
+};
+
+const formatDeadline = deadline =>
+	Number(deadline) ? new Date(Number(deadline) * 1000).toISOString() : '-';
+
+const liquidations = async ({
+	network = DEFAULTS.network,
+	providerUrl,
+	watchlistFile,
+	flag,
+	liquidate,
+	amount,
+	maxGas,
+	watch,
+	interval = DEFAULTS.interval,
+	dryRun,
+	gasPrice = DEFAULTS.gasPrice,
+	feeStrategy,
+	stuck = DEFAULTS.stuck,
+	privateKey,
+	signer,
+}) => {
+	ensureNetwork(network);
+	console.log(gray('Using network:', yellow(network)));
+
+	const {
+		providerUrls,
+		requestsPerSecond,
+		privateKey: envPrivateKey,
+		etherscanLinkPrefix,
+	} = loadConnections({
+		network,
+		providerUrl,
+	});
+	watchlistFile = watchlistFile || path.join(DEFAULTS.watchlistFolder, `${network}.json`);
+
+	const fees = new Fees({ feeStrategy, gasPrice });
+	const { web3, account, rpc } = getWeb3(
+		Object.assign(
+			{ providerUrls, requestsPerSecond, fees, stuck },
+			await loadSigner({ signer, privateKey: privateKey || envPrivateKey })
+		)
+	);
+	console.log(gray('Using wallet', cyan(account)));
+	console.log(gray(`Gas price: ${fees.describe()}`));
+
+	// the proxy has the ABI of Oikos
+	const { ProxyERC20: Oikos, Liquidations, ExchangeRates, SynthoUSD } = getContracts({
+		network,
+		provider: web3,
+	});
+	const indexer = new Indexer({ network, web3 });
+	const multicall = getMulticall({ network, provider: web3 });
+
+	// the accounts being watched, by address, as where they were at when last checked
+	const watchlist = fs.existsSync(watchlistFile)
+		? JSON.parse(fs.readFileSync(watchlistFile)).accounts
+		: {};
+	const saveWatchlist = liquidationRatio => {
+		fs.mkdirSync(path.dirname(watchlistFile), { recursive: true });
+		fs.writeFileSync(
+			watchlistFile,
+			stringify({ network, updatedAt: new Date(), liquidationRatio, accounts: watchlist })
+		);
+	};
+
+	// send a transaction, unless its estimate is over the max gas
+	const sendWithin = async ({ description, transaction }) => {
+		if (dryRun) {
+			console.log(green(`[DRY RUN] ${description}`));
+			return;
+		}
+		try {
+			// without a max gas, its gas is estimated by the signing provider, with the margin of the fees
+			let gas;
+			if (maxGas) {
+				const estimate = await transaction.estimateGas({ from: account });
+				if (estimate > maxGas) {
+					console.log(yellow(`Skipping ${description}, as it needs ${estimate} gas`));
+					return;
+				}
+				gas = Math.min(Math.ceil(estimate * fees.gasMargin), maxGas);
+			}
+			const { transactionHash } = await transaction.send(
+				Object.assign({ from: account }, gas ? { gas } : {})
+			);
+			console.log(green(description), gray(`${etherscanLinkPrefix}/tx/${transactionHash}`));
+			return transactionHash;
+		} catch (err) {
+			console.log(red(`Could not ${description}: ${err.message}`));
+		}
+	};
+
+	const round = async () => {
+		await indexer.sync();
+
+		// every account that has issued, along with any flagged or watched
+		const accounts = Array.from(
+			new Set(
+				indexer
+					.query('Issued', { contract: 'SynthoUSD' })
+					.concat(indexer.query('AccountFlaggedForLiquidation'))
+					.map(({ account: staker }) => staker)
+					.concat(Object.keys(watchlist))
+			)
+		);
+
+		const liquidationRatio = await Liquidations.methods.liquidationRatio().call();
+		const reads = await multicall(
+			[].concat(
+				...accounts.map(entry => [
+					{ contract: Oikos, method: 'collateralisationRatio', args: [entry] },
+					{ contract: Liquidations, method: 'getLiquidationDeadlineForAccount', args: [entry] },
+					{ contract: Liquidations, method: 'isOpenForLiquidation', args: [entry] },
+				])
+			)
+		);
+
+		accounts.forEach((entry, i) => {
+			const [ratio, deadline, isOpen] = reads.slice(i * 3, i * 3 + 3);
+			const status = isOpen
+				? 'open'
+				: Number(deadline)
+				? 'flagged'
+				: w3utils.toBN(ratio).gte(w3utils.toBN(liquidationRatio))
+				? 'below liquidation ratio'
+				: undefined;
+			if (status) {
+				watchlist[entry] = Object.assign({}, watchlist[entry], {
+					collateralisationRatio: w3utils.fromWei(ratio),
+					deadline: Number(deadline),
+					status,
+					checkedAt: new Date(),
+					// read again while it is open
+					amountToFix: undefined,
+				});
+			} else if (watchlist[entry]) {
+				console.log(gray(`${entry} is no longer below the liquidation ratio`));
+				delete watchlist[entry];
+			}
+		});
+
+		for (const [entry, watched] of Object.entries(watchlist)) {
+			if (watched.status === 'below liquidation ratio' && flag) {
+				const transactionHash = await sendWithin({
+					description: `Flag ${entry} for liquidation`,
+					transaction: Liquidations.methods.flagAccountForLiquidation(entry),
+				});
+				if (transactionHash) {
+					Object.assign(watched, { status: 'flagged', flaggedIn: transactionHash });
+				}
+			} else if (watched.status === 'open') {
+				const [debtBalance, collateral] = await multicall([
+					{ contract: Oikos, method: 'debtBalanceOf', args: [entry, toBytes32('oUSD')] },
+					{ contract: Oikos, method: 'collateral', args: [entry] },
+				]);
+				const collateralValue = await ExchangeRates.methods
+					.effectiveValue(toBytes32('OKS'), collateral, toBytes32('oUSD'))
+					.call();
+				// what would bring it back to the issuance ratio, with the penalty
+				const amountToFix = await Liquidations.methods
+					.calculateAmountToFixCollateral(debtBalance, collateralValue)
+					.call();
+				watched.amountToFix = w3utils.fromWei(amountToFix);
+				if (liquidate) {
+					// as much as fixes the ratio (which Issuer caps it to), or can be paid
+					const balance = await SynthoUSD.methods.balanceOf(account).call();
+					if (w3utils.toBN(balance).isZero()) {
+						console.log(yellow(`Cannot liquidate ${entry}, as ${account} has no oUSD`));
+						continue;
+					}
+					const susdAmount = [amountToFix, balance]
+						.concat(amount ? w3utils.toWei(String(amount)) : [])
+						.reduce((min, value) => (w3utils.toBN(value).lt(w3utils.toBN(min)) ? value : min));
+					const transactionHash = await sendWithin({
+						description: `Liquidate ${w3utils.fromWei(susdAmount)} oUSD of ${entry}`,
+						transaction: Oikos.methods.liquidateDelinquentAccount(entry, susdAmount),
+					});
+					if (transactionHash) {
+						watched.liquidatedIn = (watched.liquidatedIn || []).concat(transactionHash);
+					}
+				}
+			}
+		}
+
+		saveWatchlist(w3utils.fromWei(liquidationRatio));
+
+		console.log(
+			table(
+				[['Account', 'C-Ratio', 'Deadline', 'Status', 'oUSD to fix']].concat(
+					Object.entries(
+						watchlist
+					).map(([entry, { collateralisationRatio, deadline, status, amountToFix }]) => [
+						entry,
+						collateralisationRatio,
+						formatDeadline(deadline),
+						status === 'open' ? red(status) : yellow(status),
+						amountToFix || '-',
+					])
+				)
+			)
+		);
+		console.log(
+			gray(
+				`${Object.keys(watchlist).length} of ${
+					accounts.length
+				} stakers watched (liquidation ratio ${w3utils.fromWei(liquidationRatio)})`
+			)
+		);
+	};
+
+	await runRounds({ round, watch, interval });
+	console.log(gray(`Watchlist written to ${watchlistFile}`));
+	fees.summary();
+	rpc.summary();
+
+	return watchlist;
+};
+
+module.exports = {
+	liquidations,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('liquidations')
+			.description(
+				'Watch the stakers below the liquidation ratio, flagging them and liquidating those open for it'
+			)
+			.option(
+				'-a, --amount <value>',
+				'The most oUSD to liquidate of each account (default is what fixes its ratio, or the balance of the account)'
+			)
+			.option(
+				'-f, --watchlist-file <value>',
+				'The file to keep the accounts watched in (default is one for the network in build/liquidations)'
+			)
+			.option(
+				'-g, --gas-price <value>',
+				'Gas price in GWEI, for the fixed fee strategy',
+				DEFAULTS.gasPrice
+			)
+			.option(
+				'-i, --interval <value>',
+				'Seconds between the rounds of the keeper',
+				x => parseInt(x, 10),
+				DEFAULTS.interval
+			)
+			.option('-l, --liquidate', 'Liquidate the accounts open for liquidation')
+			.option(
+				'-m, --max-gas <value>',
+				'Skip any transaction estimated to need more gas than this',
+				x => parseInt(x, 10)
+			)
+			.option(
+				'-n, --network <value>',
+				'The network to run off.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option(...providerUrlsOption)
+			.option('--flag', 'Flag the accounts below the liquidation ratio for liquidation')
+			.option('-v, --private-key <value>', 'Provide private key to send from given account')
+			.option('-w, --watch', 'Keep watching, checking the stakers again after each interval')
+			.option(
+				'-x, --dry-run',
+				'If enabled, will not run any transactions but merely report on them.'
+			)
+			.option('--fee-strategy <value>', Fees.description)
+			.option('--signer <value>', signerDescription)
+			.option('--stuck <value>', NonceManager.description, DEFAULTS.stuck)
+			.action(async (...args) => {
+				try {
+					await liquidations(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
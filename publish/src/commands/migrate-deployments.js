@@ -0,0 +1,114 @@
+'use strict';
+
+const fs = require('fs');
+const { gray, green, yellow, red } = require('chalk');
+const { table } = require('table');
+
+const {
+	networks,
+	getPathToNetwork,
+	constants: { DEPLOYMENT_FILENAME },
+} = require('../../..');
+
+const { ensureNetwork, loadConnections, stringify } = require('../util');
+
+// the hash of the transaction a link is to, whatever explorer it is on
+const txnHash = link => (link.match(/\/tx\/(0x[0-9a-fA-F]{64})$/) || [])[1];
+
+// the target as deploy now writes it: on the network and its chain, linked to on its explorer
+const migrateTarget = ({ target, network, chainId, etherscanLinkPrefix }) =>
+	Object.assign({}, target, {
+		link: `${etherscanLinkPrefix}/address/${target.address}`,
+		txn:
+			target.txn && txnHash(target.txn)
+				? `${etherscanLinkPrefix}/tx/${txnHash(target.txn)}`
+				: target.txn,
+		network,
+		chainId,
+	});
+
+const migrateDeployments = async ({ network, dryRun }) => {
+	if (network) {
+		ensureNetwork(network);
+	}
+
+	const results = [];
+	for (const name of network ? [network] : networks) {
+		const deploymentFile = getPathToNetwork({ network: name, file: DEPLOYMENT_FILENAME });
+		if (!fs.existsSync(deploymentFile)) {
+			console.log(gray(`There is no deployment for ${name}, skipping.`));
+			continue;
+		}
+		const deployment = JSON.parse(fs.readFileSync(deploymentFile));
+		const { chainId, etherscanLinkPrefix } = loadConnections({ network: name });
+
+		const changed = [];
+		for (const [contract, target] of Object.entries(deployment.targets)) {
+			const migrated = migrateTarget({ target, network: name, chainId, etherscanLinkPrefix });
+			if (JSON.stringify(migrated) !== JSON.stringify(target)) {
+				deployment.targets[contract] = migrated;
+				changed.push(contract);
+			}
+		}
+
+		if (changed.length && !dryRun) {
+			fs.writeFileSync(deploymentFile, stringify(deployment));
+		}
+		results.push({ network: name, targets: Object.keys(deployment.targets).length, changed });
+	}
+
+	console.log(
+		table(
+			[['Network', 'Targets', 'Migrated']].concat(
+				results.map(({ network, targets, changed }) => [
+					network,
+					targets,
+					changed.length ? yellow(changed.length) : 0,
+				])
+			)
+		)
+	);
+	const migrated = results.filter(({ changed }) => changed.length);
+	if (!migrated.length) {
+		console.log(gray('Every deployment is up to date.'));
+	} else if (dryRun) {
+		console.log(
+			yellow(
+				`[DRY RUN] Would migrate the deployments of ${migrated
+					.map(({ network }) => network)
+					.join(', ')}`
+			)
+		);
+	} else {
+		console.log(
+			green(`Migrated the deployments of ${migrated.map(({ network }) => network).join(', ')}`)
+		);
+	}
+
+	return results;
+};
+
+module.exports = {
+	migrateDeployments,
+	cmd: program =>
+		program
+			.command('migrate-deployments')
+			.description(
+				'Rewrite the targets of each deployment.json with the links to the explorer and the chain ID of its network'
+			)
+			.option(
+				'-n, --network <value>',
+				'Only migrate the deployment of this network (default is every network)',
+				x => x.toLowerCase()
+			)
+			.option('-x, --dry-run', 'If enabled, will only report what would be migrated.')
+			.action(async (...args) => {
+				try {
+					await migrateDeployments(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
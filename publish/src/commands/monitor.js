@@ -0,0 +1,328 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { gray, yellow, red, cyan, green } = require('chalk');
+const { table } = require('table');
+const w3utils = require('web3-utils');
+
+const {
+	getContracts,
+	getMulticall,
+	getSynths,
+	getSuspensionReasons,
+	toBytes32,
+	constants: { BUILD_FOLDER },
+} = require('../../..');
+
+const {
+	ensureNetwork,
+	loadConnections,
+	providerUrlsOption,
+	getWeb3,
+	stringify,
+	runRounds,
+} = require('../util');
+const { loadSigner, description: signerDescription } = require('../signer');
+const Fees = require('../Fees');
+const NonceManager = require('../NonceManager');
+
+const DEFAULTS = {
+	network: 'testnet',
+	gasPrice: '1',
+	// how far a rate may jump from its previous round, as a fraction, for the synths without their
+	// own threshold in synths.json
+	threshold: 0.1,
+	// in seconds, between the rounds of the monitor
+	interval: 60,
+	statusFolder: path.join(__dirname, '..', '..', '..', BUILD_FOLDER, 'monitor'),
+	// the alerts kept in the status file
+	alerts: 100,
+	stuck: 'speed-up',
+};
+
+// the suspension reason of a synth suspended by the monitor (see getSuspensionReasons)
+const CIRCUIT_BREAKER = 3;
+
+const toBN = w3utils.toBN;
+
+// how far the rate jumped from the previous one, as a fraction of the previous one
+const jumpOf = (previous, rate) =>
+	toBN(previous).isZero()
+		? 0
+		: Number(
+				w3utils.fromWei(
+					toBN(rate)
+						.sub(toBN(previous))
+						.abs()
+				)
+		  ) / Number(w3utils.fromWei(previous));
+
+const monitor = async ({
+	network = DEFAULTS.network,
+	providerUrl,
+	synths,
+	threshold = DEFAULTS.threshold,
+	statusFile,
+	watch,
+	interval = DEFAULTS.interval,
+	dryRun,
+	gasPrice = DEFAULTS.gasPrice,
+	feeStrategy,
+	stuck = DEFAULTS.stuck,
+	privateKey,
+	signer,
+}) => {
+	ensureNetwork(network);
+	console.log(gray('Using network:', yellow(network)));
+
+	const {
+		providerUrls,
+		requestsPerSecond,
+		privateKey: envPrivateKey,
+		etherscanLinkPrefix,
+	} = loadConnections({
+		network,
+		providerUrl,
+	});
+	statusFile = statusFile || path.join(DEFAULTS.statusFolder, `${network}.json`);
+
+	const fees = new Fees({ feeStrategy, gasPrice });
+	const { web3, account, rpc } = getWeb3(
+		Object.assign(
+			{ providerUrls, requestsPerSecond, fees, stuck },
+			await loadSigner({ signer, privateKey: privateKey || envPrivateKey })
+		)
+	);
+	console.log(gray('Using wallet', cyan(account)));
+	console.log(gray(`Gas price: ${fees.describe()}`));
+
+	const { ExchangeRates, SystemStatus } = getContracts({ network, provider: web3 });
+	const multicall = getMulticall({ network, provider: web3 });
+
+	// every synth but oUSD (which is always 1), each with its threshold
+	const watched = getSynths({ network })
+		.filter(({ name }) => name !== 'oUSD')
+		.filter(({ name }) => !synths || synths.includes(name))
+		.map(({ name, circuitBreaker }) => ({
+			currencyKey: name,
+			threshold: Object.assign({ threshold }, circuitBreaker).threshold,
+		}));
+	const currencyKeys = watched.map(({ currencyKey }) => toBytes32(currencyKey));
+
+	// the alerts of earlier runs, as the status file is rewritten each round
+	const alerts =
+		(fs.existsSync(statusFile) && JSON.parse(fs.readFileSync(statusFile)).alerts) || [];
+	const alert = message => {
+		console.log(red(`ALERT ${message}`));
+		alerts.push({ time: new Date(), message });
+	};
+
+	const send = async ({ description, transaction }) => {
+		if (dryRun) {
+			console.log(green(`[DRY RUN] ${description}`));
+			return;
+		}
+		try {
+			// its gas is estimated by the signing provider, with the margin of the fees
+			const { transactionHash } = await transaction.send({ from: account });
+			console.log(green(description), gray(`${etherscanLinkPrefix}/tx/${transactionHash}`));
+			return transactionHash;
+		} catch (err) {
+			alert(`Could not ${description.toLowerCase()}: ${err.message}`);
+		}
+	};
+
+	const round = async () => {
+		const { timestamp: now } = await web3.eth.getBlock('latest');
+		const [
+			rateStalePeriod,
+			anyRateIsStale,
+			{ 0: currentRates },
+			{ canSuspend, canResume },
+			...reads
+		] = await multicall(
+			[
+				{ contract: ExchangeRates, method: 'rateStalePeriod' },
+				{ contract: ExchangeRates, method: 'anyRateIsStale', args: [currencyKeys] },
+				{ contract: ExchangeRates, method: 'ratesAndStaleForCurrencies', args: [currencyKeys] },
+				{
+					contract: SystemStatus,
+					method: 'accessControl',
+					args: [toBytes32('Synth'), account],
+				},
+			].concat(
+				...currencyKeys.map(currencyKey => [
+					{ contract: ExchangeRates, method: 'lastRateUpdateTimes', args: [currencyKey] },
+					{
+						contract: ExchangeRates,
+						method: 'ratesAndUpdatedTimeForCurrencyLastNRounds',
+						args: [currencyKey, 2],
+					},
+					{ contract: SystemStatus, method: 'synthSuspension', args: [currencyKey] },
+				])
+			)
+		);
+
+		const statuses = watched.map(({ currencyKey, threshold }, i) => {
+			const [updatedAt, { rates }, { suspended, reason }] = reads.slice(i * 3, i * 3 + 3);
+			const stale = Number(updatedAt) + Number(rateStalePeriod) < now;
+			// the previous round is the second of the last two, the first being the current rate
+			const jump = jumpOf(rates[1], currentRates[i]);
+			const problem = stale
+				? `its rate is stale, last updated ${now - Number(updatedAt)}s ago`
+				: jump >= threshold
+				? `its rate jumped ${(jump * 100).toFixed(2)}% (more than ${threshold * 100}%)`
+				: undefined;
+			return {
+				currencyKey,
+				rate: w3utils.fromWei(currentRates[i]),
+				updatedAt: Number(updatedAt),
+				stale,
+				jump,
+				problem,
+				suspended,
+				reason: Number(reason),
+			};
+		});
+
+		for (const status of statuses) {
+			const { currencyKey, problem, suspended, reason } = status;
+			if (problem && !suspended) {
+				alert(`${currencyKey} is to be suspended, as ${problem}`);
+				if (!canSuspend) {
+					alert(`Cannot suspend ${currencyKey}, as ${account} may not suspend synths`);
+					continue;
+				}
+				const transactionHash = await send({
+					description: `Suspend ${currencyKey} (${getSuspensionReasons({
+						code: CIRCUIT_BREAKER,
+					})})`,
+					transaction: SystemStatus.methods.suspendSynth(toBytes32(currencyKey), CIRCUIT_BREAKER),
+				});
+				Object.assign(status, { action: 'suspend', transactionHash });
+			} else if (!problem && suspended && Number(reason) === CIRCUIT_BREAKER) {
+				// only what the circuit breaker suspended is resumed
+				alert(`${currencyKey} is to be resumed, as its rate is fresh and steady again`);
+				if (!canResume) {
+					alert(`Cannot resume ${currencyKey}, as ${account} may not resume synths`);
+					continue;
+				}
+				const transactionHash = await send({
+					description: `Resume ${currencyKey}`,
+					transaction: SystemStatus.methods.resumeSynth(toBytes32(currencyKey)),
+				});
+				Object.assign(status, { action: 'resume', transactionHash });
+			}
+		}
+
+		console.log(
+			table(
+				[['Synth', 'Rate', 'Updated', 'Jump', 'Suspended', 'Problem']].concat(
+					statuses.map(({ currencyKey, rate, updatedAt, jump, suspended, reason, problem }) => [
+						currencyKey,
+						rate,
+						updatedAt ? new Date(updatedAt * 1000).toISOString() : '-',
+						`${(jump * 100).toFixed(2)}%`,
+						suspended ? yellow(getSuspensionReasons({ code: reason }) || reason) : 'no',
+						problem ? red(problem) : '-',
+					])
+				)
+			)
+		);
+
+		fs.mkdirSync(path.dirname(statusFile), { recursive: true });
+		fs.writeFileSync(
+			statusFile,
+			stringify({
+				network,
+				checkedAt: new Date(),
+				blockTimestamp: now,
+				anyRateIsStale,
+				synths: statuses.reduce(
+					(memo, status) => Object.assign(memo, { [status.currencyKey]: status }),
+					{}
+				),
+				alerts: alerts.slice(-DEFAULTS.alerts),
+			})
+		);
+		console.log(
+			gray(
+				`${statuses.filter(({ problem }) => problem).length} of ${
+					statuses.length
+				} synths with a problem, status written to ${statusFile}`
+			)
+		);
+
+		return statuses;
+	};
+
+	// as of the last round that succeeded
+	const [statuses] = (await runRounds({ round, watch, interval })).slice(-1);
+	fees.summary();
+	rpc.summary();
+
+	return statuses;
+};
+
+module.exports = {
+	monitor,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('monitor')
+			.description(
+				'Monitor the rates of the synths, suspending those whose rate is stale or jumped and resuming them once it is steady'
+			)
+			.option(
+				'-d, --threshold <value>',
+				'How far a rate may jump from its previous round, as a fraction, for the synths without their own threshold',
+				parseFloat,
+				DEFAULTS.threshold
+			)
+			.option(
+				'-g, --gas-price <value>',
+				'Gas price in GWEI, for the fixed fee strategy',
+				DEFAULTS.gasPrice
+			)
+			.option(
+				'-i, --interval <value>',
+				'Seconds between the rounds of the monitor',
+				x => parseInt(x, 10),
+				DEFAULTS.interval
+			)
+			.option(
+				'-n, --network <value>',
+				'The network to run off.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option(
+				'-o, --status-file <value>',
+				'The file to write the status to as JSON (default is one for the network in build/monitor)'
+			)
+			.option(...providerUrlsOption)
+			.option(
+				'-s, --synths <value>',
+				'Only monitor these synths, comma separated (default is every synth)',
+				x => x.split(',').map(key => key.trim())
+			)
+			.option('-v, --private-key <value>', 'Provide private key to send from given account')
+			.option('-w, --watch', 'Keep watching, checking the rates again after each interval')
+			.option(
+				'-x, --dry-run',
+				'If enabled, will not run any transactions but merely report on them.'
+			)
+			.option('--fee-strategy <value>', Fees.description)
+			.option('--signer <value>', signerDescription)
+			.option('--stuck <value>', NonceManager.description, DEFAULTS.stuck)
+			.action(async (...args) => {
+				try {
+					await monitor(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
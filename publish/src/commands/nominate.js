@@ -2,7 +2,6 @@
 
 const { gray, yellow, red, cyan } = require('chalk');
 const w3utils = require('web3-utils');
-const Web3 = require('web3');
 
 const {
 	getUsers,
@@ -13,11 +12,27 @@ const {
 	ensureNetwork,
 	loadAndCheckRequiredSources,
 	loadConnections,
+	getWeb3,
 	confirmAction,
 } = require('../util');
 
-const nominate = async ({ network, newOwner, contracts, deploymentPath, gasPrice, gasLimit }) => {
+const { loadSigner, description: signerDescription } = require('../signer');
+const Fees = require('../Fees');
+const NonceManager = require('../NonceManager');
+
+const nominate = async ({
+	network,
+	newOwner,
+	contracts,
+	deploymentPath,
+	gasPrice,
+	gasLimit,
+	feeStrategy,
+	stuck,
+	signer,
+}) => {
 	ensureNetwork(network);
+	const fees = new Fees({ feeStrategy, gasPrice });
 
 	if (!newOwner) {
 		newOwner = getUsers({ network, user: 'owner' }).address;
@@ -46,10 +61,11 @@ const nominate = async ({ network, newOwner, contracts, deploymentPath, gasPrice
 	}
 
 	const { providerUrl, privateKey } = loadConnections({ network });
-	const web3 = new Web3(new Web3.providers.HttpProvider(providerUrl));
-	web3.eth.accounts.wallet.add(privateKey);
-	const account = web3.eth.accounts.wallet[0].address;
+	const { web3, account } = getWeb3(
+		Object.assign({ providerUrl, fees, stuck }, await loadSigner({ signer, privateKey }))
+	);
 	console.log(gray(`Using account with public key ${account}`));
+	console.log(gray(`Gas price: ${fees.describe()}`));
 
 	try {
 		await confirmAction(
@@ -88,15 +104,15 @@ const nominate = async ({ network, newOwner, contracts, deploymentPath, gasPrice
 			console.log(cyan(`Cannot nominateNewOwner for ${contract} as you aren't the owner!`));
 		} else if (currentOwner !== newOwner && nominatedOwner !== newOwner) {
 			console.log(yellow(`Invoking ${contract}.nominateNewOwner(${newOwner})`));
-			await deployedContract.methods.nominateNewOwner(newOwner).send({
-				from: account,
-				gas: gasLimit,
-				gasPrice: w3utils.toWei(gasPrice, 'gwei'),
-			});
+			await deployedContract.methods
+				.nominateNewOwner(newOwner)
+				.send(Object.assign({ from: account }, gasLimit ? { gas: gasLimit } : {}));
 		} else {
 			console.log(gray('No change required.'));
 		}
 	}
+
+	fees.summary();
 };
 
 module.exports = {
@@ -109,13 +125,16 @@ module.exports = {
 				'-d, --deployment-path <value>',
 				`Path to a folder that has your input configuration file ${CONFIG_FILENAME} and where your ${DEPLOYMENT_FILENAME} files will go`
 			)
-			.option('-g, --gas-price <value>', 'Gas price in GWEI', '1')
-			.option('-l, --gas-limit <value>', 'Gas limit', parseInt, 15e4)
+			.option('-g, --gas-price <value>', 'Gas price in GWEI, for the fixed fee strategy', '1')
+			.option('-l, --gas-limit <value>', 'Gas limit (default is to estimate it)', parseInt)
+			.option('--fee-strategy <value>', Fees.description)
+			.option('--stuck <value>', NonceManager.description, NonceManager.DEFAULTS.stuck)
 			.option('-n, --network <value>', 'The network to run off.', x => x.toLowerCase(), 'testnet')
 			.option(
 				'-o, --new-owner <value>',
 				'The address of the new owner (please include the 0x prefix)'
 			)
+			.option('--signer <value>', signerDescription)
 			.option(
 				'-c, --contracts [value]',
 				'The list of contracts. Applies to all contract by default',
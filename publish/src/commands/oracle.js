@@ -0,0 +1,323 @@
+'use strict';
+
+const { gray, yellow, red, cyan, green } = require('chalk');
+const { table } = require('table');
+const w3utils = require('web3-utils');
+
+const { getContracts, getMulticall, getSynths, toBytes32 } = require('../../..');
+
+const {
+	ensureNetwork,
+	loadConnections,
+	providerUrlsOption,
+	getWeb3,
+	runRounds,
+} = require('../util');
+const { loadSigner, description: signerDescription } = require('../signer');
+const {
+	loadPriceSource,
+	description: priceSourceDescription,
+	DEFAULTS: PRICE_SOURCE_DEFAULTS,
+} = require('../price-sources');
+const { sameAddress } = require('../wiring');
+const Fees = require('../Fees');
+const NonceManager = require('../NonceManager');
+
+const DEFAULTS = {
+	network: 'testnet',
+	gasPrice: '1',
+	source: PRICE_SOURCE_DEFAULTS.source,
+	// the rules of the synths without their own in synths.json: how far the price may move from the
+	// rate on chain, as a fraction, and how many seconds a rate may go without an update
+	deviation: 0.01,
+	heartbeat: 3600,
+	// the most rates per updateRates transaction
+	batchSize: 20,
+	// in seconds, between the rounds of the service
+	interval: 60,
+	stuck: 'speed-up',
+};
+
+const toBN = w3utils.toBN;
+
+// the rate ExchangeRates sets an inverse synth to for the price of its asset (see rateOrInverted)
+const invert = (rate, { entryPoint, upperLimit, lowerLimit }) => {
+	const doubleEntryPoint = toBN(entryPoint).mul(toBN(2));
+	const inverted = doubleEntryPoint.lte(toBN(rate)) ? toBN(0) : doubleEntryPoint.sub(toBN(rate));
+	if (inverted.gte(toBN(upperLimit))) {
+		return toBN(upperLimit);
+	} else if (inverted.lte(toBN(lowerLimit))) {
+		return toBN(lowerLimit);
+	}
+	return inverted;
+};
+
+// how far the new rate is from the current one, as a fraction of the current one
+const deviationOf = (current, rate) =>
+	toBN(current).isZero()
+		? Infinity
+		: Number(
+				w3utils.fromWei(
+					toBN(rate)
+						.sub(toBN(current))
+						.abs()
+				)
+		  ) / Number(w3utils.fromWei(current));
+
+const oracle = async ({
+	network = DEFAULTS.network,
+	providerUrl,
+	source = DEFAULTS.source,
+	currencies,
+	deviation = DEFAULTS.deviation,
+	heartbeat = DEFAULTS.heartbeat,
+	batchSize = DEFAULTS.batchSize,
+	watch,
+	interval = DEFAULTS.interval,
+	dryRun,
+	gasPrice = DEFAULTS.gasPrice,
+	feeStrategy,
+	stuck = DEFAULTS.stuck,
+	privateKey,
+	signer,
+}) => {
+	ensureNetwork(network);
+	console.log(gray('Using network:', yellow(network)));
+
+	const {
+		providerUrls,
+		requestsPerSecond,
+		privateKey: envPrivateKey,
+		etherscanLinkPrefix,
+	} = loadConnections({
+		network,
+		providerUrl,
+	});
+
+	const fees = new Fees({ feeStrategy, gasPrice });
+	const { web3, account, rpc } = getWeb3(
+		Object.assign(
+			{ providerUrls, requestsPerSecond, fees, stuck },
+			await loadSigner({ signer, privateKey: privateKey || envPrivateKey })
+		)
+	);
+	console.log(gray('Using wallet', cyan(account)));
+	console.log(gray(`Gas price: ${fees.describe()}`));
+
+	const { ExchangeRates } = getContracts({ network, provider: web3 });
+	const multicall = getMulticall({ network, provider: web3 });
+	const priceSource = loadPriceSource({ source, web3, multicall });
+	console.log(gray(`Reading prices from ${priceSource.describe()}`));
+
+	const oracleAddress = await ExchangeRates.methods.oracle().call();
+	if (!sameAddress(oracleAddress, account)) {
+		const message = `${account} is not the oracle of ExchangeRates, ${oracleAddress}`;
+		if (!dryRun) {
+			throw Error(message);
+		}
+		console.log(yellow(message));
+	}
+
+	// OKS along with every synth (oUSD is always 1), each with its rules
+	const priced = [{ name: 'OKS', asset: 'OKS' }]
+		.concat(getSynths({ network }).filter(({ name }) => name !== 'oUSD'))
+		.filter(({ name }) => !currencies || currencies.includes(name))
+		.map(({ name, asset, oracle: rules }) => ({
+			currencyKey: name,
+			asset,
+			rules: Object.assign({ deviation, heartbeat }, rules),
+		}));
+
+	const round = async () => {
+		const { timestamp: now } = await web3.eth.getBlock('latest');
+		const reads = await multicall(
+			[].concat(
+				...priced.map(({ currencyKey }) => [
+					{ contract: ExchangeRates, method: 'rateForCurrency', args: [toBytes32(currencyKey)] },
+					{
+						contract: ExchangeRates,
+						method: 'lastRateUpdateTimes',
+						args: [toBytes32(currencyKey)],
+					},
+					{ contract: ExchangeRates, method: 'aggregators', args: [toBytes32(currencyKey)] },
+					{ contract: ExchangeRates, method: 'inversePricing', args: [toBytes32(currencyKey)] },
+				])
+			)
+		);
+		const onChain = priced.map((entry, i) => {
+			const [rate, updatedAt, aggregator, inverse] = reads.slice(i * 4, i * 4 + 4);
+			return Object.assign({}, entry, {
+				rate,
+				updatedAt: Number(updatedAt),
+				// its rate is read from the aggregator instead
+				aggregated: !toBN(aggregator).isZero(),
+				inverse: toBN(inverse.entryPoint).isZero() ? undefined : inverse,
+			});
+		});
+
+		// the price of each asset on chain, for the simulated feed to start from
+		const current = onChain
+			.filter(({ inverse }) => !inverse)
+			.reduce(
+				(memo, { asset, rate }) => Object.assign(memo, { [asset]: w3utils.fromWei(rate) }),
+				{}
+			);
+		const candidates = onChain.filter(({ aggregated }) => !aggregated);
+		const prices = await priceSource.getPrices({
+			assets: Array.from(new Set(candidates.map(({ asset }) => asset))),
+			current,
+		});
+
+		const checked = candidates.map(entry => {
+			const { asset, rate: currentRate, updatedAt, inverse, rules } = entry;
+			const price = prices[asset];
+			if (!price) {
+				return Object.assign(entry, { action: 'no price' });
+			} else if (price.timestamp && price.timestamp <= updatedAt) {
+				return Object.assign(entry, { price: price.price, action: 'no newer price' });
+			} else if (inverse && inverse.frozen) {
+				return Object.assign(entry, { price: price.price, action: 'frozen' });
+			}
+			// the rate is pushed as the price of the asset, which ExchangeRates inverts when inverse
+			const newRate = toBN(w3utils.toWei(price.price));
+			const moved = deviationOf(currentRate, inverse ? invert(newRate, inverse) : newRate);
+			const age = now - updatedAt;
+			const action =
+				moved >= rules.deviation
+					? 'update (deviation)'
+					: age >= rules.heartbeat
+					? 'update (heartbeat)'
+					: 'within rules';
+			return Object.assign(entry, { price: price.price, newRate, moved, age, action });
+		});
+
+		console.log(
+			table(
+				[['Currency', 'Price', 'On chain', 'Deviation', 'Age', 'Action']].concat(
+					onChain.map(({ currencyKey, price, rate, moved, age, aggregated, action }) => [
+						currencyKey,
+						price || '-',
+						w3utils.fromWei(rate),
+						moved === undefined ? '-' : moved === Infinity ? 'new' : `${(moved * 100).toFixed(2)}%`,
+						age === undefined ? '-' : `${age}s`,
+						aggregated
+							? gray('aggregator')
+							: /^update/.test(action)
+							? green(action)
+							: /price|frozen/.test(action)
+							? yellow(action)
+							: action,
+					])
+				)
+			)
+		);
+
+		const updates = checked.filter(({ action }) => /^update/.test(action));
+		for (let i = 0; i < updates.length; i += batchSize) {
+			const batch = updates.slice(i, i + batchSize);
+			const description = `Update the rates of ${batch
+				.map(({ currencyKey }) => currencyKey)
+				.join(', ')}`;
+			if (dryRun) {
+				console.log(green(`[DRY RUN] ${description}`));
+				continue;
+			}
+			const transaction = ExchangeRates.methods.updateRates(
+				batch.map(({ currencyKey }) => toBytes32(currencyKey)),
+				batch.map(({ newRate }) => newRate.toString()),
+				now
+			);
+			try {
+				// its gas is estimated by the signing provider, with the margin of the fees
+				const { transactionHash } = await transaction.send({ from: account });
+				console.log(green(description), gray(`${etherscanLinkPrefix}/tx/${transactionHash}`));
+			} catch (err) {
+				// the rest are still updated, and these are tried again next round
+				console.log(red(`Could not ${description.toLowerCase()}: ${err.message}`));
+			}
+		}
+		console.log(gray(`${updates.length} of ${onChain.length} rates to update`));
+
+		return checked;
+	};
+
+	// as of the last round that succeeded
+	const [checked] = (await runRounds({ round, watch, interval })).slice(-1);
+	fees.summary();
+	rpc.summary();
+
+	return checked;
+};
+
+module.exports = {
+	oracle,
+	deviationOf,
+	invert,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('oracle')
+			.description(
+				'Push the rates of OKS and the synths to ExchangeRates as the oracle, when they move past their deviation or their heartbeat is due'
+			)
+			.option(
+				'-b, --batch-size <value>',
+				'The most rates to update per transaction',
+				x => parseInt(x, 10),
+				DEFAULTS.batchSize
+			)
+			.option(
+				'-c, --currencies <value>',
+				'Only push the rates of these currencies, comma separated (default is OKS and every synth)',
+				x => x.split(',').map(key => key.trim())
+			)
+			.option(
+				'-d, --deviation <value>',
+				'How far a price may move from the rate on chain before it is pushed, as a fraction, for the synths without their own rules',
+				parseFloat,
+				DEFAULTS.deviation
+			)
+			.option(
+				'-g, --gas-price <value>',
+				'Gas price in GWEI, for the fixed fee strategy',
+				DEFAULTS.gasPrice
+			)
+			.option(
+				'-t, --heartbeat <value>',
+				'The most seconds a rate may go without an update, for the synths without their own rules',
+				x => parseInt(x, 10),
+				DEFAULTS.heartbeat
+			)
+			.option(
+				'-i, --interval <value>',
+				'Seconds between the rounds of the service',
+				x => parseInt(x, 10),
+				DEFAULTS.interval
+			)
+			.option(
+				'-n, --network <value>',
+				'The network to run off.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option(...providerUrlsOption)
+			.option('-s, --source <value>', priceSourceDescription, DEFAULTS.source)
+			.option('-v, --private-key <value>', 'Provide private key to send from given account')
+			.option('-w, --watch', 'Keep watching, checking the prices again after each interval')
+			.option(
+				'-x, --dry-run',
+				'If enabled, will not run any transactions but merely report on them.'
+			)
+			.option('--fee-strategy <value>', Fees.description)
+			.option('--signer <value>', signerDescription)
+			.option('--stuck <value>', NonceManager.description, DEFAULTS.stuck)
+			.action(async (...args) => {
+				try {
+					await oracle(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
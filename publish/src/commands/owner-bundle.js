@@ -0,0 +1,414 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { gray, green, yellow, red, cyan } = require('chalk');
+const w3utils = require('web3-utils');
+
+const {
+	getUsers,
+	constants: { CONFIG_FILENAME, DEPLOYMENT_FILENAME, OWNER_ACTIONS_FILENAME, ZERO_ADDRESS },
+} = require('../../..');
+
+const {
+	ensureNetwork,
+	ensureDeploymentPath,
+	loadAndCheckRequiredSources,
+	loadConnections,
+	getWeb3,
+	confirmAction,
+	stringify,
+} = require('../util');
+
+const {
+	CALL,
+	DELEGATE_CALL,
+	getSafeInstance,
+	getSafeNonce,
+	getTransactionHash,
+	encodeMultiSend,
+	signSafeTransactionHash,
+	recoverSafeSigner,
+	joinSafeSignatures,
+} = require('../safe-utils');
+
+const { loadSigner, description: signerDescription } = require('../signer');
+const Fees = require('../Fees');
+const NonceManager = require('../NonceManager');
+
+const DEFAULTS = {
+	network: 'testnet',
+	// MultiSendCallOnly v1.3.0, at the same address on every network it is deployed to
+	multiSend: '0x40A2aCCbd92BCA938b02010E17A5b8929b49130D',
+	gasPrice: '15',
+};
+
+const loadBundle = bundleFile => {
+	if (!bundleFile || !fs.existsSync(bundleFile)) {
+		throw Error(`Cannot find the bundle file ${bundleFile}`);
+	}
+	return JSON.parse(fs.readFileSync(bundleFile));
+};
+
+// the safe transaction fields, in the order getTransactionHash and execTransaction take them
+const safeTransactionArgs = ({
+	to,
+	value,
+	data,
+	operation,
+	safeTxGas,
+	baseGas,
+	gasPrice,
+	gasToken,
+	refundReceiver,
+}) => [to, value, data, operation, safeTxGas, baseGas, gasPrice, gasToken, refundReceiver];
+
+/**
+ * Bundle the pending owner actions into a single safe transaction (via MultiSend when there
+ * are several), and write it to a file to be signed by the safe owners, offline if need be.
+ *
+ * The bundle is in the format of the Safe Transaction Builder, so it can also be imported into
+ * the Safe UI, along with the safe transaction, its hash and the signatures collected so far.
+ */
+const ownerBundle = async ({
+	network = DEFAULTS.network,
+	deploymentPath,
+	safe,
+	multiSend = DEFAULTS.multiSend,
+	nonce,
+	bundleFile,
+}) => {
+	ensureNetwork(network);
+	ensureDeploymentPath(deploymentPath);
+
+	if (!safe) {
+		safe = getUsers({ network, user: 'owner' }).address;
+	}
+	if (!w3utils.isAddress(safe)) {
+		throw Error(`Invalid safe address ${safe}. Please check the option and try again.`);
+	}
+
+	const { ownerActions } = loadAndCheckRequiredSources({
+		deploymentPath,
+		network,
+	});
+
+	const pending = Object.entries(ownerActions).filter(([, { complete }]) => !complete);
+	if (!pending.length) {
+		console.log(gray(`No pending actions in ${OWNER_ACTIONS_FILENAME}.`));
+		return;
+	}
+
+	const { providerUrl } = loadConnections({ network });
+	const { web3 } = getWeb3({ providerUrl });
+
+	const safeContract = getSafeInstance(web3, safe);
+	if (nonce === undefined) {
+		nonce = await getSafeNonce(safeContract);
+		if (nonce === undefined) {
+			throw Error(`Cannot read the nonce of the safe at ${safe}`);
+		}
+	}
+
+	const transactions = pending.map(([key, { target, action, data }]) => ({
+		key,
+		action,
+		to: w3utils.toChecksumAddress(target),
+		value: '0',
+		data,
+	}));
+
+	let to;
+	let data;
+	let operation;
+	if (transactions.length === 1) {
+		[{ to, data }] = transactions;
+		operation = CALL;
+	} else {
+		if ((await web3.eth.getCode(multiSend)) === '0x') {
+			throw Error(`There is no MultiSend contract at ${multiSend} on ${network}`);
+		}
+		to = w3utils.toChecksumAddress(multiSend);
+		data = encodeMultiSend({ web3, transactions });
+		operation = DELEGATE_CALL;
+	}
+
+	// no refunds, and all the gas available to the transaction
+	const safeTransaction = {
+		to,
+		value: '0',
+		data,
+		operation,
+		safeTxGas: '0',
+		baseGas: '0',
+		gasPrice: '0',
+		gasToken: ZERO_ADDRESS,
+		refundReceiver: ZERO_ADDRESS,
+		nonce: nonce.toString(),
+	};
+
+	const safeTxHash = await getTransactionHash(
+		Object.assign({ safeContract, valueInWei: safeTransaction.value }, safeTransaction)
+	);
+
+	const bundle = {
+		version: '1.0',
+		chainId: (await web3.eth.getChainId()).toString(),
+		createdAt: Date.now(),
+		meta: {
+			name: `Owner actions for ${network}`,
+			description: transactions.map(({ key }) => key).join(', '),
+			createdFromSafeAddress: w3utils.toChecksumAddress(safe),
+		},
+		transactions: transactions.map(({ to, value, data }) => ({ to, value, data })),
+		network,
+		ownerActions: transactions.map(({ key }) => key),
+		safeTransaction,
+		safeTxHash,
+		signatures: {},
+	};
+
+	bundleFile = bundleFile || path.join(deploymentPath, `owner-bundle-${nonce}.json`);
+	if (fs.existsSync(bundleFile)) {
+		throw Error(
+			`The bundle ${bundleFile} already exists. Please remove it (and any signatures in it) to create a new one.`
+		);
+	}
+	fs.writeFileSync(bundleFile, stringify(bundle));
+
+	transactions.forEach(({ key, to }) => console.log(gray(` - ${key} (${to})`)));
+	console.log(
+		green(
+			`Bundled ${transactions.length} owner actions into safe transaction ${safeTxHash} (nonce ${nonce}) in ${bundleFile}`
+		)
+	);
+};
+
+/**
+ * Add a signature of the safe owner to the bundle, either by signing it with the given private
+ * key (no network access is needed) or from a signature collected elsewhere.
+ */
+const signOwnerBundle = async ({ bundleFile, privateKey, signer, signatures = [] }) => {
+	const bundle = loadBundle(bundleFile);
+	const { safeTxHash } = bundle;
+
+	if (!signatures.length) {
+		if (!privateKey) {
+			({ privateKey } = loadConnections({ network: bundle.network }));
+		}
+		({ privateKey } = await loadSigner({ signer, privateKey }));
+		if (!privateKey) {
+			throw Error(
+				'Please provide the private key of a safe owner (or set the PRIVATE_KEY in .env, or use another --signer)'
+			);
+		}
+		signatures = [signSafeTransactionHash({ safeTxHash, privateKey }).signature];
+	}
+
+	for (const signature of signatures) {
+		const signer = recoverSafeSigner({ safeTxHash, signature });
+		if (bundle.signatures[signer]) {
+			console.log(yellow(`${signer} has already signed ${safeTxHash}, replacing its signature`));
+		}
+		bundle.signatures[signer] = signature;
+		console.log(green(`Added the signature of ${signer} to ${bundleFile}`));
+	}
+
+	fs.writeFileSync(bundleFile, stringify(bundle));
+	console.log(gray(`${Object.keys(bundle.signatures).length} signatures collected.`));
+};
+
+/**
+ * Execute the bundle on the safe once enough of its owners have signed it, and mark the owner
+ * actions in it as complete.
+ */
+const executeOwnerBundle = async ({
+	bundleFile,
+	deploymentPath,
+	gasPrice = DEFAULTS.gasPrice,
+	gasLimit,
+	feeStrategy,
+	stuck,
+	privateKey,
+	signer,
+	yes,
+}) => {
+	const bundle = loadBundle(bundleFile);
+	const { network, safeTransaction, safeTxHash } = bundle;
+	ensureNetwork(network);
+	const fees = new Fees({ feeStrategy, gasPrice });
+
+	const { providerUrl, privateKey: envPrivateKey, etherscanLinkPrefix } = loadConnections({
+		network,
+	});
+	const { web3, account } = getWeb3(
+		Object.assign(
+			{ providerUrl, fees, stuck, yes },
+			await loadSigner({ signer, privateKey: privateKey || envPrivateKey })
+		)
+	);
+	console.log(gray(`Using account with public key ${account}`));
+
+	const safeContract = getSafeInstance(web3, bundle.meta.createdFromSafeAddress);
+
+	const currentNonce = await getSafeNonce(safeContract);
+	if (currentNonce !== safeTransaction.nonce) {
+		throw Error(
+			`The safe is at nonce ${currentNonce} but the bundle is for nonce ${safeTransaction.nonce}. Has it already been executed?`
+		);
+	}
+	const onChainHash = await getTransactionHash(
+		Object.assign({ safeContract, valueInWei: safeTransaction.value }, safeTransaction)
+	);
+	if (onChainHash !== safeTxHash) {
+		throw Error(`The bundle hash ${safeTxHash} does not match its transaction (${onChainHash})`);
+	}
+
+	const threshold = Number(await safeContract.methods.getThreshold().call());
+	const owners = (await safeContract.methods.getOwners().call()).map(owner => owner.toLowerCase());
+
+	const signatures = {};
+	for (const [signer, signature] of Object.entries(bundle.signatures)) {
+		if (recoverSafeSigner({ safeTxHash, signature }).toLowerCase() !== signer.toLowerCase()) {
+			console.log(red(`Ignoring the signature of ${signer} as it does not match`));
+		} else if (!owners.includes(signer.toLowerCase())) {
+			console.log(red(`Ignoring the signature of ${signer} as it is not an owner of the safe`));
+		} else {
+			signatures[signer] = signature;
+		}
+	}
+	if (Object.keys(signatures).length < threshold) {
+		throw Error(
+			`The safe needs ${threshold} signatures but the bundle only has ${
+				Object.keys(signatures).length
+			} valid ones`
+		);
+	}
+
+	if (!yes) {
+		try {
+			await confirmAction(
+				cyan(
+					`Execute the ${bundle.ownerActions.length} owner actions in ${bundleFile} on the safe ${
+						safeContract.options.address
+					}?\n- ${bundle.ownerActions.join('\n- ')}`
+				) + '\nDo you want to continue? (y/n) '
+			);
+		} catch (err) {
+			console.log(gray('Operation cancelled'));
+			return;
+		}
+	}
+
+	const { transactionHash } = await safeContract.methods
+		.execTransaction(...safeTransactionArgs(safeTransaction), joinSafeSignatures(signatures))
+		.send(Object.assign({ from: account }, gasLimit ? { gas: Number(gasLimit) } : {}));
+	console.log(green(`Executed the bundle: ${etherscanLinkPrefix}/tx/${transactionHash}`));
+	fees.summary();
+
+	if (deploymentPath) {
+		const ownerActionsFile = path.join(deploymentPath, OWNER_ACTIONS_FILENAME);
+		const ownerActions = JSON.parse(fs.readFileSync(ownerActionsFile));
+		bundle.ownerActions
+			.filter(key => ownerActions[key])
+			.forEach(key => (ownerActions[key].complete = true));
+		fs.writeFileSync(ownerActionsFile, stringify(ownerActions));
+		console.log(gray(`Marked the actions as complete in ${ownerActionsFile}`));
+	}
+};
+
+// show pretty errors for CLI users
+const withErrors = command => async (...args) => {
+	try {
+		await command(...args);
+	} catch (err) {
+		console.error(red(err.message));
+		process.exitCode = 1;
+	}
+};
+
+module.exports = {
+	ownerBundle,
+	signOwnerBundle,
+	executeOwnerBundle,
+	DEFAULTS,
+	cmd: program => {
+		program
+			.command('owner-bundle')
+			.description(
+				'Bundle the pending owner actions into a single safe transaction to sign offline, without the Gnosis Safe API'
+			)
+			.option(
+				'-d, --deployment-path <value>',
+				`Path to a folder that has your input configuration file ${CONFIG_FILENAME} and where your ${DEPLOYMENT_FILENAME} files will go`
+			)
+			.option(
+				'-f, --bundle-file <value>',
+				'The file to write the bundle to (default is owner-bundle-<nonce>.json in the deployment path)'
+			)
+			.option(
+				'-m, --multi-send <value>',
+				'The address of the MultiSend contract to batch the actions with',
+				DEFAULTS.multiSend
+			)
+			.option(
+				'-o, --safe <value>',
+				'The address of the safe that owns the contracts (default is the owner of the network)'
+			)
+			.option(
+				'-u, --nonce <value>',
+				'The safe nonce to use, to queue after other pending transactions (default is the current nonce)'
+			)
+			.option(
+				'-n, --network <value>',
+				'The network to run off.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.action(withErrors(ownerBundle));
+
+		program
+			.command('owner-bundle-sign')
+			.description('Sign an owner bundle as an owner of the safe, without any network access')
+			.option('-f, --bundle-file <value>', 'The bundle to sign')
+			.option(
+				'-s, --signatures <value>',
+				'A signature of the safe transaction hash collected elsewhere to add instead (can be repeated)',
+				(val, memo) => {
+					memo.push(val);
+					return memo;
+				},
+				[]
+			)
+			.option(
+				'-v, --private-key [value]',
+				'The private key of the owner to sign with (default is the PRIVATE_KEY in .env)'
+			)
+			.option('--signer <value>', signerDescription)
+			.action(withErrors(signOwnerBundle));
+
+		program
+			.command('owner-bundle-exec')
+			.description('Execute an owner bundle on the safe once it has enough signatures')
+			.option(
+				'-d, --deployment-path <value>',
+				`Path to the deployment folder to mark the actions as complete in its ${OWNER_ACTIONS_FILENAME}`
+			)
+			.option('-f, --bundle-file <value>', 'The bundle to execute')
+			.option(
+				'-g, --gas-price <value>',
+				'Gas price in GWEI, for the fixed fee strategy',
+				DEFAULTS.gasPrice
+			)
+			.option('-l, --gas-limit <value>', 'Gas limit (default is to estimate it)', parseInt)
+			.option('--fee-strategy <value>', Fees.description)
+			.option('--stuck <value>', NonceManager.description, NonceManager.DEFAULTS.stuck)
+			.option(
+				'-v, --private-key [value]',
+				'The private key of the account to send with (default is the PRIVATE_KEY in .env)'
+			)
+			.option('--signer <value>', signerDescription)
+			.option('-y, --yes', 'Dont prompt, just reply yes.')
+			.action(withErrors(executeOwnerBundle));
+	},
+};
@@ -3,9 +3,9 @@
 const fs = require('fs');
 const { gray, yellow, red, cyan, bgYellow, black } = require('chalk');
 const w3utils = require('web3-utils');
-const Web3 = require('web3');
 
 const {
+	getMulticall,
 	getUsers,
 	constants: { CONFIG_FILENAME, DEPLOYMENT_FILENAME },
 } = require('../../..');
@@ -14,10 +14,15 @@ const {
 	ensureNetwork,
 	loadAndCheckRequiredSources,
 	loadConnections,
+	getWeb3,
 	confirmAction,
 	stringify,
 } = require('../util');
 
+const { loadSigner, description: signerDescription } = require('../signer');
+const Fees = require('../Fees');
+const NonceManager = require('../NonceManager');
+
 const {
 	getSafeInstance,
 	getSafeNonce,
@@ -28,7 +33,6 @@ const {
 
 const DEFAULTS = {
 	gasPrice: '15',
-	gasLimit: 2e5, // 200,000
 };
 
 const owner = async ({
@@ -36,11 +40,15 @@ const owner = async ({
 	newOwner,
 	deploymentPath,
 	gasPrice = DEFAULTS.gasPrice,
-	gasLimit = DEFAULTS.gasLimit,
+	gasLimit,
+	feeStrategy,
+	stuck,
 	privateKey,
+	signer,
 	yes,
 }) => {
 	ensureNetwork(network);
+	const fees = new Fees({ feeStrategy, gasPrice });
 
 	if (!newOwner) {
 		newOwner = getUsers({ network, user: 'owner' }).address;
@@ -58,7 +66,7 @@ const owner = async ({
 		network,
 	});
 
-	const { providerUrl, privateKey: envPrivateKey } = loadConnections({
+	const { providerUrls, requestsPerSecond, privateKey: envPrivateKey } = loadConnections({
 		network,
 	});
 
@@ -66,11 +74,14 @@ const owner = async ({
 		privateKey = envPrivateKey;
 	}
 
-	const web3 = new Web3(new Web3.providers.HttpProvider(providerUrl));
-	web3.eth.accounts.wallet.add(privateKey);
-	const account = web3.eth.accounts.wallet[0].address;
+	const { web3, account, rpc } = getWeb3(
+		Object.assign(
+			{ providerUrls, requestsPerSecond, fees, stuck, yes },
+			await loadSigner({ signer, privateKey })
+		)
+	);
 	console.log(gray(`Using account with public key ${account}`));
-	console.log(gray(`Gas Price: ${gasPrice} gwei`));
+	console.log(gray(`Gas Price: ${fees.describe()}`));
 
 	let lastNonce;
 	// new owner should be gnosis safe proxy address
@@ -136,7 +147,6 @@ const owner = async ({
 				to: target,
 				sender: account,
 				gasLimit,
-				gasPrice,
 				network,
 				lastNonce,
 			});
@@ -155,17 +165,28 @@ const owner = async ({
 	}
 
 	console.log(gray('Looking for contracts whose ownership we should accept'));
-	for (const contract of Object.keys(config)) {
-		const { address, source } = deployment.targets[contract];
-		const { abi } = deployment.sources[source];
-		const deployedContract = new web3.eth.Contract(abi, address);
-
+	const ownedContracts = Object.keys(config)
+		.map(contract => {
+			const { address, source } = deployment.targets[contract];
+			const { abi } = deployment.sources[source];
+			return { contract, deployedContract: new web3.eth.Contract(abi, address) };
+		})
 		// ignore contracts that don't support Owned
-		if (!deployedContract.methods.owner) {
-			continue;
-		}
-		const currentOwner = (await deployedContract.methods.owner().call()).toLowerCase();
-		const nominatedOwner = (await deployedContract.methods.nominatedOwner().call()).toLowerCase();
+		.filter(({ deployedContract }) => deployedContract.methods.owner);
+
+	// read the owner and nominated owner of all of them at once
+	const owners = await getMulticall({ network, provider: web3 })(
+		[].concat(
+			...ownedContracts.map(({ deployedContract }) => [
+				{ contract: deployedContract, method: 'owner' },
+				{ contract: deployedContract, method: 'nominatedOwner' },
+			])
+		)
+	);
+
+	for (const [i, { contract, deployedContract }] of ownedContracts.entries()) {
+		const currentOwner = owners[i * 2].toLowerCase();
+		const nominatedOwner = owners[i * 2 + 1].toLowerCase();
 
 		if (currentOwner === newOwner) {
 			console.log(gray(`${newOwner} is already the owner of ${contract}`));
@@ -194,7 +215,6 @@ const owner = async ({
 					to: deployedContract.options.address,
 					sender: account,
 					gasLimit,
-					gasPrice,
 					network,
 					lastNonce,
 				});
@@ -215,6 +235,9 @@ const owner = async ({
 			);
 		}
 	}
+
+	fees.summary();
+	rpc.summary();
 };
 
 module.exports = {
@@ -232,8 +255,15 @@ module.exports = {
 				'The address of protocolDAO proxy contract as owner (please include the 0x prefix)'
 			)
 			.option('-v, --private-key [value]', 'The private key of wallet to stage with.')
-			.option('-g, --gas-price <value>', 'Gas price in GWEI', DEFAULTS.gasPrice)
-			.option('-l, --gas-limit <value>', 'Gas limit', parseInt, DEFAULTS.gasLimit)
+			.option('--signer <value>', signerDescription)
+			.option(
+				'-g, --gas-price <value>',
+				'Gas price in GWEI, for the fixed fee strategy',
+				DEFAULTS.gasPrice
+			)
+			.option('-l, --gas-limit <value>', 'Gas limit (default is to estimate it)', parseInt)
+			.option('--fee-strategy <value>', Fees.description)
+			.option('--stuck <value>', NonceManager.description, NonceManager.DEFAULTS.stuck)
 			.option('-n, --network <value>', 'The network to run off.', x => x.toLowerCase(), 'testnet')
 			.option('-y, --yes', 'Dont prompt, just reply yes.')
 			.action(owner),
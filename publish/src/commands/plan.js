@@ -0,0 +1,346 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const { gray, green, yellow, red, cyan } = require('chalk');
+const { table } = require('table');
+const w3utils = require('web3-utils');
+const Deployer = require('../Deployer');
+const { loadCompiledFiles } = require('../solidity');
+const { loadPlan, getSynthPlanEntries, runPlan } = require('../planner');
+const { getCurrentState, getOriginalTotalSupplies } = require('../current-state');
+const { loadSigner, description: signerDescription } = require('../signer');
+
+const {
+	ensureNetwork,
+	ensureDeploymentPath,
+	loadAndCheckRequiredSources,
+	loadConnections,
+	accountOf,
+	stringify,
+} = require('../util');
+
+const {
+	constants: {
+		BUILD_FOLDER,
+		CONFIG_FILENAME,
+		DEPLOYMENT_FILENAME,
+		OWNER_ACTIONS_FILENAME,
+		PLAN_FILENAME,
+		ZERO_ADDRESS,
+	},
+} = require('../../..');
+
+const DEFAULTS = {
+	network: 'testnet',
+	buildPath: path.join(__dirname, '..', '..', '..', BUILD_FOLDER),
+};
+
+const plan = async ({
+	addNewSynths,
+	network = DEFAULTS.network,
+	buildPath = DEFAULTS.buildPath,
+	deploymentPath,
+	oracleExrates,
+	providerUrl,
+	account,
+	signer,
+	outputFile,
+} = {}) => {
+	ensureNetwork(network);
+	ensureDeploymentPath(deploymentPath);
+
+	const { config, synths, deployment } = loadAndCheckRequiredSources({
+		deploymentPath,
+		network,
+	});
+
+	const deploymentPlan = loadPlan({ deploymentPath });
+
+	console.log(gray('Loading the compiled contracts locally...'));
+	const { compiled } = loadCompiledFiles({ buildPath });
+	if (!compiled) {
+		throw Error(
+			`Cannot find any compiled contracts in ${buildPath}. Did you run the "build" step?`
+		);
+	}
+
+	const { providerUrl: defaultProviderUrl, privateKey } = loadConnections({ network });
+
+	// the plan only reads from the network, so an account is all that's needed
+	if (!account) {
+		const { privateKey: signerKey, account: signerAccount } = await loadSigner({
+			signer,
+			privateKey,
+		});
+		account = signerKey ? accountOf(signerKey) : signerAccount;
+	}
+	if (!w3utils.isAddress(account)) {
+		throw Error(
+			'Please provide the address of the deployer account (or set the PRIVATE_KEY in .env, or use another --signer)'
+		);
+	}
+
+	const deployer = new Deployer({
+		compiled,
+		config,
+		deployment,
+		providerUrl: providerUrl || defaultProviderUrl,
+		account,
+	});
+
+	const getExistingContract = ({ contract }) => {
+		const { address, source } = deployment.targets[contract];
+		const { abi } = deployment.sources[source];
+
+		return deployer.getContract({
+			address,
+			abi,
+		});
+	};
+
+	const currentState = await getCurrentState({
+		network,
+		account,
+		oracleExrates,
+		getExistingContract,
+	});
+
+	const originalTotalSupplies = await getOriginalTotalSupplies({
+		network,
+		config,
+		synths,
+		getExistingContract,
+	});
+
+	const contracts = [];
+	const steps = [];
+	const resolver = [];
+	// the resolver entries planned so far
+	const imported = {};
+
+	// show simulated deployments by name rather than their placeholder addresses
+	const format = value => {
+		if (Array.isArray(value)) {
+			return `[${value.map(format).join(',')}]`;
+		}
+		const newContract = Object.entries(deployer.deployedContracts).find(
+			([, target]) => target.options.deployed && target.options.address === value
+		);
+		return newContract ? `<new ${newContract[0]}>` : String(value);
+	};
+
+	const deployContract = async ({ name, source = name, args, deps, force = false }) => {
+		const target = await deployer.deploy({ name, source, args, deps, force, dryRun: true });
+		if (!target) {
+			return;
+		}
+		const existing = deployment.targets[name];
+		contracts.push({
+			name,
+			source,
+			action: !target.options.deployed ? 'reuse' : existing ? 'redeploy' : 'deploy',
+			address: existing ? existing.address : '',
+		});
+		return target;
+	};
+
+	// mirror performTransactionalStep, but record what would happen instead of doing it
+	const runStep = async ({ contract, target, read, readArg, expected, write, writeArg }) => {
+		let argumentsForWriteFunction = [].concat(writeArg).filter(entry => entry !== undefined);
+
+		if (write === 'importAddresses') {
+			// simulated contracts can't be read, so ignore any entries already planned
+			const [names, addresses] = argumentsForWriteFunction;
+			const entries = names
+				.map((name, i) => ({ name, address: addresses[i] }))
+				.filter(({ name, address }) => !imported[name] || imported[name] !== address);
+			if (!entries.length) {
+				return;
+			}
+			entries.forEach(({ name, address }) => (imported[name] = address));
+			argumentsForWriteFunction = [
+				entries.map(({ name }) => name),
+				entries.map(({ address }) => address),
+			];
+		} else if (steps.find(step => step.key === `${contract}.${write}(${writeArg})`)) {
+			// nor can they show a step already planned has been done
+			return;
+		}
+
+		let current;
+		if (read) {
+			const argumentsForReadFunction = [].concat(readArg).filter(entry => entry !== undefined);
+			current = await target.methods[read](...argumentsForReadFunction).call();
+			if (expected(current)) {
+				return;
+			}
+		}
+		const owner = await target.methods.owner().call();
+
+		if (write === 'importAddresses') {
+			const [names, addresses] = argumentsForWriteFunction;
+			for (const [i, name] of names.entries()) {
+				resolver.push({
+					name: w3utils.hexToUtf8(name),
+					current: (await target.methods.getAddress(name).call()) || '',
+					next: format(addresses[i]),
+				});
+			}
+		}
+
+		steps.push({
+			key: `${contract}.${write}(${writeArg})`,
+			contract,
+			action:
+				write === 'importAddresses'
+					? `importAddresses(${argumentsForWriteFunction[0].length} entries)`
+					: `${write}(${argumentsForWriteFunction.map(format)})`,
+			current: current === undefined ? '' : format(current),
+			sentBy: owner === account ? 'deployer' : 'owner',
+		});
+	};
+
+	await runPlan({
+		plan: {
+			contracts: deploymentPlan.contracts.concat(
+				getSynthPlanEntries({ synths, addNewSynths, originalTotalSupplies })
+			),
+			imports: deploymentPlan.imports,
+		},
+		config,
+		variables: {
+			account,
+			oracleExrates: currentState.oracleExrates,
+			currentOikosPrice: currentState.currentOikosPrice,
+			currentOikosSupply: currentState.currentOikosSupply,
+			currentLastMintEvent: currentState.currentLastMintEvent,
+			currentWeekOfInflation: currentState.currentWeekOfInflation,
+			ZERO_ADDRESS,
+		},
+		deployedContracts: deployer.deployedContracts,
+		deployContract,
+		runStep,
+	});
+
+	const deploying = contracts.filter(({ action }) => action !== 'reuse');
+
+	console.log(gray('-'.repeat(50)));
+	console.log(
+		`Plan for ${cyan(network)} from ${account}: ${
+			deploying.length
+		} contracts to deploy, ${contracts.length - deploying.length} to reuse`
+	);
+
+	if (deploying.length) {
+		console.log(
+			table(
+				[['Contract', 'Source', 'Action', 'Current address']].concat(
+					deploying.map(({ name, source, action, address }) => [
+						name,
+						source,
+						action === 'redeploy' ? yellow(action) : green(action),
+						address,
+					])
+				)
+			)
+		);
+	}
+
+	if (steps.length) {
+		console.log(
+			`${steps.length} calls to make, ${
+				steps.filter(({ sentBy }) => sentBy === 'owner').length
+			} of which will be appended to ${OWNER_ACTIONS_FILENAME} for the owner`
+		);
+		console.log(
+			table(
+				[['Contract', 'Call', 'Current', 'Sent by']].concat(
+					steps.map(({ contract, action, current, sentBy }) => [
+						contract,
+						action,
+						current,
+						sentBy === 'owner' ? red(`owner (${OWNER_ACTIONS_FILENAME})`) : green(sentBy),
+					])
+				)
+			)
+		);
+	} else {
+		console.log(gray('No calls to make.'));
+	}
+
+	if (resolver.length) {
+		console.log(`${resolver.length} AddressResolver entries to change`);
+		console.log(
+			table(
+				[['Name', 'Current', 'New']].concat(
+					resolver.map(({ name, current, next }) => [name, current, next])
+				)
+			)
+		);
+	}
+
+	if (outputFile) {
+		fs.writeFileSync(
+			outputFile,
+			stringify({ network, account, contracts: deploying, steps, resolver })
+		);
+		console.log(gray(`Plan written to ${outputFile}`));
+	}
+};
+
+module.exports = {
+	plan,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('plan')
+			.description(
+				'Preview the contracts, calls and resolver entries a deploy would change, without sending anything'
+			)
+			.option(
+				'-a, --add-new-synths',
+				'Whether or not any new synths in the synths file should be planned if there is no entry in the config file'
+			)
+			.option(
+				'-b, --build-path [value]',
+				'Path to a folder hosting compiled files from the "build" step in this script',
+				DEFAULTS.buildPath
+			)
+			.option(
+				'-d, --deployment-path <value>',
+				`Path to a folder that has your ${CONFIG_FILENAME}, ${PLAN_FILENAME} and ${DEPLOYMENT_FILENAME} files`
+			)
+			.option(
+				'-n, --network <value>',
+				'The network to run off.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option(
+				'-o, --oracle-exrates <value>',
+				'The address of the oracle for this network (default is use existing)'
+			)
+			.option(
+				'-f, --output-file <value>',
+				'A file to write the plan to as JSON (e.g. to attach to a review)'
+			)
+			.option(
+				'-p, --provider-url <value>',
+				'The RPC to read from, such as a local fork (default is the provider of the network)'
+			)
+			.option(
+				'-u, --account <value>',
+				'The address of the deployer account (default is the account of the PRIVATE_KEY in .env)'
+			)
+			.option('--signer <value>', signerDescription)
+			.action(async (...args) => {
+				try {
+					await plan(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
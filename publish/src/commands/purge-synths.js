@@ -1,7 +1,6 @@
 'use strict';
 
 const { gray, green, yellow, red, cyan } = require('chalk');
-const Web3 = require('web3');
 const w3utils = require('web3-utils');
 const axios = require('axios');
 
@@ -15,13 +14,17 @@ const {
 	ensureDeploymentPath,
 	loadAndCheckRequiredSources,
 	loadConnections,
+	getWeb3,
 	confirmAction,
 	performTransactionalStep,
 } = require('../util');
+const { forkAction } = require('../fork');
+const { loadSigner, description: signerDescription } = require('../signer');
+const Fees = require('../Fees');
+const NonceManager = require('../NonceManager');
 
 const DEFAULTS = {
 	network: 'testnet',
-	gasLimit: 3e6,
 	gasPrice: '1',
 	batchSize: 15,
 };
@@ -30,7 +33,9 @@ const purgeSynths = async ({
 	network = DEFAULTS.network,
 	deploymentPath,
 	gasPrice = DEFAULTS.gasPrice,
-	gasLimit = DEFAULTS.gasLimit,
+	gasLimit,
+	feeStrategy,
+	stuck,
 	synthsToPurge = [],
 	dryRun = false,
 	yes,
@@ -38,9 +43,12 @@ const purgeSynths = async ({
 	addresses = [],
 	batchSize = DEFAULTS.batchSize,
 	proxyAddress,
+	fork,
+	signer,
 }) => {
 	ensureNetwork(network);
 	ensureDeploymentPath(deploymentPath);
+	const fees = new Fees({ feeStrategy, gasPrice });
 
 	const { synths, deployment } = loadAndCheckRequiredSources({
 		deploymentPath,
@@ -73,19 +81,20 @@ const purgeSynths = async ({
 
 	const { providerUrl, privateKey: envPrivateKey, etherscanLinkPrefix } = loadConnections({
 		network,
+		fork,
 	});
 
 	// allow local deployments to use the private key passed as a CLI option
 	if (network !== 'local' || !privateKey) {
 		privateKey = envPrivateKey;
 	}
-	console.log(`Using provider url ${providerUrl}`)
+	console.log(`Using provider url ${providerUrl}`);
 
-	const web3 = new Web3(new Web3.providers.HttpProvider(providerUrl));
-	web3.eth.accounts.wallet.add(privateKey);
-	const account = web3.eth.accounts.wallet[0].address;
+	const { web3, account } = getWeb3(
+		Object.assign({ providerUrl, fees, stuck, yes }, await loadSigner({ signer, privateKey, fork }))
+	);
 	console.log(gray(`Using account with public key ${account}`));
-	console.log(gray(`Using gas of ${gasPrice} GWEI with a max of ${gasLimit}`));
+	console.log(gray(`Using gas of ${fees.describe()} with a max of ${gasLimit || 'the estimate'}`));
 
 	console.log(gray('Dry-run:'), dryRun ? green('yes') : yellow('no'));
 
@@ -147,8 +156,8 @@ const purgeSynths = async ({
 			return;
 		}
 
-		// step 1. fetch all holders via ethplorer api
-		if (network === 'bsc') {
+		// step 1. fetch all holders via ethplorer api (unless given, e.g. when rehearsing on a fork)
+		if (network === 'bsc' && !addresses.length) {
 			const topTokenHoldersUrl = `http://api.ethplorer.io/getTopTokenHolders/${proxyAddress}`;
 			const response = await axios.get(topTokenHoldersUrl, {
 				params: {
@@ -197,7 +206,6 @@ const purgeSynths = async ({
 					write: 'purge',
 					writeArg: [entries], // explicitly pass array of args so array not splat as params
 					gasLimit,
-					gasPrice,
 					etherscanLinkPrefix,
 					encodeABI: network === 'bsc',
 				});
@@ -217,6 +225,7 @@ const purgeSynths = async ({
 		}
 	}
 	console.log(`Total number of batches: ${totalBatches}`);
+	fees.summary();
 };
 
 module.exports = {
@@ -227,7 +236,7 @@ module.exports = {
 			.description('Purge a number of synths from the system')
 			.option(
 				'-a, --addresses <value>',
-				'The list of holder addresses (use in testnets when Ethplorer API does not return holders)',
+				'The list of holder addresses (default on bsc is to look them up via the Ethplorer API)',
 				(val, memo) => {
 					memo.push(val);
 					return memo;
@@ -238,8 +247,14 @@ module.exports = {
 				'-d, --deployment-path <value>',
 				`Path to a folder that has your input configuration file ${CONFIG_FILENAME} and where your ${DEPLOYMENT_FILENAME} files will go`
 			)
-			.option('-g, --gas-price <value>', 'Gas price in GWEI', DEFAULTS.gasPrice)
-			.option('-l, --gas-limit <value>', 'Gas limit', DEFAULTS.gasLimit)
+			.option(
+				'-g, --gas-price <value>',
+				'Gas price in GWEI, for the fixed fee strategy',
+				DEFAULTS.gasPrice
+			)
+			.option('-l, --gas-limit <value>', 'Gas limit (default is to estimate it)', parseInt)
+			.option('--fee-strategy <value>', Fees.description)
+			.option('--stuck <value>', NonceManager.description, NonceManager.DEFAULTS.stuck)
 			.option(
 				'-n, --network [value]',
 				'The network to run off.',
@@ -251,6 +266,7 @@ module.exports = {
 				'-v, --private-key [value]',
 				'The private key to transact with (only works in local mode, otherwise set in .env).'
 			)
+			.option('--signer <value>', signerDescription)
 			.option(
 				'-bs, --batch-size [value]',
 				'Batch size for the addresses to be split into',
@@ -269,5 +285,13 @@ module.exports = {
 				},
 				[]
 			)
-			.action(purgeSynths),
+			.option(
+				'--fork',
+				'Rehearse on a local fork of the network as the owner, against a copy of the deployment folder'
+			)
+			.option(
+				'--fork-cache <value>',
+				'The JSON-RPC cache to fork from, recorded from the network if it does not exist (default is build/fork/<network>.json)'
+			)
+			.action(forkAction(purgeSynths)),
 };
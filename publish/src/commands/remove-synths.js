@@ -2,7 +2,6 @@
 
 const fs = require('fs');
 const { gray, yellow, red, cyan } = require('chalk');
-const Web3 = require('web3');
 const w3utils = require('web3-utils');
 
 const {
@@ -15,14 +14,18 @@ const {
 	ensureDeploymentPath,
 	loadAndCheckRequiredSources,
 	loadConnections,
+	getWeb3,
 	confirmAction,
 	stringify,
 	performTransactionalStep,
 } = require('../util');
 
+const { loadSigner, description: signerDescription } = require('../signer');
+const Fees = require('../Fees');
+const NonceManager = require('../NonceManager');
+
 const DEFAULTS = {
 	network: 'testnet',
-	gasLimit: 3e5,
 	gasPrice: '1',
 };
 
@@ -30,13 +33,17 @@ const removeSynths = async ({
 	network = DEFAULTS.network,
 	deploymentPath,
 	gasPrice = DEFAULTS.gasPrice,
-	gasLimit = DEFAULTS.gasLimit,
+	gasLimit,
+	feeStrategy,
+	stuck,
 	synthsToRemove = [],
 	yes,
 	privateKey,
+	signer,
 }) => {
 	ensureNetwork(network);
 	ensureDeploymentPath(deploymentPath);
+	const fees = new Fees({ feeStrategy, gasPrice });
 
 	const {
 		synths,
@@ -55,9 +62,9 @@ const removeSynths = async ({
 	if (synthsToRemove.length < 1) {
 		console.log(gray('No synths provided. Please use --synths-to-remove option'));
 		return;
-	}	
+	}
 
-	console.log(synths)
+	console.log(synths);
 
 	// sanity-check the synth list
 	for (const synth of synthsToRemove) {
@@ -81,11 +88,11 @@ const removeSynths = async ({
 		privateKey = envPrivateKey;
 	}
 
-	const web3 = new Web3(new Web3.providers.HttpProvider(providerUrl));
-	web3.eth.accounts.wallet.add(privateKey);
-	const account = web3.eth.accounts.wallet[0].address;
+	const { web3, account } = getWeb3(
+		Object.assign({ providerUrl, fees, stuck, yes }, await loadSigner({ signer, privateKey }))
+	);
 	console.log(gray(`Using account with public key ${account}`));
-	console.log(gray(`Using gas of ${gasPrice} GWEI with a max of ${gasLimit}`));
+	console.log(gray(`Using gas of ${fees.describe()} with a max of ${gasLimit || 'the estimate'}`));
 
 	if (!yes) {
 		try {
@@ -162,7 +169,6 @@ const removeSynths = async ({
 			write: 'removeSynth',
 			writeArg: toBytes32(currencyKey),
 			gasLimit,
-			gasPrice,
 			etherscanLinkPrefix,
 			ownerActions,
 			ownerActionsFile,
@@ -182,6 +188,8 @@ const removeSynths = async ({
 		updatedSynths = updatedSynths.filter(({ name }) => name !== currencyKey);
 		fs.writeFileSync(synthsFile, stringify(updatedSynths));
 	}
+
+	fees.summary();
 };
 
 module.exports = {
@@ -194,9 +202,16 @@ module.exports = {
 				'-d, --deployment-path <value>',
 				`Path to a folder that has your input configuration file ${CONFIG_FILENAME} and where your ${DEPLOYMENT_FILENAME} files will go`
 			)
-			.option('-g, --gas-price <value>', 'Gas price in GWEI', 1)
-			.option('-l, --gas-limit <value>', 'Gas limit', 15e4)
+			.option(
+				'-g, --gas-price <value>',
+				'Gas price in GWEI, for the fixed fee strategy',
+				DEFAULTS.gasPrice
+			)
+			.option('-l, --gas-limit <value>', 'Gas limit (default is to estimate it)', parseInt)
+			.option('--fee-strategy <value>', Fees.description)
+			.option('--stuck <value>', NonceManager.description, NonceManager.DEFAULTS.stuck)
 			.option('-n, --network <value>', 'The network to run off.', x => x.toLowerCase(), 'testnet')
+			.option('--signer <value>', signerDescription)
 			.option(
 				'-s, --synths-to-remove <value>',
 				'The list of synths to remove',
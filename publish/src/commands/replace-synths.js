@@ -7,6 +7,10 @@ const w3utils = require('web3-utils');
 
 const { loadCompiledFiles } = require('../solidity');
 const Deployer = require('../Deployer');
+const { forkAction } = require('../fork');
+const { loadSigner, description: signerDescription } = require('../signer');
+const Fees = require('../Fees');
+const NonceManager = require('../NonceManager');
 const oks = require('../../../');
 
 const {
@@ -26,8 +30,6 @@ const {
 
 const DEFAULTS = {
 	buildPath: path.join(__dirname, '..', '..', '..', BUILD_FOLDER),
-	contractDeploymentGasLimit: 7e6,
-	methodCallGasLimit: 15e4,
 	gasPrice: '1',
 };
 
@@ -36,15 +38,20 @@ const replaceSynths = async ({
 	buildPath = DEFAULTS.buildPath,
 	deploymentPath,
 	gasPrice = DEFAULTS.gasPrice,
-	methodCallGasLimit = DEFAULTS.methodCallGasLimit,
-	contractDeploymentGasLimit = DEFAULTS.contractDeploymentGasLimit,
+	feeStrategy,
+	stuck,
+	methodCallGasLimit,
+	contractDeploymentGasLimit,
 	subclass,
 	synthsToReplace,
 	privateKey,
 	yes,
+	fork,
+	signer,
 }) => {
 	ensureNetwork(network);
 	ensureDeploymentPath(deploymentPath);
+	const fees = new Fees({ feeStrategy, gasPrice });
 
 	const { synths, synthsFile, deployment, deploymentFile } = loadAndCheckRequiredSources({
 		deploymentPath,
@@ -88,8 +95,9 @@ const replaceSynths = async ({
 		}
 	}
 
-	const { providerUrl, privateKey: envPrivateKey, etherscanLinkPrefix } = loadConnections({
+	const { providerUrl, privateKey: envPrivateKey, etherscanLinkPrefix, chainId } = loadConnections({
 		network,
+		fork,
 	});
 
 	// allow local deployments to use the private key passed as a CLI option
@@ -100,16 +108,22 @@ const replaceSynths = async ({
 	console.log(gray('Loading the compiled contracts locally...'));
 	const { compiled } = loadCompiledFiles({ buildPath });
 
-	const deployer = new Deployer({
-		compiled,
-		config: {}, // we don't care what config we pass the deployer - we will force override
-		deployment,
-		gasPrice,
-		methodCallGasLimit,
-		contractDeploymentGasLimit,
-		privateKey,
-		providerUrl,
-	});
+	const deployer = new Deployer(
+		Object.assign(
+			{
+				compiled,
+				config: {}, // we don't care what config we pass the deployer - we will force override
+				deployment,
+				fees,
+				stuck,
+				yes,
+				methodCallGasLimit,
+				contractDeploymentGasLimit,
+				providerUrl,
+			},
+			await loadSigner({ signer, privateKey, fork })
+		)
+	);
 
 	// TODO - this should be fixed in Deployer
 	/*deployer.deployedContracts.SafeDecimalMath = {
@@ -123,7 +137,8 @@ const replaceSynths = async ({
 	console.log(gray(`Using account with public key ${account}`));
 	console.log(
 		gray(
-			`Using gas of ${gasPrice} GWEI with a limit of ${methodCallGasLimit} (methods), ${contractDeploymentGasLimit} (deployment)`
+			`Using gas of ${fees.describe()} with a limit of ${methodCallGasLimit ||
+				'the estimate'} (methods), ${contractDeploymentGasLimit || 'the estimate'} (deployment)`
 		)
 	);
 
@@ -210,7 +225,6 @@ const replaceSynths = async ({
 			...opts,
 			account,
 			gasLimit: methodCallGasLimit,
-			gasPrice,
 			etherscanLinkPrefix,
 		});
 
@@ -258,11 +272,9 @@ const replaceSynths = async ({
 		});
 
 		// Ensure this new synth has its resolver cache set
-		await replacementSynth.methods.setResolverAndSyncCache(resolverAddress).send({
-			from: account,
-			gas: Number(methodCallGasLimit),
-			gasPrice: w3utils.toWei(gasPrice.toString(), 'gwei'),
-		});
+		await replacementSynth.methods
+			.setResolverAndSyncCache(resolverAddress)
+			.send(deployer.sendParameters('method-call'));
 
 		// 4. Issuer.addSynth(newone) // owner
 		await runStep({
@@ -301,6 +313,7 @@ const replaceSynths = async ({
 			address: replacementSynth.options.address,
 			source: subclass,
 			network,
+			chainId,
 			link: `${etherscanLinkPrefix}/address/${replacementSynth.options.address}`,
 			timestamp: new Date(),
 			txn: '',
@@ -317,6 +330,8 @@ const replaceSynths = async ({
 		synthToUpdateInJSON.subclass = subclass;
 		fs.writeFileSync(synthsFile, stringify(updatedSynths));
 	}
+
+	fees.summary();
 };
 
 module.exports = {
@@ -332,20 +347,24 @@ module.exports = {
 			)
 			.option(
 				'-c, --contract-deployment-gas-limit <value>',
-				'Contract deployment gas limit',
-				parseInt,
-				DEFAULTS.contractDeploymentGasLimit
+				'Contract deployment gas limit (default is to estimate it)',
+				parseInt
 			)
 			.option(
 				'-d, --deployment-path <value>',
 				`Path to a folder that has your input configuration file ${CONFIG_FILENAME} and where your ${DEPLOYMENT_FILENAME} files will go`
 			)
-			.option('-g, --gas-price <value>', 'Gas price in GWEI', DEFAULTS.gasPrice)
+			.option(
+				'-g, --gas-price <value>',
+				'Gas price in GWEI, for the fixed fee strategy',
+				DEFAULTS.gasPrice
+			)
+			.option('--fee-strategy <value>', Fees.description)
+			.option('--stuck <value>', NonceManager.description, NonceManager.DEFAULTS.stuck)
 			.option(
 				'-m, --method-call-gas-limit <value>',
-				'Method call gas limit',
-				parseInt,
-				DEFAULTS.methodCallGasLimit
+				'Method call gas limit (default is to estimate it)',
+				parseInt
 			)
 			.option('-n, --network <value>', 'The network to run off.', x => x.toLowerCase(), 'testnet')
 			.option(
@@ -362,7 +381,16 @@ module.exports = {
 				'-v, --private-key [value]',
 				'The private key to transact with (only works in local mode, otherwise set in .env).'
 			)
+			.option('--signer <value>', signerDescription)
 			.option('-x, --max-supply-to-purge-in-usd [value]', 'For PurgeableSynth, max supply', 1000)
+			.option(
+				'--fork',
+				'Rehearse on a local fork of the network as the owner, against a copy of the deployment folder'
+			)
+			.option(
+				'--fork-cache <value>',
+				'The JSON-RPC cache to fork from, recorded from the network if it does not exist (default is build/fork/<network>.json)'
+			)
 			.option('-y, --yes', 'Dont prompt, just reply yes.')
-			.action(replaceSynths),
+			.action(forkAction(replaceSynths)),
 };
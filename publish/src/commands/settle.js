@@ -1,424 +1,429 @@
 'use strict';
 
-const { gray, yellow, red, cyan, green } = require('chalk');
 const fs = require('fs');
-const path = require('path');
-const Web3 = require('web3');
-const minimist = require('minimist');
-//const cleanEntries = require("./cleanEntries");
-
-const { getTarget, getSource, toBytes32 } = require('../../..');
-
-const { ensureNetwork, loadConnections, stringify } = require('../util');
-const chainStackUrl = process.env.CHAINSTACK_URL;
-
-const fromBlockMap = {
-    testnet: 10367492,
-    bsc: 22771609,
-};
-
-console.log(`Using Exchanger address ${getTarget({ contract: 'Exchanger' }).address}`);
-const pathToLocal = name => path.join(__dirname, `${name}.json`);
-
-const saveExchangesToFile = ({ network, exchanges, fromBlock }) => {
-    fs.writeFileSync(pathToLocal(`exchanges-${network}-${fromBlock}`), stringify(exchanges));
-};
-
-const loadExchangesFromFile = ({ network, fromBlock }) => {
-    return JSON.parse(fs.readFileSync(pathToLocal(`exchanges-${network}-${fromBlock}`)).toString());
+const { gray, yellow, red, cyan, green } = require('chalk');
+const { table } = require('table');
+const w3utils = require('web3-utils');
+
+const { getContracts, getMulticall, toBytes32 } = require('../../..');
+
+const {
+	ensureNetwork,
+	loadConnections,
+	providerUrlsOption,
+	getWeb3,
+	stringify,
+	runRounds,
+} = require('../util');
+const { loadSigner, description: signerDescription } = require('../signer');
+const Fees = require('../Fees');
+const Indexer = require('../Indexer');
+const NonceManager = require('../NonceManager');
+
+const DEFAULTS = {
+	network: 'testnet',
+	gasPrice: '1',
+	// in seconds, between the rounds of the keeper
+	interval: 15,
+	// the most settle transactions in flight at once
+	batchSize: 10,
+	// how many times to try to settle an exchange before giving up on it
+	maxAttempts: 3,
+	stuck: 'speed-up',
 };
 
-const settleExt = async (account, toCurrencyKey, nonce) => {
-    const privateKey = process.env.PRIVATE_KEY;
-    const network = "bsc"
-    let { providerUrl } = loadConnections({
-        network,
-        privateKey: process.env.PRIVATE_KEY,
-    });
-    
-    providerUrl = chainStackUrl || providerUrl;
-
-    const web3 = new Web3(new Web3.providers.HttpProvider(providerUrl));
-    const user = web3.eth.accounts.wallet.add(privateKey);
-
-    const getContract = ({ label, source }) =>
-        new web3.eth.Contract(
-            getSource({ network, contract: source }).abi,
-            getTarget({ network, contract: label }).address
-    );
-
-    const Exchanger = getContract({ label: 'Exchanger', source: 'Exchanger' });
-
-    console.log('executing forced settle ...')
-
-    Exchanger.methods
-    .settle(account, toCurrencyKey)
-    .send({
-        from: user.address,
-        gas: `${500000}`,
-        gasPrice: 10000000000,
-        nonce: nonce++,
-    })
-    .then(({ transactionHash }) =>
-        console.log(gray(`${etherscanLinkPrefix}/tx/${transactionHash}`))
-    )
-    .catch(err => {
-        if (err.toString().indexOf("reverted") > -1) {
-            console.log("tx reverted")
-        }
-        console.log(err)
-    });
-    return nonce
-}
-
-const settle = async({
-    network,
-    range = 0,
-    fromBlock = fromBlockMap[network],
-    dryRun,
-    clean,
-    latest,
-    gasPrice,
-    gasLimit,
-    privateKey,
-    ethToSeed,
-    showDebt,
-    args,
+const addWei = (a, b) =>
+	w3utils
+		.toBN(a)
+		.add(w3utils.toBN(b))
+		.toString();
+
+/**
+ * The reclaims and rebates settled, in total and by synth, with their value in oUSD.
+ */
+const getTotals = settled =>
+	settled.reduce(
+		(memo, { currencyKey, reclaimAmount, rebateAmount, reclaimValue, rebateValue }) => {
+			const synth = memo.bySynth[currencyKey] || { settlements: 0, reclaimed: '0', rebated: '0' };
+			memo.bySynth[currencyKey] = {
+				settlements: synth.settlements + 1,
+				reclaimed: addWei(synth.reclaimed, reclaimAmount),
+				rebated: addWei(synth.rebated, rebateAmount),
+			};
+			memo.settlements++;
+			memo.reclaimedValue = addWei(memo.reclaimedValue, reclaimValue);
+			memo.rebatedValue = addWei(memo.rebatedValue, rebateValue);
+			return memo;
+		},
+		{ settlements: 0, reclaimedValue: '0', rebatedValue: '0', bySynth: {} }
+	);
+
+// the totals in units rather than wei
+const formatTotals = ({ settlements, reclaimedValue, rebatedValue, bySynth }) => ({
+	settlements,
+	reclaimedValue: w3utils.fromWei(reclaimedValue),
+	rebatedValue: w3utils.fromWei(rebatedValue),
+	bySynth: Object.entries(bySynth).reduce(
+		(memo, [currencyKey, { settlements, reclaimed, rebated }]) => {
+			memo[currencyKey] = {
+				settlements,
+				reclaimed: w3utils.fromWei(reclaimed),
+				rebated: w3utils.fromWei(rebated),
+			};
+			return memo;
+		},
+		{}
+	),
+});
+
+// what is reported of an exchange settled, or that could not be
+const toRecord = ({
+	account,
+	currencyKey,
+	reclaimAmount,
+	rebateAmount,
+	numEntries,
+	reclaimValue,
+	rebateValue,
+	attempts,
+	error,
+}) => ({
+	account,
+	currencyKey: w3utils.hexToUtf8(currencyKey),
+	reclaimAmount,
+	rebateAmount,
+	numEntries,
+	reclaimValue,
+	rebateValue,
+	attempts,
+	error,
+});
+
+const settle = async ({
+	network = DEFAULTS.network,
+	providerUrl,
+	fromBlock,
+	range,
+	watch,
+	interval = DEFAULTS.interval,
+	batchSize = DEFAULTS.batchSize,
+	reportFile,
+	dryRun,
+	gasPrice = DEFAULTS.gasPrice,
+	gasLimit,
+	feeStrategy,
+	stuck = DEFAULTS.stuck,
+	privateKey,
+	signer,
+	ethToSeed,
 }) => {
-    ensureNetwork(network);
-    console.log(range)
-    console.log(gray('Using network:', yellow(network)));
-
-    let { providerUrl, privateKey: envPrivateKey, etherscanLinkPrefix } = loadConnections({
-        network,
-    });
-
-    providerUrl = chainStackUrl || providerUrl;
-
-    privateKey = privateKey || envPrivateKey;
-
-    const web3 = new Web3(new Web3.providers.HttpProvider(providerUrl));
-
-    console.log(gray('gasPrice'), yellow(gasPrice));
-    const gas = gasLimit;
-    gasPrice = web3.utils.toWei(gasPrice, 'gwei');
-    const user = web3.eth.accounts.wallet.add(privateKey);
-    const deployer = web3.eth.accounts.wallet.add(envPrivateKey);
-
-    console.log(gray('Using wallet', cyan(user.address)));
-    const balance = web3.utils.fromWei(await web3.eth.getBalance(user.address));
-    console.log(gray('ETH balance'), yellow(balance));
-
-    let nonce
-    try {
-        nonce = await web3.eth.getTransactionCount(user.address);
-        console.log(gray('Starting at nonce'), yellow(nonce));
-
-    } catch (err) {
-        console.log(`Error getting nonce ${err}`)
-        return
-    }
-
-
-    if (balance < '0.01') {
-        if (dryRun) {
-            console.log(green('[DRY RUN] Sending'), yellow(ethToSeed), green('ETH to address'));
-        } else {
-            console.log(
-                green(`Sending ${yellow(ethToSeed)} ETH to address from`),
-                yellow(deployer.address)
-            );
-            const { transactionHash } = await web3.eth.sendTransaction({
-                from: deployer.address,
-                to: user.address,
-                value: web3.utils.toWei(ethToSeed),
-                gas,
-                gasPrice,
-            });
-            console.log(gray(`${etherscanLinkPrefix}/tx/${transactionHash}`));
-        }
-    }
-
-    const { number: currentBlock } = await web3.eth.getBlock('latest');
-
-    if (!isNaN(args[0])) {
-        fromBlock = args[0];
-    } else {
-        if (range > 0) {
-            fromBlock = Number(currentBlock) - Number(range);
-        }
-    }
-
-
-    const getContract = ({ label, source }) =>
-        new web3.eth.Contract(
-            getSource({ network, contract: source }).abi,
-            getTarget({ network, contract: label }).address
-        );
-
-    const Oikos = getContract({
-        label: 'ProxyERC20',
-        source: 'Oikos',
-    });
-
-    const Exchanger = getContract({ label: 'Exchanger', source: 'Exchanger' });
-    const ExchangeRates = getContract({ label: 'ExchangeRates', source: 'ExchangeRates' });
-
-
-    const fetchAllEvents = ({ pageSize = 5000, startingBlock = fromBlock, target }) => {
-        const innerFnc = async() => {
-
-            console.log(yellow(`Starting block ${startingBlock} Current block ${currentBlock} ${startingBlock > currentBlock} Range ${range}`))
-
-            if (startingBlock > currentBlock) {
-                return [];
-            }
-            console.log(gray('-> Fetching page of results from target', yellow(target.options.address)));
-            const pageOfResults = await target.getPastEvents('SynthExchange', {
-                fromBlock: startingBlock,
-                toBlock: startingBlock + pageSize - 1,
-            });
-            console.log({ pageOfResults })
-            startingBlock += pageSize;
-            return [].concat(pageOfResults).concat(await innerFnc());
-        };
-        return innerFnc();
-    };
-
-    let methodology = gray('Loaded');
-    let exchanges;
-
-    try {
-        if (latest) {
-            throw Error('Must fetch latest');
-        }
-        exchanges = loadExchangesFromFile({ network, fromBlock });
-    } catch (err) {
-        exchanges = await fetchAllEvents({ target: Oikos });
-        saveExchangesToFile({
-            network,
-            fromBlock,
-            exchanges,
-        });
-        methodology = yellow('Fetched');
-    }
-
-    console.log(gray(methodology, yellow(exchanges.length), 'exchanges since block', fromBlock));
-
-    // this would be faster in parallel, but let's do it in serial so we know where we got up to
-    // if we have to restart
-    const cache = {};
-    let debtTally = 0;
-    //await cleanEntries.restore();
-
-    for (const {
-            blockNumber,
-            returnValues: {
-                account,
-                toCurrencyKey
-            },
-        }
-        of exchanges) {
-
-        if (cache[account + toCurrencyKey]) continue;
-        cache[account + toCurrencyKey] = true;
-
-        console.log({
-            "acct": account,
-            "currencyKey": toCurrencyKey
-        })
-
-        try {
-            if (clean) {
-                //await cleanEntries.run(account);
-            }
-
-            const { reclaimAmount, rebateAmount, numEntries } = await Exchanger.methods
-                .settlementOwing(account, toCurrencyKey)
-                .call();
-
-            console.log(`Settlement owing ${reclaimAmount} ${rebateAmount} ${numEntries}`)
-
-            if (toCurrencyKey == '0x6f424e4200000000000000000000000000000000000000000000000000000000' &&
-                numEntries == 0) {
-                    //await cleanEntries.run(account);
-            }
-
-            /*
-                		const reclaimAmount = 0;
-                		const rebateAmount = 0;
-                		const numEntries = exchanges.length;
-                */
-            let _numEntries
-            if (numEntries == 0) {
-                _numEntries = exchanges.length;
-            } else {
-                _numEntries = numEntries;
-            }
-
-            //if (_numEntries > 0) {
-            if (numEntries > 0) {
-                process.stdout.write(
-                    gray(
-                        'Block',
-                        cyan(blockNumber),
-                        'processing',
-                        yellow(account),
-                        'into',
-                        yellow(web3.utils.hexToAscii(toCurrencyKey))
-                    )
-                );
-
-                const wasReclaimOrRebate = reclaimAmount > 0 || rebateAmount > 0;
-                if (showDebt) {
-                    const valueInUSD = wasReclaimOrRebate ?
-                        web3.utils.fromWei(
-                            await ExchangeRates.methods
-                            .effectiveValue(
-                                toCurrencyKey,
-                                reclaimAmount > rebateAmount ? reclaimAmount.toString() : rebateAmount.toString(),
-                                toBytes32('oUSD')
-                            )
-                            .call()
-                        ) :
-                        0;
-
-                    debtTally += Math.round(reclaimAmount > rebateAmount ? -valueInUSD : +valueInUSD);
-
-                    console.log(
-                        gray(
-                            ' > Found',
-                            yellow(numEntries),
-                            'entries.',
-                            wasReclaimOrRebate ?
-                            (reclaimAmount > rebateAmount ? green : red)('USD $' + Math.round(valueInUSD)) :
-                            '($0)',
-                            wasReclaimOrRebate ? 'Tally: ' + debtTally : '',
-                            valueInUSD > 0 ? 'Settling...' : ''
-                        )
-                    );
-                } else {
-                    console.log(
-                        gray(
-                            ' > Found',
-                            yellow(numEntries),
-                            'entries.',
-                            wasReclaimOrRebate ?
-                            (reclaimAmount > rebateAmount ? green : red)(
-                                web3.utils.fromWei(reclaimAmount > rebateAmount ? reclaimAmount : rebateAmount)
-                            ) :
-                            '($0)',
-                            'Settling...'
-                        )
-                    );
-                }
-                if (numEntries > 0) {
-                    if (dryRun) {
-                        console.log(green(`[DRY RUN] > Invoke settle()`));
-                    } else {
-                        console.log(green(`Invoking settle()`));
-
-                        try {
-                            Exchanger.methods
-                                .settle(account, toCurrencyKey)
-                                .estimateGas({ from: user.address, gas: 14000000 }, function(error, gasAmount) {
-                                    if (error) {
-                                        console.log(red(`Always failing transaction`))
-                                    } else {
-                                        // do not await, just emit using the nonce
-                                        Exchanger.methods
-                                            .settle(account, toCurrencyKey)
-                                            .send({
-                                                from: user.address,
-                                                gas: `${1400000}`,
-                                                gasPrice: 5001000000,
-                                                nonce: nonce++,
-                                            })
-                                            .then(({ transactionHash }) =>
-                                                console.log(gray(`${etherscanLinkPrefix}/tx/${transactionHash}`))
-                                            )
-                                            .catch(err => {
-                                                //console.log(err.toString())
-                                                if (err.toString().indexOf("reverted") > -1) {
-                                                    console.log("tx reverted")
-                                                    console.log(err)
-                                                }
-                                                //console.log(err.message)
-                                                    /*console.error(
-                                                    	red('Error settling'),
-                                                    	yellow(account),
-                                                    	yellow(web3.utils.hexToAscii(toCurrencyKey)),
-                                                    	gray(`${etherscanLinkPrefix}/tx/${err.receipt.transactionHash}`)
-                                                    );*/
-                                            });
-
-
-                                    }
-                                })
-                        } catch (err) {
-                            console.log(`Fatal error`)
-                        }
-
-                    }
-                }
-
-            } else if (process.env.DEBUG) {
-                console.log(
-                    gray(
-                        'Block',
-                        cyan(blockNumber),
-                        'processing',
-                        yellow(account),
-                        'into',
-                        yellow(web3.utils.hexToAscii(toCurrencyKey)),
-                        '> Nothing to settle.'
-                    )
-                );
-            }
-        } catch (err) {
-
-            console.log(err.message)
-            //await cleanEntries.run(account);
-
-        }
-
-    }
+	ensureNetwork(network);
+	console.log(gray('Using network:', yellow(network)));
+
+	const {
+		providerUrls,
+		requestsPerSecond,
+		privateKey: envPrivateKey,
+		etherscanLinkPrefix,
+	} = loadConnections({
+		network,
+		providerUrl,
+	});
+
+	// the settle transactions are priced by the fee strategy, and given their nonces by the nonce
+	// manager, which speeds up any that are stuck
+	const fees = new Fees({ feeStrategy, gasPrice });
+	const connection = { providerUrls, requestsPerSecond, fees, stuck };
+	const { web3, account, rpc } = getWeb3(
+		Object.assign(
+			{},
+			connection,
+			await loadSigner({ signer, privateKey: privateKey || envPrivateKey })
+		)
+	);
+	console.log(gray('Using wallet', cyan(account)));
+	console.log(gray(`Gas price: ${fees.describe()}`));
+
+	const balance = w3utils.fromWei(await web3.eth.getBalance(account));
+	console.log(gray('BNB balance'), yellow(balance));
+
+	if (ethToSeed && Number(balance) < 0.01) {
+		// sent by the deployer, signed and given its nonce as the settle transactions are
+		const { web3: deployerWeb3, account: deployer } = getWeb3(
+			Object.assign({}, connection, { privateKey: envPrivateKey })
+		);
+		if (dryRun) {
+			console.log(green('[DRY RUN] Sending'), yellow(ethToSeed), green('BNB to address'));
+		} else {
+			console.log(green(`Sending ${yellow(ethToSeed)} BNB to address from`), yellow(deployer));
+			const { transactionHash } = await deployerWeb3.eth.sendTransaction({
+				from: deployer,
+				to: account,
+				value: w3utils.toWei(ethToSeed),
+				gas: 21000,
+			});
+			console.log(gray(`${etherscanLinkPrefix}/tx/${transactionHash}`));
+		}
+	}
+
+	if (range) {
+		fromBlock = (await web3.eth.getBlockNumber()) - Number(range);
+	}
+	fromBlock = Number(fromBlock || Indexer.DEFAULTS.fromBlock[network] || 0);
+
+	const { Exchanger, ExchangeRates } = getContracts({ network, provider: web3 });
+	// when first indexing, from the block to settle from
+	const indexer = new Indexer({ network, web3, fromBlock });
+	const { fromBlock: indexedFrom } = indexer.loadCheckpoint();
+	if (indexedFrom > fromBlock) {
+		console.log(
+			yellow(`The index starts at block ${indexedFrom}, so exchanges before it are not settled`)
+		);
+	}
+	const multicall = getMulticall({ network, provider: web3 });
+
+	const report = {
+		network,
+		account,
+		dryRun: !!dryRun,
+		fromBlock,
+		toBlock: fromBlock - 1,
+		startedAt: new Date(),
+		// each as { account, currencyKey, reclaimAmount, rebateAmount, numEntries, reclaimValue, rebateValue, transactionHash }
+		settled: [],
+		// as settled, along with the attempts and the last error
+		failed: [],
+	};
+	const writeReport = () => {
+		if (reportFile) {
+			fs.writeFileSync(
+				reportFile,
+				stringify(
+					Object.assign({}, report, {
+						updatedAt: new Date(),
+						totals: formatTotals(getTotals(report.settled)),
+					})
+				)
+			);
+		}
+	};
+
+	// the accounts and synths exchanged into that are yet to be settled, by both
+	const pending = {};
+
+	const settleOne = async entry => {
+		const { key, account: from, currencyKey, numEntries } = entry;
+		const description = `${from} into ${w3utils.hexToUtf8(currencyKey)}`;
+		const record = toRecord(entry);
+
+		if (dryRun) {
+			console.log(green(`[DRY RUN] Settle ${description} (${numEntries} entries)`));
+			report.settled.push(record);
+			delete pending[key];
+			return;
+		}
+
+		try {
+			const settlement = Exchanger.methods.settle(from, currencyKey);
+			// unless given a gas limit, the signing provider estimates it with the margin of the fees
+			const { transactionHash } = await settlement.send(
+				Object.assign({ from: account }, gasLimit ? { gas: gasLimit } : {})
+			);
+			console.log(
+				green(`Settled ${description} (${numEntries} entries)`),
+				gray(`${etherscanLinkPrefix}/tx/${transactionHash}`)
+			);
+			report.settled.push(Object.assign(record, { transactionHash }));
+			delete pending[key];
+		} catch (err) {
+			entry.attempts = (entry.attempts || 0) + 1;
+			entry.error = err.message;
+			console.log(
+				red(`Could not settle ${description} (attempt ${entry.attempts}): ${err.message}`)
+			);
+			if (entry.attempts >= DEFAULTS.maxAttempts) {
+				report.failed.push(toRecord(entry));
+				delete pending[key];
+			}
+		}
+	};
+
+	const round = async () => {
+		const { blockNumber } = await indexer.sync();
+		for (const {
+			returnValues: { account: from, toCurrencyKey },
+		} of indexer.query('SynthExchange', { fromBlock: report.toBlock + 1, toBlock: blockNumber })) {
+			const key = from + toCurrencyKey;
+			pending[key] = pending[key] || { key, account: from, currencyKey: toCurrencyKey };
+		}
+		report.toBlock = Math.max(report.toBlock, blockNumber);
+
+		// whether the waiting period is over and what is owing for each, at once
+		const entries = Object.values(pending);
+		const reads = await multicall(
+			[].concat(
+				...entries.map(({ account: from, currencyKey }) => [
+					{ contract: Exchanger, method: 'maxSecsLeftInWaitingPeriod', args: [from, currencyKey] },
+					{ contract: Exchanger, method: 'settlementOwing', args: [from, currencyKey] },
+				])
+			)
+		);
+		const ready = [];
+		let waiting = 0;
+		entries.forEach((entry, i) => {
+			const secsLeft = Number(reads[i * 2]);
+			const { reclaimAmount, rebateAmount, numEntries } = reads[i * 2 + 1];
+			if (Number(numEntries) === 0) {
+				// e.g. settled by exchanging again
+				delete pending[entry.key];
+			} else if (secsLeft > 0) {
+				waiting++;
+			} else {
+				ready.push(
+					Object.assign(entry, {
+						reclaimAmount: reclaimAmount.toString(),
+						rebateAmount: rebateAmount.toString(),
+						numEntries: numEntries.toString(),
+					})
+				);
+			}
+		});
+
+		// the value in oUSD of what is reclaimed and rebated, at the current rates
+		const values = await multicall(
+			[].concat(
+				...ready.map(({ currencyKey, reclaimAmount, rebateAmount }) =>
+					[reclaimAmount, rebateAmount].map(amount => ({
+						contract: ExchangeRates,
+						method: 'effectiveValue',
+						args: [currencyKey, amount, toBytes32('oUSD')],
+					}))
+				)
+			)
+		);
+		ready.forEach((entry, i) => {
+			entry.reclaimValue = values[i * 2].toString();
+			entry.rebateValue = values[i * 2 + 1].toString();
+		});
+
+		console.log(
+			gray(
+				`Up to block ${blockNumber}: ${ready.length} exchanges to settle, ${waiting} in their waiting period`
+			)
+		);
+
+		for (let i = 0; i < ready.length; i += Number(batchSize)) {
+			await Promise.all(ready.slice(i, i + Number(batchSize)).map(settleOne));
+		}
+		writeReport();
+	};
+
+	await runRounds({ round, watch, interval });
+
+	// those that could not be settled yet
+	report.failed.push(
+		...Object.values(pending)
+			.filter(({ error }) => error)
+			.map(toRecord)
+	);
+	writeReport();
+
+	const totals = formatTotals(getTotals(report.settled));
+	console.log(
+		table(
+			[['Synth', 'Settlements', 'Reclaimed', 'Rebated']].concat(
+				Object.entries(totals.bySynth).map(([currencyKey, { settlements, reclaimed, rebated }]) => [
+					currencyKey,
+					settlements,
+					reclaimed,
+					rebated,
+				])
+			)
+		)
+	);
+	console.log(
+		gray(
+			`${totals.settlements} settled${dryRun ? ' (dry run)' : ''}, ${
+				report.failed.length
+			} failed. ` +
+				`Reclaimed ${totals.reclaimedValue} oUSD and rebated ${totals.rebatedValue} oUSD in value.`
+		)
+	);
+	if (reportFile) {
+		console.log(gray(`Report written to ${reportFile}`));
+	}
+	fees.summary();
+	rpc.summary();
+
+	return report;
 };
 
 module.exports = {
-    settle,
-    cmd: program =>
-        program
-        .command('settle')
-        .option('-d, --show-debt', 'Whether or not to show debt pool impact (requires archive node)')
-        .option('-e, --eth-to-seed <value>', 'Amount of ETH to seed', '1')
-        .option('-f, --from-block <value>', 'Starting block number to listen to events from')
-        .option('-g, --gas-price <value>', 'Gas price in GWEI', '1')
-        .option('-l, --gas-limit <value>', 'Gas limit', parseInt, 150e3)
-        .option('-v, --private-key <value>', 'Provide private key to settle from given account')
-        .option('-n, --network <value>', 'The network to run off.', x => x.toLowerCase(), 'testnet')
-        .option('-a, --latest', 'Always fetch the latest list of transactions')
-        .option('-r, --range  <value>', 'Block range')
-        .option(
-            '-c, --clean',
-            'Force ExchangeState entries removal'
-        )
-        .option(
-            '-x, --dry-run',
-            'If enabled, will not run any transactions but merely report on them.'
-        )
-        .action(async(...args) => {
-            const parsedArgs = minimist(process.argv.slice(2))
-
-            try {
-                setInterval(async() => {
-                    await settle(...args);
-                }, 5000)
-            } catch (err) {
-                // show pretty errors for CLI users
-                console.error(red(err));
-                process.exitCode = 1;
-            }
-
-        }),
-};
\ No newline at end of file
+	settle,
+	DEFAULTS,
+	cmd: program =>
+		program
+			.command('settle')
+			.description(
+				'Settle the exchanges whose waiting period is over, once or continuously as a keeper'
+			)
+			.option(
+				'-b, --batch-size <value>',
+				'The most settle transactions in flight at once',
+				x => parseInt(x, 10),
+				DEFAULTS.batchSize
+			)
+			.option(
+				'-e, --eth-to-seed <value>',
+				'Amount of BNB to seed the account with from the deployer, when it has less than 0.01'
+			)
+			.option(
+				'-f, --from-block <value>',
+				'The block to settle exchanges from (default is where the network was first used)'
+			)
+			.option(
+				'-g, --gas-price <value>',
+				'Gas price in GWEI, for the fixed fee strategy',
+				DEFAULTS.gasPrice
+			)
+			.option(
+				'-i, --interval <value>',
+				'Seconds between the rounds of the keeper',
+				x => parseInt(x, 10),
+				DEFAULTS.interval
+			)
+			.option('-l, --gas-limit <value>', 'Gas limit (default is to estimate it)', parseInt)
+			.option(
+				'-n, --network <value>',
+				'The network to run off.',
+				x => x.toLowerCase(),
+				DEFAULTS.network
+			)
+			.option(
+				'-o, --report-file <value>',
+				'A file to write the settlements and the reclaim and rebate totals to as JSON'
+			)
+			.option(...providerUrlsOption)
+			.option('-r, --range <value>', 'Settle the exchanges of only this many of the latest blocks')
+			.option('-v, --private-key <value>', 'Provide private key to settle from given account')
+			.option(
+				'-w, --watch',
+				'Keep watching for new exchanges and settle each once its waiting period is over'
+			)
+			.option(
+				'-x, --dry-run',
+				'If enabled, will not run any transactions but merely report on them.'
+			)
+			.option('--fee-strategy <value>', Fees.description)
+			.option('--signer <value>', signerDescription)
+			.option('--stuck <value>', NonceManager.description, DEFAULTS.stuck)
+			.action(async (...args) => {
+				try {
+					await settle(...args);
+				} catch (err) {
+					// show pretty errors for CLI users
+					console.error(red(err));
+					process.exitCode = 1;
+				}
+			}),
+};
@@ -2,7 +2,7 @@
 
 const path = require('path');
 const fs = require('fs');
-const { gray, green, red } = require('chalk');
+const { gray, green, red, yellow } = require('chalk');
 const { table } = require('table');
 const axios = require('axios');
 const qs = require('querystring');
@@ -23,6 +23,20 @@ const {
 } = require('../util');
 
 const CONTRACT_OVERRIDES = require('../contract-overrides');
+const FailoverProvider = require('../FailoverProvider');
+
+// a request to the explorer API, retried with a backoff when it fails or is rate limited
+const explorerRequest = request =>
+	FailoverProvider.retry(
+		async () => {
+			const response = await request();
+			if (/rate limit/i.test(response.data.result)) {
+				throw Error(response.data.result);
+			}
+			return response;
+		},
+		{ onError: err => console.log(yellow(`BSCScan request failed (${err.message}), retrying`)) }
+	);
 
 const verify = async ({ buildPath, network, deploymentPath }) => {
 	ensureNetwork(network);
@@ -57,14 +71,16 @@ const verify = async ({ buildPath, network, deploymentPath }) => {
 		const { address } = deployment.targets[name];
 		// Check if this contract already has been verified.
 
-		let result = await axios.get(etherscanUrl, {
-			params: {
-				module: 'contract',
-				action: 'getabi',
-				address,
-				apikey: process.env.BSCSCAN_KEY,
-			},
-		});
+		let result = await explorerRequest(() =>
+			axios.get(etherscanUrl, {
+				params: {
+					module: 'contract',
+					action: 'getabi',
+					address,
+					apikey: process.env.BSCSCAN_KEY,
+				},
+			})
+		);
 		console.log(result.data)
 		
 		if (result.data.result === 'Contract source code not verified') {
@@ -74,15 +90,17 @@ const verify = async ({ buildPath, network, deploymentPath }) => {
 			);
 
 			// Get the transaction that created the contract with its resulting bytecode.
-			result = await axios.get(etherscanUrl, {
-				params: {
-					module: 'account',
-					action: 'txlist',
-					address,
-					sort: 'asc',
-					apikey: process.env.BSCSCAN_KEY,
-				},
-			});
+			result = await explorerRequest(() =>
+				axios.get(etherscanUrl, {
+					params: {
+						module: 'account',
+						action: 'txlist',
+						address,
+						sort: 'asc',
+						apikey: process.env.BSCSCAN_KEY,
+					},
+				})
+			);
 
 			// Get the bytecode that was in that transaction.
 			const deployedBytecode = result.data.result[0].input;
@@ -144,11 +162,13 @@ const verify = async ({ buildPath, network, deploymentPath }) => {
 			const { sourceCode, ...otherOpts } = queryOpts;
 			// console.log(sourceCode);
 			//console.log(otherOpts);
-			result = await axios.post(etherscanUrl, qs.stringify(queryOpts), {
-				headers: {
-					'Content-Type': 'application/x-www-form-urlencoded',
-				},
-			});
+			result = await explorerRequest(() =>
+				axios.post(etherscanUrl, qs.stringify(queryOpts), {
+					headers: {
+						'Content-Type': 'application/x-www-form-urlencoded',
+					},
+				})
+			);
 
 			console.log(gray(' - Got result:', result.data.result));
 
@@ -173,13 +193,15 @@ const verify = async ({ buildPath, network, deploymentPath }) => {
 			while (true) {
 				console.log(gray(' - Checking verification status...'));
 
-				result = await axios.get(etherscanUrl, {
-					params: {
-						module: 'contract',
-						action: 'checkverifystatus',
-						guid,
-					},
-				});
+				result = await explorerRequest(() =>
+					axios.get(etherscanUrl, {
+						params: {
+							module: 'contract',
+							action: 'checkverifystatus',
+							guid,
+						},
+					})
+				);
 				status = result.data.result;
 				console.log(status)
 				console.log(gray(` - "${status}" response from BSCScan`));
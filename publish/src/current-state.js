@@ -0,0 +1,108 @@
+'use strict';
+
+const w3utils = require('web3-utils');
+
+const { toBytes32 } = require('../..');
+
+/**
+ * Read the state of the existing system that a deployment carries over into any new contracts:
+ * the Oikos supply and inflation schedule, the OKS price and the ExchangeRates oracle.
+ *
+ * @param {string} network The network being deployed to
+ * @param {string} account The deployer account
+ * @param {string} oracleExrates The oracle to use (default is to use the existing one)
+ * @param {function} getExistingContract Returns the web3 contract of the existing deployment of the given name
+ */
+const getCurrentState = async ({ network, account, oracleExrates, getExistingContract }) => {
+	const state = { oracleExrates };
+
+	try {
+		const oldOikos = getExistingContract({ contract: 'Oikos' });
+		state.currentOikosSupply = await oldOikos.methods.totalSupply().call();
+		// inflationSupplyToDate = total supply - 100m
+		const inflationSupplyToDate = w3utils
+			.toBN(state.currentOikosSupply)
+			.sub(w3utils.toBN(w3utils.toWei((100e6).toString())));
+
+		// current weekly inflation 75m / 52
+		const weeklyInflation = w3utils.toBN(w3utils.toWei((75e6 / 52).toString()));
+		const currentWeekOfInflation = inflationSupplyToDate.div(weeklyInflation);
+
+		// Check result is > 0 else set to 0 for currentWeek
+		state.currentWeekOfInflation = currentWeekOfInflation.gt(w3utils.toBN('0'))
+			? currentWeekOfInflation.toNumber()
+			: 0;
+
+		// Calculate lastMintEvent as Inflation start date + number of weeks issued * secs in weeks
+		const mintingBuffer = 86400;
+		const secondsInWeek = 604800;
+		const inflationStartDate = 1590969600;
+		state.currentLastMintEvent =
+			inflationStartDate + state.currentWeekOfInflation * secondsInWeek + mintingBuffer;
+	} catch (err) {
+		if (network === 'testnet') {
+			state.currentOikosSupply = w3utils.toWei((100e6).toString());
+			state.currentWeekOfInflation = 0;
+			state.currentLastMintEvent = 0;
+		} else {
+			throw Error(
+				`Network ${network} Cannot connect to existing Oikos contract. Please double check the deploymentPath is correct for the network allocated`
+			);
+		}
+	}
+
+	try {
+		state.oldExrates = getExistingContract({ contract: 'ExchangeRates' });
+		state.currentOikosPrice = await state.oldExrates.methods
+			.rateForCurrency(toBytes32('OKS'))
+			.call();
+		if (!state.oracleExrates) {
+			state.oracleExrates = await state.oldExrates.methods.oracle().call();
+		}
+	} catch (err) {
+		if (network === 'local' || network === 'testnet') {
+			state.currentOikosPrice = w3utils.toWei('0.2');
+			state.oracleExrates = account;
+			state.oldExrates = undefined; // unset to signify that a fresh one will be deployed
+		} else {
+			throw Error(
+				'Cannot connect to existing ExchangeRates contract. Please double check the deploymentPath is correct for the network allocated'
+			);
+		}
+	}
+
+	return state;
+};
+
+/**
+ * Read the totalSupply of each existing synth flagged for redeployment, so the new synth
+ * contract can be created with it.
+ *
+ * @returns an object of currency keys to supplies (0 when the existing synth cannot be read)
+ */
+const getOriginalTotalSupplies = async ({ network, config, synths, getExistingContract }) => {
+	const originalTotalSupplies = {};
+	for (const { name: currencyKey } of synths) {
+		const synthConfig = config[`Synth${currencyKey}`] || {};
+		if (!synthConfig.deploy) {
+			continue;
+		}
+		originalTotalSupplies[currencyKey] = 0;
+		try {
+			const oldSynth = getExistingContract({ contract: `Synth${currencyKey}` });
+			originalTotalSupplies[currencyKey] = await oldSynth.methods.totalSupply().call();
+		} catch (err) {
+			if (network !== 'local' && network !== 'bsc' && network !== 'testnet') {
+				// only throw if not local - allows local environments to handle both new
+				// and updating configurations
+				throw err;
+			}
+		}
+	}
+	return originalTotalSupplies;
+};
+
+module.exports = {
+	getCurrentState,
+	getOriginalTotalSupplies,
+};
@@ -0,0 +1,128 @@
+'use strict';
+
+const { gray, yellow } = require('chalk');
+const w3utils = require('web3-utils');
+
+const { toBytes32 } = require('../..');
+
+const DEFAULTS = {
+	// how far the current debt may be from the cached debt, as a fraction, before it is refreshed
+	maxDeviation: 0.01,
+	// about 1.7 million gas is required to refresh the snapshot with ~40 synths
+	snapshotGasLimit: 2.5e6,
+};
+
+// how far the current value is from the cached one, as a fraction of the cached one
+const deviationOf = (cached, current) =>
+	w3utils.toBN(cached).isZero()
+		? w3utils.toBN(current).isZero()
+			? 0
+			: Infinity
+		: (Number(w3utils.fromWei(current)) - Number(w3utils.fromWei(cached))) /
+		  Number(w3utils.fromWei(cached));
+
+/**
+ * Read the debt cached by DebtCache and the current debt, in total and of each synth.
+ *
+ * @param {object} debtCache The web3 contract of DebtCache
+ * @param {object} issuer The web3 contract of Issuer, to read the synths from
+ * @returns {object} The cached and current debt, whether the cache is stale or invalid, whether any
+ * rate is invalid, the deviation of the current debt from the cache and the same of each synth
+ */
+const inspectDebtCache = async ({ debtCache, issuer }) => {
+	const currencyKeys = await issuer.methods.availableCurrencyKeys().call();
+	const [cacheInfo, currentDebt, cachedSynthDebts, currentSynthDebts] = await Promise.all([
+		debtCache.methods.cacheInfo().call(),
+		debtCache.methods.currentDebt().call(),
+		debtCache.methods.cachedSynthDebts(currencyKeys).call(),
+		debtCache.methods.currentSynthDebts(currencyKeys).call(),
+	]);
+
+	return {
+		cachedDebt: cacheInfo.debt,
+		currentDebt: currentDebt.debt,
+		timestamp: Number(cacheInfo.timestamp),
+		isInvalid: cacheInfo.isInvalid,
+		isStale: cacheInfo.isStale,
+		anyRateIsInvalid: currentDebt.anyRateIsInvalid,
+		deviation: deviationOf(cacheInfo.debt, currentDebt.debt),
+		synths: currencyKeys.map((currencyKey, i) => ({
+			currencyKey: w3utils.hexToUtf8(currencyKey),
+			cachedDebt: cachedSynthDebts[i],
+			currentDebt: currentSynthDebts.debtValues[i],
+			deviation: deviationOf(cachedSynthDebts[i], currentSynthDebts.debtValues[i]),
+		})),
+	};
+};
+
+// why the debt cache is to be refreshed, if it is
+const getRefreshReason = ({ isStale, isInvalid, anyRateIsInvalid, deviation }, maxDeviation) => {
+	if (anyRateIsInvalid) {
+		// it can't be refreshed until the rates are valid, but it is to be invalidated until then
+		return isInvalid ? undefined : 'rates are invalid';
+	} else if (isStale) {
+		return 'stale';
+	} else if (isInvalid) {
+		return 'invalid';
+	} else if (Math.abs(deviation) >= maxDeviation) {
+		return `deviation of ${(deviation * 100).toFixed(2)}%`;
+	}
+};
+
+/**
+ * Refresh the debt cache when it is stale, invalid, has to be invalidated or the current debt is too
+ * far from it: with a snapshot of every synth, or when only too far, by updating just the synths
+ * given.
+ *
+ * @param {object} debtCache The web3 contract of DebtCache
+ * @param {object} issuer The web3 contract of Issuer
+ * @param {number} maxDeviation How far the current debt may be from the cached debt, as a fraction
+ * @param {array} currencyKeys The synths to update when it is too far (default is a snapshot)
+ * @param {function} send Sends { write, writeArg, gasLimit } to DebtCache
+ * @param {object} state The state of inspectDebtCache, when already read
+ * @returns {object} As inspectDebtCache, with the reason it was refreshed and the function sent
+ */
+const maintainDebtCache = async ({
+	debtCache,
+	issuer,
+	maxDeviation = DEFAULTS.maxDeviation,
+	currencyKeys,
+	send,
+	state,
+}) => {
+	state = state || (await inspectDebtCache({ debtCache, issuer }));
+	const reason = getRefreshReason(state, maxDeviation);
+
+	if (!reason) {
+		console.log(
+			gray(
+				state.anyRateIsInvalid
+					? 'Debt cache is invalid, and cannot be refreshed until the rates are valid.'
+					: 'Debt cache is up to date.'
+			)
+		);
+		return state;
+	}
+
+	const partial = !!(currencyKeys && currencyKeys.length) && /^deviation/.test(reason);
+	console.log(
+		yellow(
+			`Debt cache is to be refreshed (${reason}), ${
+				partial ? `updating ${currencyKeys.join(', ')}` : 'taking a snapshot'
+			}...`
+		)
+	);
+	const step = partial
+		? { write: 'updateCachedSynthDebts', writeArg: [currencyKeys.map(toBytes32)] }
+		: { write: 'takeDebtSnapshot', writeArg: [], gasLimit: DEFAULTS.snapshotGasLimit };
+	await send(step);
+
+	return Object.assign({}, state, { reason, refreshed: step.write });
+};
+
+module.exports = {
+	DEFAULTS,
+	deviationOf,
+	inspectDebtCache,
+	maintainDebtCache,
+};
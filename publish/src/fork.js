@@ -0,0 +1,279 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const { gray, green, yellow, red } = require('chalk');
+
+const {
+	getUsers,
+	constants: { BUILD_FOLDER, DEPLOYMENT_FILENAME, OWNER_ACTIONS_FILENAME },
+} = require('../..');
+
+const { ensureNetwork, ensureDeploymentPath, loadConnections, stringify } = require('./util');
+
+const DEFAULTS = {
+	forkCacheFolder: path.join(__dirname, '..', '..', BUILD_FOLDER, 'fork'),
+	// balance given to the unlocked account so it can pay for gas
+	accountBalance: '1000',
+};
+
+const cacheKey = ({ method, params = [] }) => `${method}:${JSON.stringify(params)}`;
+
+/**
+ * A local JSON-RPC endpoint that answers from a cache file. When the cache file does not exist
+ * yet it is recorded: requests are forwarded to the network and the responses kept, pinned to the
+ * block the recording started at. Once recorded, no network access is needed.
+ */
+const startRpcCache = async ({ providerUrl, cacheFile }) => {
+	const recording = !fs.existsSync(cacheFile);
+	const cache = recording ? { responses: {} } : JSON.parse(fs.readFileSync(cacheFile));
+
+	const forward = async ({ method, params }) => {
+		const { data } = await axios.post(providerUrl, { jsonrpc: '2.0', id: 1, method, params });
+		return data;
+	};
+
+	if (recording) {
+		console.log(gray(`Recording the state of ${providerUrl} into ${cacheFile}`));
+		cache.blockNumber = Web3.utils.hexToNumber(
+			(await forward({ method: 'eth_blockNumber', params: [] })).result
+		);
+	} else {
+		console.log(gray(`Using the state recorded in ${cacheFile} (block ${cache.blockNumber})`));
+	}
+
+	const respond = async request => {
+		const key = cacheKey(request);
+		if (!cache.responses[key]) {
+			if (!recording) {
+				console.log(red(`${key} is not in the fork cache`));
+				return {
+					jsonrpc: '2.0',
+					id: request.id,
+					error: {
+						code: -32000,
+						message: `${key} is not in the fork cache ${cacheFile}. Delete it to record it again.`,
+					},
+				};
+			}
+			const { result, error } = await forward(request);
+			cache.responses[key] = error ? { error } : { result };
+		}
+		return Object.assign({ jsonrpc: '2.0', id: request.id }, cache.responses[key]);
+	};
+
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => (body += chunk));
+		req.on('end', async () => {
+			try {
+				const payload = JSON.parse(body);
+				const response = Array.isArray(payload)
+					? await Promise.all(payload.map(respond))
+					: await respond(payload);
+				res.writeHead(200, { 'Content-Type': 'application/json' });
+				res.end(JSON.stringify(response));
+			} catch (err) {
+				res.writeHead(500);
+				res.end(err.message);
+			}
+		});
+	});
+	await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+	return {
+		url: `http://127.0.0.1:${server.address().port}`,
+		blockNumber: cache.blockNumber,
+		stop: async () => {
+			await new Promise(resolve => server.close(resolve));
+			if (recording) {
+				fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+				fs.writeFileSync(cacheFile, stringify(cache));
+			}
+		},
+	};
+};
+
+/**
+ * Start a local chain forked from the network (via the RPC cache), with the given account
+ * unlocked and funded so transactions can be sent from it without its private key.
+ *
+ * Note: this uses ganache rather than the buidler node, as buidler 1.x can neither fork nor
+ * impersonate accounts.
+ *
+ * @returns {object} The providerUrl of the fork, the account, the blockNumber forked from and a stop function
+ */
+const startFork = async ({ network, cacheFile, account }) => {
+	const { providerUrl } = loadConnections({ network });
+	const rpcCache = await startRpcCache({ providerUrl, cacheFile });
+
+	const server = ganache.server({
+		fork: rpcCache.url,
+		fork_block_number: rpcCache.blockNumber,
+		unlocked_accounts: [account],
+		gasLimit: 0x1fffffffffffff,
+		allowUnlimitedContractSize: true,
+		default_balance_ether: 1e4,
+		// the same accounts every time, so their state is in the cache
+		mnemonic: 'oikos fork rehearsal',
+		logger: { log: () => {} },
+	});
+	await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+	const forkProviderUrl = `http://127.0.0.1:${server.address().port}`;
+
+	const stop = async () => {
+		await new Promise(resolve => server.close(resolve));
+		await rpcCache.stop();
+	};
+
+	// give the account enough to pay for its transactions
+	const web3 = new Web3(new Web3.providers.HttpProvider(forkProviderUrl));
+	try {
+		const [funder] = await web3.eth.getAccounts();
+		await web3.eth.sendTransaction({
+			from: funder,
+			to: account,
+			value: web3.utils.toWei(DEFAULTS.accountBalance),
+		});
+	} catch (err) {
+		await stop();
+		throw err;
+	}
+
+	return {
+		providerUrl: forkProviderUrl,
+		account,
+		blockNumber: rpcCache.blockNumber,
+		web3,
+		stop,
+	};
+};
+
+const readJSON = file => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file)) : undefined);
+
+// report the transactions mined on the fork, and how the deployment files changed
+const reportRehearsal = async ({ fork, deploymentPath, rehearsalPath }) => {
+	const latestBlock = await fork.web3.eth.getBlockNumber();
+	let transactions = 0;
+	let gasUsed = 0;
+	// skip the block funding the account
+	for (let i = fork.blockNumber + 2; i <= latestBlock; i++) {
+		const block = await fork.web3.eth.getBlock(i);
+		transactions += block.transactions.length;
+		gasUsed += block.gasUsed;
+	}
+	console.log(gray(`${transactions} transactions mined using ${gasUsed} gas`));
+
+	const changedFiles = fs
+		.readdirSync(rehearsalPath)
+		.filter(
+			file =>
+				!fs.existsSync(path.join(deploymentPath, file)) ||
+				!fs
+					.readFileSync(path.join(rehearsalPath, file))
+					.equals(fs.readFileSync(path.join(deploymentPath, file)))
+		);
+	console.log(gray(`Files changed: ${changedFiles.length ? changedFiles.join(', ') : 'none'}`));
+
+	const { targets: before } = readJSON(path.join(deploymentPath, DEPLOYMENT_FILENAME));
+	const { targets: after } = readJSON(path.join(rehearsalPath, DEPLOYMENT_FILENAME));
+	Object.entries(after)
+		.filter(([name, { address }]) => !before[name] || before[name].address !== address)
+		.forEach(([name, { address }]) =>
+			console.log(gray(` - ${name}: ${before[name] ? before[name].address : 'none'} => ${address}`))
+		);
+
+	const ownerActions = readJSON(path.join(rehearsalPath, OWNER_ACTIONS_FILENAME)) || {};
+	const ownerActionsBefore = readJSON(path.join(deploymentPath, OWNER_ACTIONS_FILENAME)) || {};
+	const newOwnerActions = Object.keys(ownerActions).filter(key => !ownerActionsBefore[key]);
+	if (newOwnerActions.length) {
+		console.log(yellow(`Owner actions added: ${newOwnerActions.join(', ')}`));
+	}
+
+	console.log(gray(`The resulting files are in ${rehearsalPath}`));
+};
+
+/**
+ * Wrap a command's action so that, with the --fork option, it is rehearsed end-to-end on a local
+ * fork of the network as the owner, against a copy of the deployment folder.
+ */
+const forkAction = command => async (opts = {}) => {
+	if (!opts.fork) {
+		return command(opts);
+	}
+	const { network, deploymentPath } = opts;
+	ensureNetwork(network);
+	ensureDeploymentPath(deploymentPath);
+
+	const owner = getUsers({ network, user: 'owner' });
+	if (!owner) {
+		throw Error(`Cannot rehearse on ${network} as it has no owner`);
+	}
+
+	let fork;
+	try {
+		fork = await startFork({
+			network,
+			cacheFile: opts.forkCache || path.join(DEFAULTS.forkCacheFolder, `${network}.json`),
+			account: owner.address,
+		});
+	} catch (err) {
+		console.error(red(`Cannot fork ${network}: ${err.message}`));
+		process.exitCode = 1;
+		return;
+	}
+
+	// run against a copy of the deployment folder, so the real one is untouched
+	const rehearsalPath = fs.mkdtempSync(path.join(os.tmpdir(), `${network}-rehearsal-`));
+	fs.readdirSync(deploymentPath)
+		.filter(file => /\.json$/.test(file))
+		.forEach(file =>
+			fs.copyFileSync(path.join(deploymentPath, file), path.join(rehearsalPath, file))
+		);
+
+	console.log(
+		yellow(
+			`Rehearsing on a fork of ${network} at block ${fork.blockNumber} as the owner ${owner.address}`
+		)
+	);
+
+	try {
+		let error;
+		try {
+			await command(
+				Object.assign({}, opts, {
+					deploymentPath: rehearsalPath,
+					privateKey: undefined,
+					fork,
+					yes: true,
+				})
+			);
+		} catch (err) {
+			error = err;
+		}
+
+		console.log(gray('-'.repeat(50)));
+		if (error || process.exitCode) {
+			console.log(red(`Rehearsal on ${network} failed${error ? `: ${error.message}` : ''}`));
+			process.exitCode = 1;
+		} else {
+			console.log(green(`Rehearsal on ${network} succeeded`));
+		}
+		await reportRehearsal({ fork, deploymentPath, rehearsalPath });
+	} finally {
+		// whatever happened, so the fork (and the recording of its cache) is not left running
+		await fork.stop();
+	}
+};
+
+module.exports = {
+	DEFAULTS,
+	startRpcCache,
+	startFork,
+	forkAction,
+};
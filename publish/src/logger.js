@@ -0,0 +1,131 @@
+'use strict';
+
+const fs = require('fs');
+const util = require('util');
+const chalk = require('chalk');
+
+const DEFAULTS = {
+	logFormat: 'human',
+};
+
+const FORMATS = ['human', 'json'];
+
+// the codes chalk colors the human lines with (ESC, as a control character in a regex literal is
+// taken for a mistake)
+const ANSI_COLORS = new RegExp(String.fromCharCode(27) + '\\[[0-9;]*m', 'g');
+
+// the events that end the step under way
+const STEP_ENDS = ['step.completed', 'step.skipped', 'step.failed'];
+
+const description =
+	'How to log: human (the default, colored lines) or json (a JSON event a line on stdout, with the human lines moved to stderr)';
+
+// how this run logs, set once the options are parsed (see publish/index.js)
+const state = {
+	format: DEFAULTS.logFormat,
+	file: undefined,
+	command: undefined,
+	// the step under way, for the context of an error (whether the events are logged or not)
+	step: undefined,
+};
+
+// the functions called with each event, whether it is logged or not (e.g. the report of a deploy)
+const listeners = [];
+
+const stripColors = text => String(text).replace(ANSI_COLORS, '');
+
+const write = line => {
+	if (state.format === 'json') {
+		process.stdout.write(line + '\n');
+	}
+	if (state.file) {
+		fs.appendFileSync(state.file, line + '\n');
+	}
+};
+
+/**
+ * Emit a structured event, as a line of JSON on stdout (in the json format) and in the log file
+ * (if any), and to any listeners. Nothing is logged in the human format without a log file.
+ *
+ * @param {string} event The name of the event, e.g. step.completed or transaction.mined
+ * @param {object} fields What the event is of, e.g. the hash and gas of a transaction
+ */
+const logEvent = (event, fields = {}) => {
+	if (event === 'step.started') {
+		state.step = fields.step;
+	} else if (STEP_ENDS.includes(event)) {
+		state.step = undefined;
+	}
+	listeners.forEach(listener => listener(Object.assign({ event }, fields)));
+	if (state.format !== 'json' && !state.file) {
+		return;
+	}
+	write(JSON.stringify(Object.assign({ time: new Date(), event, command: state.command }, fields)));
+};
+
+/**
+ * Set how the run logs. In the json format the human lines of console.log move to stderr, to
+ * keep stdout for the events, and whatever the commands print with console.error (e.g. the error
+ * they failed with) is emitted as an error event too.
+ *
+ * @param {string} logFormat human or json
+ * @param {string} logFile A file to append the events to, in either format
+ * @param {string} command The command run, which each event is tagged with
+ */
+const configureLogger = ({ logFormat = state.format, logFile = state.file, command }) => {
+	if (!FORMATS.includes(logFormat)) {
+		throw Error(`Unknown log format ${logFormat}, it must be one of ${FORMATS.join(', ')}`);
+	}
+	const wasJSON = state.format === 'json';
+	const wasLogging = wasJSON || state.file;
+	Object.assign(state, { format: logFormat, file: logFile, command: command || state.command });
+
+	if (logFormat === 'json' && !wasJSON) {
+		// without colors, as the lines are for CI to keep
+		chalk.level = 0;
+		const toStderr = (...args) => process.stderr.write(util.format(...args) + '\n');
+		console.log = toStderr;
+		console.info = toStderr;
+		console.warn = toStderr;
+	}
+	if ((logFormat === 'json' || logFile) && !wasLogging) {
+		const error = console.error;
+		console.error = (...args) => {
+			// the human line is on stderr already
+			error(...args);
+			logEvent('error', {
+				message: stripColors(util.format(...args)),
+				step: state.step,
+			});
+		};
+	}
+};
+
+// human or json, as set by configureLogger
+const getLogFormat = () => state.format;
+
+/**
+ * Call the listener with each event emitted, until the function returned is called.
+ *
+ * @param {function} listener Given the event as { event, ...fields }
+ * @returns {function} To stop listening
+ */
+const onEvent = listener => {
+	listeners.push(listener);
+	return () => {
+		if (listeners.includes(listener)) {
+			listeners.splice(listeners.indexOf(listener), 1);
+		}
+	};
+};
+
+module.exports = {
+	DEFAULTS,
+	FORMATS,
+	description,
+	configureLogger,
+	getLogFormat,
+	logEvent,
+	onEvent,
+	stripColors,
+};
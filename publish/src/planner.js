@@ -0,0 +1,399 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const { gray, red } = require('chalk');
+const w3utils = require('web3-utils');
+
+const {
+	toBytes32,
+	constants: { PLAN_FILENAME },
+} = require('../..');
+
+/*
+ * A deployment plan describes the system as data. Each entry in "contracts" is deployed via the
+ * Deployer, with optional "source", "args", "deps", "force" and post-deploy "steps". The "imports"
+ * are batches of AddressResolver entries, each imported as soon as everything it references exists.
+ *
+ * Values in args, steps and imports may reference:
+ * - "@Name"               the address of the contract Name in this deployment
+ * - "$variable"           a variable supplied by the command running the plan (e.g. "$account")
+ * - { "bytes32": "OKS" }  the bytes32 representation of a string
+ * - { "wei": "0.01" }     the given amount of ether, in wei
+ *
+ * The plan of every network is the default one (in publish/deployed), with what differs on the
+ * network in the plan of its deployment folder (see mergePlan).
+ */
+
+const DEFAULT_PLAN_FILE = path.join(__dirname, '..', 'deployed', PLAN_FILENAME);
+
+/**
+ * Merge the plan of a network into the default plan: each of its contracts replaces the entry of
+ * the same name (in the same place), or is added after the others, and its imports are added as
+ * batches of their own.
+ */
+const mergePlan = (defaults, { contracts = [], imports = [] } = {}) => {
+	const names = defaults.contracts.map(({ name }) => name);
+	return {
+		contracts: defaults.contracts
+			.map(entry => contracts.find(({ name }) => name === entry.name) || entry)
+			.concat(contracts.filter(({ name }) => !names.includes(name))),
+		imports: defaults.imports.concat(imports),
+	};
+};
+
+const loadPlan = ({ deploymentPath, defaultPlanFile = DEFAULT_PLAN_FILE }) => {
+	const { contracts = [], imports = [] } = JSON.parse(fs.readFileSync(defaultPlanFile));
+	const planFile = path.join(deploymentPath, PLAN_FILENAME);
+	return mergePlan(
+		{ contracts, imports },
+		fs.existsSync(planFile) ? JSON.parse(fs.readFileSync(planFile)) : undefined
+	);
+};
+
+// all contract names referenced by "@Name" in the given value
+const getReferences = value => {
+	if (typeof value === 'string') {
+		return /^@/.test(value) ? [value.slice(1)] : [];
+	} else if (Array.isArray(value)) {
+		return value.reduce((memo, entry) => memo.concat(getReferences(entry)), []);
+	} else if (value && typeof value === 'object' && !('bytes32' in value) && !('wei' in value)) {
+		return Object.values(value).reduce((memo, entry) => memo.concat(getReferences(entry)), []);
+	}
+	return [];
+};
+
+const resolveValue = ({ value, variables, addressOf }) => {
+	if (typeof value === 'string' && /^@/.test(value)) {
+		return addressOf(value.slice(1));
+	} else if (typeof value === 'string' && /^\$/.test(value)) {
+		const name = value.slice(1);
+		if (!(name in variables)) {
+			throw Error(`Unknown variable "${value}" in deployment plan`);
+		}
+		return variables[name];
+	} else if (Array.isArray(value)) {
+		return value.map(entry => resolveValue({ value: entry, variables, addressOf }));
+	} else if (value && typeof value === 'object' && 'bytes32' in value) {
+		return toBytes32(value.bytes32);
+	} else if (value && typeof value === 'object' && 'wei' in value) {
+		return w3utils.toWei(value.wei.toString());
+	}
+	return value;
+};
+
+/**
+ * Sort the plan entries so every entry comes after the entries it depends on (through its "deps"
+ * or any "@Name" in its args), otherwise keeping the order they were given in.
+ */
+const sortPlan = entries => {
+	const names = entries.map(({ name }) => name);
+	const duplicates = names.filter((name, i) => names.indexOf(name) !== i);
+	if (duplicates.length) {
+		throw Error(`Deployment plan has duplicate entries: ${duplicates.join(', ')}`);
+	}
+
+	const dependenciesOf = entries.reduce((memo, { name, deps = [], args = [] }) => {
+		memo[name] = Array.from(new Set(deps.concat(getReferences(args)))).filter(
+			dep => dep !== name && names.includes(dep)
+		);
+		return memo;
+	}, {});
+
+	const sorted = [];
+	const remaining = entries.slice();
+	while (remaining.length) {
+		const index = remaining.findIndex(({ name }) =>
+			dependenciesOf[name].every(dep => sorted.find(entry => entry.name === dep))
+		);
+		if (index < 0) {
+			throw Error(
+				`Deployment plan has circular dependencies between: ${remaining
+					.map(({ name }) => name)
+					.join(', ')}`
+			);
+		}
+		sorted.push(remaining.splice(index, 1)[0]);
+	}
+	return sorted;
+};
+
+// the plan entries for each synth in the synths file, along with its token state and proxies
+const getSynthPlanEntries = ({ synths, addNewSynths, originalTotalSupplies }) =>
+	synths.reduce((memo, { name: currencyKey, subclass }) => {
+		const source = subclass || 'Synth';
+
+		// MultiCollateral needs additionalConstructorArgs to be ordered
+		const additionalConstructorArgsMap = {
+			MultiCollateralSynth: [{ bytes32: 'BNBCollateral' }],
+			// future subclasses...
+		};
+
+		const entries = [
+			{
+				name: `TokenState${currencyKey}`,
+				source: 'TokenState',
+				args: ['$account', '$ZERO_ADDRESS'],
+				force: addNewSynths,
+				steps: [
+					{
+						read: 'associatedContract',
+						write: 'setAssociatedContract',
+						writeArg: `@Synth${currencyKey}`,
+					},
+				],
+			},
+			{
+				name: `Proxy${currencyKey}`,
+				source: 'ProxyERC20',
+				args: ['$account'],
+				force: addNewSynths,
+				steps: [{ read: 'target', write: 'setTarget', writeArg: `@Synth${currencyKey}` }],
+			},
+		];
+
+		// oUSD additionally has an ERC20 proxy, which the synth is constructed with
+		if (currencyKey === 'oUSD') {
+			entries.push({
+				name: `ProxyERC20${currencyKey}`,
+				source: 'ProxyERC20',
+				args: ['$account'],
+				force: addNewSynths,
+				steps: [{ read: 'target', write: 'setTarget', writeArg: `@Synth${currencyKey}` }],
+			});
+		}
+
+		entries.push({
+			name: `Synth${currencyKey}`,
+			source,
+			deps: [`TokenState${currencyKey}`, `Proxy${currencyKey}`, 'Oikos', 'FeePool'],
+			args: [
+				currencyKey === 'oUSD' ? `@ProxyERC20${currencyKey}` : `@Proxy${currencyKey}`,
+				`@TokenState${currencyKey}`,
+				`Synth ${currencyKey}`,
+				currencyKey,
+				'$account',
+				{ bytes32: currencyKey },
+				originalTotalSupplies[currencyKey] || 0,
+				'@AddressResolver',
+			].concat(additionalConstructorArgsMap[source] || []),
+			force: addNewSynths,
+			steps: [{ read: 'proxy', write: 'setProxy', writeArg: `@Proxy${currencyKey}` }]
+				.concat(
+					// if there's a ProxyERC20oUSD then the Synth's integration proxy must be the Proxy
+					currencyKey === 'oUSD'
+						? [
+								{
+									read: 'integrationProxy',
+									write: 'setIntegrationProxy',
+									writeArg: `@Proxy${currencyKey}`,
+								},
+						  ]
+						: []
+				)
+				.concat({
+					// now setup connection to the Synth with Oikos
+					contract: 'Issuer',
+					read: 'synths',
+					readArg: { bytes32: currencyKey },
+					write: 'addSynth',
+					writeArg: `@Synth${currencyKey}`,
+				}),
+		});
+
+		return memo.concat(entries);
+	}, []);
+
+// for all the contracts deployed so far that have a setResolver, ensure the resolver is set
+const setResolvers = async ({ deployedContracts, runStep }) => {
+	const resolverAddress = deployedContracts['AddressResolver'].options.address;
+	for (const [contract, target] of Object.entries(deployedContracts)) {
+		if (!target) {
+			console.log(red(`Error with ${contract}`));
+		} else if (target.options.jsonInterface.find(({ name }) => name === 'setResolver')) {
+			await runStep({
+				contract,
+				target,
+				read: 'resolver',
+				expected: input => input === resolverAddress,
+				write: 'setResolver',
+				writeArg: resolverAddress,
+			});
+		}
+	}
+};
+
+// ensure the given names and addresses are in the AddressResolver, then set the resolver of
+// every contract that needs it
+const importAddresses = async ({
+	addresses: expectedAddressesInResolver,
+	deployedContracts,
+	runStep,
+}) => {
+	const addressResolver = deployedContracts['AddressResolver'];
+
+	// Count how many addresses are not yet in the resolver
+	const addressesNotInResolver = (
+		await Promise.all(
+			expectedAddressesInResolver.map(async ({ name, address }) => {
+				// Note: a dry run of a new AddressResolver has nothing to read on-chain
+				const foundAddress = await addressResolver.methods.getAddress(toBytes32(name)).call();
+				return {
+					name,
+					address,
+					found: String(foundAddress).toLowerCase() === address.toLowerCase(),
+				};
+			})
+		)
+	).filter(entry => !entry.found);
+
+	// and add everything if any not found (will overwrite any conflicts)
+	if (addressesNotInResolver.length > 0) {
+		console.log(
+			gray(
+				`Detected ${addressesNotInResolver.length} / ${expectedAddressesInResolver.length} missing or incorrect in the AddressResolver.\n\t` +
+					addressesNotInResolver.map(({ name, address }) => `${name} ${address}`).join('\n\t') +
+					`\nAdding all addresses in one transaction.`
+			)
+		);
+		await runStep({
+			gasLimit: 750e3, // higher gas required
+			contract: `AddressResolver`,
+			target: addressResolver,
+			write: 'importAddresses',
+			writeArg: [
+				addressesNotInResolver.map(({ name }) => toBytes32(name)),
+				addressesNotInResolver.map(({ address }) => address),
+			],
+		});
+	}
+
+	await setResolvers({ deployedContracts, runStep });
+};
+
+/**
+ * Run a plan: deploy (or reuse) each contract in dependency order, performing each of its steps
+ * and resolver imports as soon as all the contracts they reference have been processed.
+ *
+ * @param {object} plan The plan's contracts and imports
+ * @param {object} config The config flags of this deployment
+ * @param {object} variables The values of the "$variable" references in the plan
+ * @param {object} deployedContracts The contracts deployed or reused so far, keyed by name
+ * @param {function} deployContract Deploys (or reuses) a contract given name, source, args, deps and force
+ * @param {function} runStep Performs a transactional step (see performTransactionalStep)
+ */
+const runPlan = async ({
+	plan: { contracts, imports = [] },
+	config,
+	variables,
+	deployedContracts,
+	deployContract,
+	runStep,
+}) => {
+	const entries = sortPlan(contracts);
+	const names = entries.map(({ name }) => name);
+
+	const addressOf = name =>
+		deployedContracts[name] ? deployedContracts[name].options.address : '';
+	const resolve = value => resolveValue({ value, variables, addressOf });
+
+	const processed = [];
+	// steps and imports waiting on the contracts they reference
+	let pending = imports.map(addresses => ({ type: 'import', addresses }));
+
+	const isReady = item => {
+		const references =
+			item.type === 'import'
+				? ['AddressResolver'].concat(getReferences(item.addresses))
+				: [item.contract].concat(getReferences([item.readArg, item.writeArg, item.expected]));
+		return references.filter(name => names.includes(name)).every(name => processed.includes(name));
+	};
+
+	const performStep = async ({
+		contract,
+		read,
+		readArg,
+		expected,
+		write,
+		writeArg,
+		gasLimit,
+		onlyIfDeploying,
+	}) => {
+		// only perform this step when all the contracts it references exist
+		const references = [contract].concat(getReferences([readArg, writeArg, expected]));
+		if (references.some(name => !deployedContracts[name])) {
+			return;
+		}
+		if (onlyIfDeploying && !onlyIfDeploying.some(name => config[name] && config[name].deploy)) {
+			return;
+		}
+		const resolvedWriteArg = resolve(writeArg);
+		// without an expected value, a step is complete when the read matches what would be written
+		const expectedValue = expected !== undefined ? resolve(expected) : resolvedWriteArg;
+		await runStep(
+			Object.assign(
+				{
+					contract,
+					target: deployedContracts[contract],
+					read,
+					readArg: resolve(readArg),
+					expected: input => input === expectedValue,
+					write,
+					writeArg: resolvedWriteArg,
+				},
+				// only override the default gas limit when the plan specifies one
+				gasLimit ? { gasLimit } : {}
+			)
+		);
+	};
+
+	const performImport = async ({ addresses }) => {
+		if (!deployedContracts['AddressResolver']) {
+			return;
+		}
+		await importAddresses({
+			addresses: Object.entries(addresses)
+				.map(([name, value]) => ({ name, address: resolve(value) }))
+				// ignore any contracts not in this deployment
+				.filter(({ address }) => address),
+			deployedContracts,
+			runStep,
+		});
+	};
+
+	const performReady = async () => {
+		const ready = pending.filter(isReady);
+		pending = pending.filter(item => !ready.includes(item));
+		for (const item of ready) {
+			if (item.type === 'import') {
+				await performImport(item);
+			} else {
+				await performStep(item);
+			}
+		}
+	};
+
+	for (const { name, source = name, args = [], deps = [], force = false, steps = [] } of entries) {
+		await deployContract({ name, source, args: resolve(args), deps, force });
+		processed.push(name);
+
+		pending = pending.concat(steps.map(step => Object.assign({ contract: name }, step)));
+		await performReady();
+	}
+
+	// contracts added after the last batch of imports (such as new synths) need their resolver too
+	if (deployedContracts['AddressResolver']) {
+		await setResolvers({ deployedContracts, runStep });
+	}
+};
+
+module.exports = {
+	mergePlan,
+	loadPlan,
+	getReferences,
+	resolveValue,
+	sortPlan,
+	getSynthPlanEntries,
+	importAddresses,
+	runPlan,
+};
@@ -0,0 +1,159 @@
+'use strict';
+
+const fs = require('fs');
+const axios = require('axios');
+const w3utils = require('web3-utils');
+
+const DEFAULTS = {
+	source: 'simulated',
+	// the most each price moves by in a round of the simulated feed, as a fraction
+	volatility: 0.02,
+};
+
+const description =
+	'Where to read the prices from: file:<JSON or CSV file> (the price of each asset), chainlink:<JSON file> (the aggregator of each asset, read on the network), http:<url> (returning the same as a JSON file, given the assets as ?assets=BTC,ETH) or simulated[:<volatility>] (a random walk from the rates on chain, for testing)';
+
+// the decimals of the answers of Chainlink aggregators
+const AGGREGATOR_DECIMALS = 8;
+
+const aggregatorABI = [
+	{
+		constant: true,
+		inputs: [],
+		name: 'latestAnswer',
+		outputs: [{ name: '', type: 'int256' }],
+		stateMutability: 'view',
+		type: 'function',
+	},
+	{
+		constant: true,
+		inputs: [],
+		name: 'latestTimestamp',
+		outputs: [{ name: '', type: 'uint256' }],
+		stateMutability: 'view',
+		type: 'function',
+	},
+];
+
+// { asset: price } or { asset: { price, timestamp } } to { asset: { price, timestamp } }
+const normalize = feed =>
+	Object.entries(feed).reduce((memo, [asset, entry]) => {
+		const { price, timestamp } = typeof entry === 'object' ? entry : { price: entry };
+		memo[asset] = { price: String(price), timestamp: timestamp ? Number(timestamp) : undefined };
+		return memo;
+	}, {});
+
+// lines of asset,price[,timestamp], with an optional header
+const parseCSV = content =>
+	content
+		.split('\n')
+		.map(line => line.trim())
+		.filter(line => line && !/^asset\s*,/i.test(line))
+		.reduce((memo, line) => {
+			const [asset, price, timestamp] = line.split(',').map(entry => entry.trim());
+			memo[asset] = { price, timestamp };
+			return memo;
+		}, {});
+
+const readFeedFile = file => {
+	if (!file || !fs.existsSync(file)) {
+		throw Error(`Cannot find the feed file ${file}`);
+	}
+	const content = fs.readFileSync(file).toString();
+	return /\.csv$/i.test(file) ? parseCSV(content) : JSON.parse(content);
+};
+
+/**
+ * Load a source of prices.
+ *
+ * @param {string} source file:<file>, chainlink:<file>, http:<url> or simulated[:<volatility>]
+ * @param {object} web3 A web3 instance connected to the network, to read aggregators on
+ * @param {function} multicall Batches the reads of the aggregators (see getMulticall)
+ * @returns {object} With getPrices({ assets, current }), which returns the price of each asset
+ * it has as { price, timestamp } (the timestamp when known, in seconds), given the current price
+ * of each on chain
+ */
+const loadPriceSource = ({ source = DEFAULTS.source, web3, multicall }) => {
+	const [type, ...rest] = source.split(':');
+	// the rest may have colons itself, e.g. a URL
+	const arg = rest.join(':');
+
+	if (type === 'file') {
+		return {
+			describe: () => `the feed file ${arg}`,
+			getPrices: async ({ assets }) => {
+				const feed = normalize(readFeedFile(arg));
+				return assets
+					.filter(asset => feed[asset])
+					.reduce((memo, asset) => Object.assign(memo, { [asset]: feed[asset] }), {});
+			},
+		};
+	} else if (type === 'chainlink') {
+		const aggregators = readFeedFile(arg);
+		return {
+			describe: () => `the Chainlink aggregators in ${arg}`,
+			getPrices: async ({ assets }) => {
+				const available = assets.filter(asset => aggregators[asset]);
+				const answers = await multicall(
+					[].concat(
+						...available.map(asset => {
+							const contract = new web3.eth.Contract(aggregatorABI, aggregators[asset]);
+							return [
+								{ contract, method: 'latestAnswer' },
+								{ contract, method: 'latestTimestamp' },
+							];
+						})
+					)
+				);
+				return available.reduce((memo, asset, i) => {
+					const [answer, timestamp] = answers.slice(i * 2, i * 2 + 2);
+					memo[asset] = {
+						price: w3utils.fromWei(
+							w3utils.toBN(answer).mul(w3utils.toBN(10).pow(w3utils.toBN(18 - AGGREGATOR_DECIMALS)))
+						),
+						timestamp: Number(timestamp),
+					};
+					return memo;
+				}, {});
+			},
+		};
+	} else if (type === 'http') {
+		if (!arg) {
+			throw Error('Please provide the URL of the adapter, as in http:<url>');
+		}
+		return {
+			describe: () => `the adapter at ${arg}`,
+			getPrices: async ({ assets }) => {
+				const { data } = await axios.get(arg, { params: { assets: assets.join(',') } });
+				const feed = normalize(data);
+				return assets
+					.filter(asset => feed[asset])
+					.reduce((memo, asset) => Object.assign(memo, { [asset]: feed[asset] }), {});
+			},
+		};
+	} else if (type === 'simulated') {
+		const volatility = Number(arg || DEFAULTS.volatility);
+		// the price of each asset as it walks, from the rate on chain when first read
+		const prices = {};
+		return {
+			describe: () => `a simulated feed moving up to ${volatility * 100}% a round`,
+			getPrices: async ({ assets, current }) =>
+				assets.reduce((memo, asset) => {
+					const price = prices[asset] || Number(current[asset]) || 1;
+					prices[asset] = price * (1 + (Math.random() * 2 - 1) * volatility);
+					memo[asset] = { price: prices[asset].toFixed(8) };
+					return memo;
+				}, {}),
+		};
+	} else {
+		throw Error(
+			`Unknown price source ${type}, it must be one of file, chainlink, http or simulated`
+		);
+	}
+};
+
+module.exports = {
+	DEFAULTS,
+	description,
+	loadPriceSource,
+};
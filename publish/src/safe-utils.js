@@ -2,6 +2,7 @@
 
 const w3utils = require('web3-utils');
 const axios = require('axios');
+const { ethers } = require('ethers');
 const { green, gray, red, yellow } = require('chalk');
 
 const {
@@ -11,7 +12,7 @@ const {
 const { loadConnections } = require('./util');
 
 const CALL = 0;
-// const DELEGATE_CALL = 1;
+const DELEGATE_CALL = 1;
 const TX_TYPE_CONFIRMATION = 'confirmation';
 // const TX_TYPE_EXECUTION = 'execution';
 
@@ -59,6 +60,61 @@ const abi = [
 		stateMutability: 'view',
 		type: 'function',
 	},
+	{
+		constant: false,
+		inputs: [
+			{ internalType: 'address', name: 'to', type: 'address' },
+			{ internalType: 'uint256', name: 'value', type: 'uint256' },
+			{ internalType: 'bytes', name: 'data', type: 'bytes' },
+			{
+				internalType: 'enum Enum.Operation',
+				name: 'operation',
+				type: 'uint8',
+			},
+			{ internalType: 'uint256', name: 'safeTxGas', type: 'uint256' },
+			{ internalType: 'uint256', name: 'baseGas', type: 'uint256' },
+			{ internalType: 'uint256', name: 'gasPrice', type: 'uint256' },
+			{ internalType: 'address', name: 'gasToken', type: 'address' },
+			{ internalType: 'address payable', name: 'refundReceiver', type: 'address' },
+			{ internalType: 'bytes', name: 'signatures', type: 'bytes' },
+		],
+		name: 'execTransaction',
+		outputs: [{ internalType: 'bool', name: 'success', type: 'bool' }],
+		payable: true,
+		stateMutability: 'payable',
+		type: 'function',
+	},
+	{
+		constant: true,
+		inputs: [],
+		name: 'getThreshold',
+		outputs: [{ internalType: 'uint256', name: '', type: 'uint256' }],
+		payable: false,
+		stateMutability: 'view',
+		type: 'function',
+	},
+	{
+		constant: true,
+		inputs: [],
+		name: 'getOwners',
+		outputs: [{ internalType: 'address[]', name: '', type: 'address[]' }],
+		payable: false,
+		stateMutability: 'view',
+		type: 'function',
+	},
+];
+
+// gnosis MultiSend abi
+const multiSendAbi = [
+	{
+		constant: false,
+		inputs: [{ internalType: 'bytes', name: 'transactions', type: 'bytes' }],
+		name: 'multiSend',
+		outputs: [],
+		payable: true,
+		stateMutability: 'payable',
+		type: 'function',
+	},
 ];
 
 const safeTransactionApi = ({ network, safeAddress }) => {
@@ -222,7 +278,6 @@ const sendApprovalTransaction = async ({
 	valueInWei = 0,
 	sender,
 	txgasLimit,
-	txGasPrice,
 }) => {
 	const txHash = await getTransactionHash({
 		safeContract,
@@ -239,13 +294,61 @@ const sendApprovalTransaction = async ({
 	});
 
 	console.log(gray(`Sending approveHash(${txHash}) to safeContract`));
-	return safeContract.methods.approveHash(txHash).send({
-		from: sender,
-		gasLimit: Number(txgasLimit),
-		gasPrice: w3utils.toWei(txGasPrice.toString(), 'gwei'),
-	});
+	// the gas is estimated unless a limit is given, and the fees are those of the web3 provider
+	return safeContract.methods
+		.approveHash(txHash)
+		.send(Object.assign({ from: sender }, txgasLimit ? { gas: Number(txgasLimit) } : {}));
 };
 
+/**
+ * Encode the given transactions as a single call to MultiSend, for the safe to delegatecall.
+ * Each is packed as operation (uint8), to (address), value (uint256), data length (uint256) and data.
+ */
+const encodeMultiSend = ({ web3, transactions }) => {
+	const packed = transactions
+		.map(({ to, value = 0, data, operation = CALL }) =>
+			w3utils
+				.encodePacked(
+					{ t: 'uint8', v: operation },
+					{ t: 'address', v: to },
+					{ t: 'uint256', v: value },
+					{ t: 'uint256', v: w3utils.hexToBytes(data).length },
+					{ t: 'bytes', v: data }
+				)
+				.slice(2)
+		)
+		.join('');
+
+	return new web3.eth.Contract(multiSendAbi).methods.multiSend(`0x${packed}`).encodeABI();
+};
+
+// sign a safe transaction hash directly with the given key (no message prefix), so no provider is needed
+const signSafeTransactionHash = ({ safeTxHash, privateKey }) => {
+	const signingKey = new ethers.utils.SigningKey(privateKey);
+	return {
+		signer: ethers.utils.computeAddress(signingKey.privateKey),
+		signature: ethers.utils.joinSignature(signingKey.signDigest(safeTxHash)),
+	};
+};
+
+// the owner who signed the safe transaction hash, either directly or as an eth_sign message (v + 4)
+const recoverSafeSigner = ({ safeTxHash, signature }) => {
+	const { r, s, v } = ethers.utils.splitSignature(signature);
+	if (v > 30) {
+		return ethers.utils.recoverAddress(
+			ethers.utils.hashMessage(ethers.utils.arrayify(safeTxHash)),
+			{ r, s, v: v - 4 }
+		);
+	}
+	return ethers.utils.recoverAddress(safeTxHash, { r, s, v });
+};
+
+// the safe requires the signatures to be concatenated in ascending order of their signer
+const joinSafeSignatures = signatures =>
+	Object.keys(signatures)
+		.sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1))
+		.reduce((memo, signer) => memo + signatures[signer].slice(2), '0x');
+
 const checkExistingPendingTx = ({ stagedTransactions, target, encodedData, currentSafeNonce }) => {
 	const existingTx = stagedTransactions.find(({ to, data, isExecuted, nonce }) => {
 		return (
@@ -270,7 +373,6 @@ const createAndSaveApprovalTransaction = async ({
 	to,
 	sender,
 	gasLimit,
-	gasPrice,
 	network,
 	lastNonce,
 }) => {
@@ -305,7 +407,6 @@ const createAndSaveApprovalTransaction = async ({
 		to,
 		sender,
 		txgasLimit: gasLimit,
-		txGasPrice: gasPrice,
 	});
 
 	const { etherscanLinkPrefix } = loadConnections({
@@ -335,9 +436,16 @@ const createAndSaveApprovalTransaction = async ({
 };
 
 module.exports = {
+	CALL,
+	DELEGATE_CALL,
 	getSafeInstance,
 	getSafeNonce,
 	getSafeTransactions,
 	checkExistingPendingTx,
 	createAndSaveApprovalTransaction,
+	getTransactionHash,
+	encodeMultiSend,
+	signSafeTransactionHash,
+	recoverSafeSigner,
+	joinSafeSignatures,
 };
@@ -0,0 +1,289 @@
+'use strict';
+
+const fs = require('fs');
+const readline = require('readline');
+const bip39 = require('bip39');
+const Web3 = require('web3');
+const { ethers } = require('ethers');
+const { gray, yellow } = require('chalk');
+
+const NonceManager = require('./NonceManager');
+
+const DEFAULTS = {
+	signer: 'key',
+	derivationPath: "m/44'/60'/0'/0/0",
+	unsignedFile: 'unsigned-transactions.json',
+};
+
+const description =
+	'How to sign transactions: key (the private key, default), keystore:<file> (prompts for its passphrase), mnemonic[:<derivation path>] (the MNEMONIC in .env, or prompts for it) or unsigned:<address>[:<file>] (writes them to a file to sign elsewhere)';
+
+// the signers loaded so far, so a passphrase is only asked for once per run
+const loaded = {};
+
+const promptSecret = prompt =>
+	new Promise(resolve => {
+		const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+		process.stdout.write(prompt);
+		// don't echo what is typed
+		rl._writeToOutput = () => {};
+		rl.question('', answer => {
+			rl.close();
+			process.stdout.write('\n');
+			resolve(answer.trim());
+		});
+	});
+
+/**
+ * Load the given signer, as the options for getWeb3 (and the Deployer): either the privateKey to
+ * sign with, or the account to send from along with the unsignedFile to write its transactions to.
+ *
+ * @param {string} signer key, keystore:<file>, mnemonic[:<derivation path>] or unsigned:<address>[:<file>]
+ * @param {string} privateKey The private key for the key signer (usually the PRIVATE_KEY in .env)
+ * @param {object} fork When rehearsing on a fork (see forkAction), its unlocked account is used instead
+ */
+const loadSigner = async ({ signer = DEFAULTS.signer, privateKey, fork }) => {
+	if (fork) {
+		return { account: fork.account };
+	}
+
+	const [type, ...rest] = signer.split(':');
+	const arg = rest.join(':');
+
+	if (type === 'key') {
+		return { privateKey };
+	} else if (type === 'unsigned') {
+		const [account, unsignedFile = DEFAULTS.unsignedFile] = rest;
+		if (!Web3.utils.isAddress(account)) {
+			throw Error(
+				`Please provide the address to send from, as in unsigned:<address> (not ${signer})`
+			);
+		}
+		return { account, unsignedFile };
+	}
+
+	if (!loaded[signer]) {
+		if (type === 'keystore') {
+			if (!fs.existsSync(arg)) {
+				throw Error(`Cannot find the keystore file ${arg}`);
+			}
+			const keystore = JSON.parse(fs.readFileSync(arg));
+			const passphrase = await promptSecret(`Passphrase for the keystore ${arg}: `);
+			console.log(gray('Decrypting the keystore...'));
+			loaded[signer] = new Web3().eth.accounts.decrypt(keystore, passphrase).privateKey;
+		} else if (type === 'mnemonic') {
+			const mnemonic = process.env.MNEMONIC || (await promptSecret('Mnemonic: '));
+			if (!bip39.validateMnemonic(mnemonic)) {
+				throw Error('Invalid mnemonic');
+			}
+			loaded[signer] = ethers.utils.HDNode.fromSeed(bip39.mnemonicToSeed(mnemonic)).derivePath(
+				arg || DEFAULTS.derivationPath
+			).privateKey;
+		} else {
+			throw Error(
+				`Unknown signer ${signer}. Please use one of key, keystore:<file>, mnemonic[:<derivation path>] or unsigned:<address>[:<file>]`
+			);
+		}
+	}
+	return { privateKey: loaded[signer] };
+};
+
+const send = (provider, method, params) =>
+	new Promise((resolve, reject) =>
+		provider.send({ jsonrpc: '2.0', id: Date.now(), method, params }, (err, response) => {
+			if (err || response.error) {
+				reject(err || Error(response.error.message));
+			} else {
+				resolve(response.result);
+			}
+		})
+	);
+
+/**
+ * Wrap a provider so that each transaction sent through it is priced by the fees, has its gas
+ * estimated unless given (see Fees), is given its nonce (see NonceManager, which deals with those
+ * that get stuck as given) and then is:
+ *  - when there is a privateKey, signed with it and sent raw (either a legacy or EIP-1559
+ *    transaction, as web3 cannot sign the latter);
+ *  - when there is an unsignedFile, written unsigned to it, to be signed elsewhere (e.g. on an
+ *    air-gapped machine) and broadcast in nonce order;
+ *  - otherwise sent by the node, from its unlocked account.
+ *
+ * Unsigned transactions are assumed to be mined successfully (a placeholder receipt is returned,
+ * with the address a new contract will have), so this suits commands whose transactions don't
+ * read the results of earlier ones.
+ */
+const signingProvider = ({ provider, account, privateKey, unsignedFile, fees, stuck, yes }) => {
+	const request = (method, params) => send(provider, method, params);
+	const wallet = privateKey && new ethers.Wallet(privateKey);
+	const transactions =
+		unsignedFile && fs.existsSync(unsignedFile) ? JSON.parse(fs.readFileSync(unsignedFile)) : [];
+	// the placeholder receipts of unsigned transactions, and the contracts they deploy
+	const receipts = {};
+	const contracts = {};
+	let chainId;
+
+	const getChainId = async () => {
+		if (chainId === undefined) {
+			chainId = Web3.utils.hexToNumber(await request('eth_chainId', []));
+		}
+		return chainId;
+	};
+
+	// the fields of the transaction for ethers to sign or serialize
+	const toUnsigned = async tx =>
+		Object.assign(
+			{
+				to: tx.to,
+				value: tx.value || '0x0',
+				data: tx.data || '0x',
+				nonce: tx.nonce,
+				gasLimit: tx.gas,
+				chainId: await getChainId(),
+			},
+			tx.maxFeePerGas
+				? {
+						type: 2,
+						maxFeePerGas: tx.maxFeePerGas,
+						maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+				  }
+				: { gasPrice: tx.gasPrice }
+		);
+
+	// sign (unless the node has the account unlocked) and send the transaction
+	const broadcast = async tx => {
+		let hash;
+		let raw;
+		if (wallet) {
+			raw = await wallet.signTransaction(await toUnsigned(tx));
+			hash = await request('eth_sendRawTransaction', [raw]);
+		} else {
+			hash = await request('eth_sendTransaction', [
+				Object.assign({}, tx, { nonce: Web3.utils.toHex(tx.nonce) }),
+			]);
+		}
+		fees.sent(Object.assign({ hash }, tx));
+		return { hash, raw };
+	};
+
+	const nonces = new NonceManager({
+		account,
+		request,
+		broadcast,
+		fees,
+		stuck,
+		yes,
+		// continue after any transactions already in the unsigned file from this account
+		used: transactions
+			.filter(({ from }) => from.toLowerCase() === account.toLowerCase())
+			.map(({ nonce }) => nonce),
+	});
+
+	const record = async unsigned => {
+		const { to, nonce, gasLimit } = unsigned;
+		const unsignedTransaction = ethers.utils.serializeTransaction(unsigned);
+		// not the hash of the signed transaction, just a placeholder to find the receipt by
+		const hash = ethers.utils.keccak256(unsignedTransaction);
+		const contractAddress = to ? null : ethers.utils.getContractAddress({ from: account, nonce });
+
+		transactions.push(
+			Object.assign({ from: account }, unsigned, { contractAddress, unsignedTransaction })
+		);
+		fs.writeFileSync(unsignedFile, JSON.stringify(transactions, null, '\t') + '\n');
+		console.log(yellow(`Transaction with nonce ${nonce} written to ${unsignedFile} to sign`));
+
+		if (contractAddress) {
+			contracts[contractAddress.toLowerCase()] = true;
+		}
+		receipts[hash] = {
+			transactionHash: hash,
+			transactionIndex: '0x0',
+			blockHash: hash,
+			blockNumber: await request('eth_blockNumber', []),
+			from: account,
+			to: to || null,
+			contractAddress,
+			cumulativeGasUsed: gasLimit,
+			gasUsed: gasLimit,
+			logs: [],
+			logsBloom: `0x${'0'.repeat(512)}`,
+			status: '0x1',
+		};
+		return hash;
+	};
+
+	const sendTransaction = async tx => {
+		tx = Object.assign({}, tx);
+		if (!tx.gas && tx.to && contracts[tx.to.toLowerCase()]) {
+			throw Error(
+				`Cannot estimate the gas of a transaction to ${tx.to}, as it is yet to be deployed. Please give its gas limit`
+			);
+		} else if (!tx.gas) {
+			tx.gas = await fees.estimateGas(request, tx);
+		}
+		// always priced by the fee strategy, as web3 fills in the gas price suggested by the node
+		delete tx.gasPrice;
+		Object.assign(tx, await fees.getFeeFields(request));
+		tx.nonce = await nonces.next(
+			tx.nonce !== undefined ? Web3.utils.hexToNumber(tx.nonce) : undefined
+		);
+
+		if (unsignedFile) {
+			return record(await toUnsigned(tx));
+		}
+
+		let sent;
+		try {
+			sent = await broadcast(tx);
+		} catch (err) {
+			nonces.release(tx.nonce);
+			throw err;
+		}
+		nonces.sent(Object.assign({ tx }, sent, { nonce: tx.nonce }));
+		return sent.hash;
+	};
+
+	const respond = async ({ method, params }) => {
+		if (method === 'eth_sendTransaction') {
+			return sendTransaction(params[0]);
+		} else if (method === 'eth_getTransactionReceipt') {
+			if (receipts[params[0]]) {
+				return receipts[params[0]];
+			}
+			const receipt = await nonces.receipt(params[0]);
+			if (receipt) {
+				await fees.mined(receipt, request);
+			}
+			return receipt;
+		} else if (method === 'eth_getCode' && contracts[params[0].toLowerCase()]) {
+			// a placeholder for the code of a contract that is yet to be deployed
+			return '0x00';
+		}
+	};
+
+	return {
+		send: (payload, callback) => {
+			if (Array.isArray(payload)) {
+				return provider.send(payload, callback);
+			}
+			// answer outside of the promise chain, as web3 expects of a provider
+			const answer = response => setImmediate(() => callback(null, response));
+			respond(payload).then(
+				result =>
+					result === undefined
+						? provider.send(payload, callback)
+						: answer({ jsonrpc: '2.0', id: payload.id, result }),
+				// as a JSON-RPC error, as the node would have returned
+				err =>
+					answer({ jsonrpc: '2.0', id: payload.id, error: { code: -32000, message: err.message } })
+			);
+		},
+	};
+};
+
+module.exports = {
+	DEFAULTS,
+	description,
+	loadSigner,
+	signingProvider,
+};
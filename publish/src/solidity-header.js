@@ -1,5 +1,8 @@
 'use strict';
 
+// the name, copyright holder, source and docs of the project the header is for
+const project = require('../project.json');
+
 module.exports = {
 	addSolidityHeader({ content, contract }) {
 		const deps = Array.from(
@@ -39,10 +42,10 @@ module.exports = {
 	██    ██ ██ ██  ██  ██    ██      ██ 
 	██████  ██ ██   ██  ██████  ███████
 	
-* Oikos: ${contract}
+* ${project.name}: ${contract}
 *
-* Latest source (may be newer): https://github.com/Oikosio/synthetix/blob/master/contracts/${contract}
-* Docs: https://docs.synthetix.io/contracts/${contract.split(/\./)[0]}
+* Latest source (may be newer): ${project.source}/${contract}
+* Docs: ${project.docs}/${contract.split(/\./)[0]}
 *
 * Contract Dependencies: ${deps.length ? '\n*\t- ' + deps.join('\n*\t- ') : '(none)'}
 * Libraries: ${libraries.length ? '\n*\t- ' + libraries.join('\n*\t- ') : '(none)'}
@@ -50,7 +53,7 @@ module.exports = {
 * MIT License
 * ===========
 *
-* Copyright (c) ${new Date().getFullYear()} Oikos
+* Copyright (c) ${new Date().getFullYear()} ${project.copyright}
 *
 * Permission is hereby granted, free of charge, to any person obtaining a copy
 * of this software and associated documentation files (the "Software"), to deal
@@ -3,8 +3,12 @@
 const path = require('path');
 const fs = require('fs');
 const readline = require('readline');
-const { gray, cyan, yellow, redBright, green } = require('chalk');
-const w3utils = require('web3-utils');
+const { gray, cyan, yellow, red, redBright, green } = require('chalk');
+const Web3 = require('web3');
+const { signingProvider } = require('./signer');
+const Fees = require('./Fees');
+const FailoverProvider = require('./FailoverProvider');
+const { logEvent } = require('./logger');
 
 const {
 	constants: {
@@ -16,7 +20,7 @@ const {
 	},
 } = require('../..');
 
-const { networks } = require('../..');
+const { networks, getNetwork } = require('../..');
 const stringify = input => JSON.stringify(input, null, '\t') + '\n';
 
 const ensureNetwork = network => {
@@ -44,7 +48,8 @@ const loadAndCheckRequiredSources = ({ deploymentPath, network }) => {
 	const config = JSON.parse(fs.readFileSync(configFile));
 
 	const versionsFile = path.join(deploymentPath, VERSIONS_FILENAME);
-	const versions =  network !== "testnet" && network !== "bsc" ? JSON.parse(fs.readFileSync(versionsFile)) : {};
+	const versions =
+		network !== 'testnet' && network !== 'bsc' ? JSON.parse(fs.readFileSync(versionsFile)) : {};
 
 	console.log(
 		gray(`Loading the list of contracts already deployed for ${network.toUpperCase()}...`)
@@ -75,30 +80,84 @@ const loadAndCheckRequiredSources = ({ deploymentPath, network }) => {
 	};
 };
 
-const loadConnections = ({ network }) => {
-	/*if (network !== 'local' && !process.env.INFURA_PROJECT_ID) {
-		throw Error('Missing .env key of INFURA_PROJECT_ID. Please add and retry.');
-	}*/
+// the --provider-url of the commands that fail over between RPCs, to pass to loadConnections
+const providerUrlsOption = [
+	'-p, --provider-url <value>',
+	'The RPC to use, or several comma separated to fail over between (default is the RPCs of the network)',
+	x => x.split(',').map(url => url.trim()),
+];
 
-	let providerUrl;
+// the RPCs in the order to try them, with each ${VAR} read from the environment, leaving out those
+// whose variables aren't set
+const resolveProviderUrls = rpcs =>
+	rpcs
+		.filter(url => (url.match(/\$\{\w+\}/g) || []).every(match => process.env[match.slice(2, -1)]))
+		.map(url => url.replace(/\$\{(\w+)\}/g, (match, key) => process.env[key]));
 
-	if (network === 'local' ) {
-		providerUrl = 'http://127.0.0.1:8545';
-	} else {
-		if (network === 'bsc' ) {
-			providerUrl = process.env.QUICKNODE_KEY ? process.env.QUICKNODE_KEY: "https://bsc-dataseed.binance.org";
-		} else {
-			providerUrl = 'https://data-seed-prebsc-1-s1.binance.org:8545';
-		}
+// the connections of the network, from its entry in the registry (see getNetwork), with the RPC or
+// RPCs given (e.g. by --provider-url) in place of those of the network
+const loadConnections = ({ network, fork, providerUrl }) => {
+	const { chainId, rpcs, requestsPerSecond, explorer = {}, confirmations } = getNetwork({
+		network,
+	});
+
+	let providerUrls = providerUrl ? [].concat(providerUrl) : resolveProviderUrls(rpcs);
+	let privateKey = process.env.PRIVATE_KEY;
+
+	// when rehearsing on a fork (see forkAction), send from its unlocked account instead
+	if (fork) {
+		providerUrls = [fork.providerUrl];
+		privateKey = undefined;
 	}
-	
-	const privateKey = process.env.PRIVATE_KEY;
 
-	const etherscanUrl =
-		network === 'bsc' ? 'https://api.bscscan.com/api' : `https://api-${network}.bscscan.com/api`;
+	return {
+		providerUrl: providerUrls[0],
+		providerUrls,
+		requestsPerSecond,
+		privateKey,
+		etherscanUrl: explorer.api,
+		// links are left relative on networks without an explorer
+		etherscanLinkPrefix: explorer.link || '',
+		chainId,
+		confirmations,
+	};
+};
+
+// the address of the account of the private key, with or without its 0x prefix (as in .env)
+const accountOf = privateKey =>
+	new Web3().eth.accounts.privateKeyToAccount(
+		/^0x/.test(privateKey) ? privateKey : `0x${privateKey}`
+	).address;
 
-	const etherscanLinkPrefix = `https://${network !== 'bsc' ? network + '.' : ''}bscscan.com`;
-	return { providerUrl, privateKey, etherscanUrl, etherscanLinkPrefix };
+// connect to the provider (or to the first of the providerUrls, failing over to the rest, see
+// FailoverProvider), sending from the account of the private key if given, otherwise
+// from the given (unlocked) account, or writing its transactions to the unsignedFile if given
+// (see loadSigner). Transactions are priced by the fees (the gas price suggested by the node if
+// not given), their gas is estimated unless given (see Fees), and those that get stuck are dealt
+// with as given by stuck, without prompting when told not to (yes, see NonceManager)
+const getWeb3 = ({
+	providerUrl,
+	providerUrls = [providerUrl],
+	requestsPerSecond,
+	privateKey,
+	account,
+	unsignedFile,
+	fees = new Fees({ feeStrategy: 'node' }),
+	stuck,
+	yes,
+}) => {
+	if (privateKey) {
+		privateKey = /^0x/.test(privateKey) ? privateKey : `0x${privateKey}`;
+		account = accountOf(privateKey);
+	}
+	const rpc = new FailoverProvider({ providerUrls, requestsPerSecond });
+	const web3 = new Web3(
+		signingProvider({ provider: rpc, account, privateKey, unsignedFile, fees, stuck, yes })
+	);
+	web3.eth.defaultAccount = account;
+	// rather than web3 giving up on a transaction, a stuck one is sped up or cancelled
+	web3.eth.transactionPollingTimeout = 24 * 60 * 60;
+	return { web3, account, rpc };
 };
 
 const confirmAction = prompt =>
@@ -127,6 +186,7 @@ const appendOwnerActionGenerator = ({ ownerActions, ownerActionsFile, etherscanL
 	};
 	fs.writeFileSync(ownerActionsFile, stringify(ownerActions));
 	console.log(cyan(`Cannot invoke ${key} as not owner. Appended to actions.`));
+	logEvent('owner-action.appended', { key, target, action, data, file: ownerActionsFile });
 };
 
 let _dryRunCounter = 0;
@@ -146,17 +206,37 @@ const performTransactionalStep = async ({
 	write,
 	writeArg, // none, 1 or an array of args, array will be spread into params
 	gasLimit,
-	gasPrice,
 	etherscanLinkPrefix,
 	ownerActions,
 	ownerActionsFile,
 	dryRun,
 	encodeABI,
+	journal,
 }) => {
 	const action = `${contract}.${write}(${writeArg})`;
 
 	// check to see if action required
 	console.log(yellow(`Attempting action: ${action}`));
+	logEvent('step.started', { step: action, dryRun: !!dryRun });
+
+	// the entry of this step in the journal of the run, if any
+	const journalKey = journal && !dryRun ? journal.nextKey(action) : undefined;
+
+	// when resuming a run, skip anything that run already got mined
+	if (journalKey) {
+		const receipt = await journal.confirmedReceipt(journalKey);
+		if (receipt) {
+			logEvent('step.skipped', {
+				step: action,
+				reason: 'mined in the run resumed',
+				hash: receipt.transactionHash,
+			});
+			return receipt.transactionHash;
+		}
+	}
+
+	// only record steps when not in a dry run
+	const recordStep = fields => journalKey && journal.record(journalKey, fields);
 
 	if (read) {
 		// web3 counts provided arguments - even undefined ones - and they must match the expected args, hence the below
@@ -165,6 +245,8 @@ const performTransactionalStep = async ({
 
 		if (expected(response)) {
 			console.log(gray(`Nothing required for this action.`));
+			logEvent('step.skipped', { step: action, reason: 'nothing required' });
+			recordStep({ type: 'step', status: 'skipped' });
 			return;
 		}
 	}
@@ -178,17 +260,32 @@ const performTransactionalStep = async ({
 			_dryRunCounter++;
 			hash = '0x' + _dryRunCounter.toString().padStart(64, '0');
 		} else {
-			const txn = await target.methods[write](...argumentsForWriteFunction).send({
-				from: account,
-				gas: Number(gasLimit),
-				gasPrice: w3utils.toWei(gasPrice.toString(), 'gwei'),
-			});
-			hash = txn.transactionHash;
+			try {
+				const txn = await target.methods[write](...argumentsForWriteFunction)
+					// the gas is estimated unless a limit is given, and the fees are those of the web3 provider
+					.send(Object.assign({ from: account }, gasLimit ? { gas: Number(gasLimit) } : {}))
+					.on('transactionHash', hash => recordStep({ type: 'step', status: 'sent', hash }));
+				hash = txn.transactionHash;
+				recordStep({ status: 'confirmed', blockNumber: txn.blockNumber, gasUsed: txn.gasUsed });
+				logEvent('step.completed', {
+					step: action,
+					hash,
+					blockNumber: txn.blockNumber,
+					gasUsed: txn.gasUsed,
+				});
+			} catch (err) {
+				recordStep({ type: 'step', status: 'failed', error: err.message });
+				logEvent('step.failed', { step: action, error: err.message });
+				throw err;
+			}
 		}
 
 		console.log(
 			green(`${dryRun ? '[DRY RUN] ' : ''}Successfully completed ${action} in hash: ${hash}`)
 		);
+		if (dryRun) {
+			logEvent('step.completed', { step: action, hash, dryRun: true });
+		}
 
 		return hash;
 	}
@@ -216,7 +313,9 @@ const performTransactionalStep = async ({
 			);
 		} else {
 			appendOwnerAction(ownerAction);
+			recordStep({ type: 'step', status: 'owner-action' });
 		}
+		logEvent('step.completed', { step: action, ownerAction: true, dryRun: !!dryRun });
 		return true;
 	} else {
 		// otherwise wait for owner in real time
@@ -224,6 +323,7 @@ const performTransactionalStep = async ({
 			data = target.methods[write](...argumentsForWriteFunction).encodeABI();
 			if (encodeABI) {
 				console.log(green(`Tx payload for target address ${target.options.address} - ${data}`));
+				logEvent('step.completed', { step: action, payload: data });
 				return true;
 			}
 
@@ -234,12 +334,70 @@ const performTransactionalStep = async ({
 						`with data: ${data}`
 				) + '\nPlease enter Y when the transaction has been mined and not earlier. '
 			);
+			recordStep({ type: 'step', status: 'confirmed-by-owner' });
+			logEvent('step.completed', { step: action, confirmedByOwner: true });
 
 			return true;
 		} catch (err) {
 			console.log(gray('Cancelled'));
+			logEvent('step.skipped', { step: action, reason: 'cancelled' });
+		}
+	}
+};
+
+/**
+ * Run the round of a keeper once, or with watch, again after each interval until stopped with
+ * Ctrl-C: at once when waiting for the next round, otherwise after the round under way. A round
+ * that fails fails a single run, while a keeper tries again the next round (e.g. after the RPC
+ * failed).
+ *
+ * @param {function} round Runs a round, returning a promise of its result
+ * @param {boolean} watch Whether to keep running rounds
+ * @param {number} interval In seconds, between the rounds
+ * @returns {array} The result of each round that succeeded
+ */
+const runRounds = async ({ round, watch, interval }) => {
+	let stopped = false;
+	// ends the wait for the next round
+	let wake = () => {};
+	const stop = () => {
+		console.log(gray('Stopping after the round under way, if any...'));
+		stopped = true;
+		wake();
+	};
+	if (watch) {
+		process.once('SIGINT', stop);
+	}
+
+	const results = [];
+	try {
+		for (;;) {
+			if (stopped) {
+				break;
+			}
+			try {
+				results.push(await round());
+			} catch (err) {
+				if (!watch) {
+					throw err;
+				}
+				console.log(red(`Round failed: ${err.message}`));
+			}
+			if (!watch) {
+				break;
+			}
+			await new Promise(resolve => {
+				const timer = setTimeout(resolve, interval * 1000);
+				wake = () => {
+					clearTimeout(timer);
+					resolve();
+				};
+			});
 		}
+	} finally {
+		process.removeListener('SIGINT', stop);
 	}
+	return results;
 };
 
 module.exports = {
@@ -247,8 +405,12 @@ module.exports = {
 	ensureDeploymentPath,
 	loadAndCheckRequiredSources,
 	loadConnections,
+	providerUrlsOption,
+	accountOf,
+	getWeb3,
 	confirmAction,
 	appendOwnerActionGenerator,
 	stringify,
 	performTransactionalStep,
+	runRounds,
 };
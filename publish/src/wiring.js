@@ -0,0 +1,18 @@
+'use strict';
+
+const sameAddress = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+// the function read to find what a proxy or token state is for (see getUnderlying in the root
+// index.js), if the source is either
+const getUnderlyingReader = source =>
+	({
+		Proxy: 'target',
+		ProxyERC20: 'target',
+		ReadProxy: 'target',
+		TokenState: 'associatedContract',
+	}[source]);
+
+module.exports = {
+	sameAddress,
+	getUnderlyingReader,
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+const { artifacts, contract, web3 } = require('@nomiclabs/buidler');
+
+const { assert } = require('./common');
+const { ensureOnlyExpectedMutativeFunctions } = require('./helpers');
+
+const { toBytes32 } = require('../..');
+
+contract('Multicall', async accounts => {
+	const [, owner, account1] = accounts;
+
+	let multicall;
+	let resolver;
+
+	const encode = (method, ...args) => resolver.contract.methods[method](...args).encodeABI();
+
+	beforeEach(async () => {
+		multicall = await artifacts.require('Multicall').new();
+		resolver = await artifacts.require('AddressResolver').new(owner);
+		await resolver.importAddresses([toBytes32('Exchanger')], [account1], { from: owner });
+	});
+
+	it('only known functions are mutative', () => {
+		ensureOnlyExpectedMutativeFunctions({
+			abi: multicall.abi,
+			expected: [],
+		});
+	});
+
+	describe('aggregate()', () => {
+		it('returns the block number and what each call returns', async () => {
+			const { blockNumber, results } = await multicall.aggregate(
+				[
+					[resolver.address, encode('owner')],
+					[resolver.address, encode('getAddress', toBytes32('Exchanger'))],
+				],
+				true
+			);
+			assert.bnEqual(blockNumber, await web3.eth.getBlockNumber());
+			assert.equal(results.length, 2);
+			assert.ok(results.every(({ success }) => success));
+			assert.equal(web3.eth.abi.decodeParameter('address', results[0].returnData), owner);
+			assert.equal(web3.eth.abi.decodeParameter('address', results[1].returnData), account1);
+		});
+
+		describe('when a call reverts', () => {
+			let calls;
+			beforeEach(() => {
+				calls = [
+					[resolver.address, encode('owner')],
+					[resolver.address, encode('requireAndGetAddress', toBytes32('Issuer'), 'Missing')],
+				];
+			});
+
+			it('then it reverts when each call is required to succeed', async () => {
+				await assert.revert(multicall.aggregate(calls, true), 'Multicall call failed');
+			});
+
+			it('then otherwise it returns which failed, with the reason', async () => {
+				const { results } = await multicall.aggregate(calls, false);
+				assert.equal(results[0].success, true);
+				assert.equal(results[1].success, false);
+				// Error(string) followed by the reason
+				assert.equal(results[1].returnData.slice(0, 10), '0x08c379a0');
+				assert.equal(
+					web3.eth.abi.decodeParameter('string', '0x' + results[1].returnData.slice(10)),
+					'Missing'
+				);
+			});
+		});
+
+		it('returns nothing when there are no calls', async () => {
+			const { results } = await multicall.aggregate([], true);
+			assert.equal(results.length, 0);
+		});
+	});
+});
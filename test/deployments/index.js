@@ -7,7 +7,15 @@ const assert = require('assert');
 require('dotenv').config();
 const { loadConnections } = require('../../publish/src/util');
 
-const { toBytes32, getSynths, getTarget, getSource, networks } = require('../..');
+const {
+	toBytes32,
+	getContracts,
+	getMulticall,
+	getSynths,
+	getTarget,
+	getSource,
+	networks,
+} = require('../..');
 
 describe('deployments', () => {
 	networks
@@ -20,11 +28,10 @@ describe('deployments', () => {
 
 				let web3;
 				let contracts;
+				// reads all the values a group of tests checks at once
+				let multicall;
 
-				const getContract = ({ source, target }) =>
-					new web3.eth.Contract(sources[source || target].abi, targets[target].address);
-
-				beforeEach(() => {
+				before(() => {
 					web3 = new Web3();
 
 					const connections = loadConnections({
@@ -33,38 +40,65 @@ describe('deployments', () => {
 
 					web3 = new Web3(new Web3.providers.HttpProvider(connections.providerUrl));
 
-					contracts = {
-						Synthetix: getContract({ source: 'Synthetix', target: 'ProxyERC20' }),
-						ExchangeRates: getContract({ target: 'ExchangeRates' }),
-					};
+					contracts = getContracts({ network, provider: web3 });
+					multicall = getMulticall({ network, provider: web3 });
 				});
 
 				describe('synths.json', () => {
 					const synths = getSynths({ network });
 
+					// the address, inverse pricing and aggregator of each synth on-chain, by name
+					const onChain = {};
+					before(async () => {
+						const reads = [].concat(
+							...synths.map(({ name, inverted, aggregator }) =>
+								[
+									{ name, key: 'synth', contract: contracts.ProxyERC20, method: 'synths' },
+									inverted && {
+										name,
+										key: 'inversePricing',
+										contract: contracts.ExchangeRates,
+										method: 'inversePricing',
+									},
+									aggregator && {
+										name,
+										key: 'aggregator',
+										contract: contracts.ExchangeRates,
+										method: 'aggregators',
+									},
+								].filter(read => read)
+							)
+						);
+						const results = await multicall(
+							reads.map(({ name, contract, method }) => ({
+								contract,
+								method,
+								args: [toBytes32(name)],
+							}))
+						);
+						reads.forEach(({ name, key }, i) => {
+							onChain[name] = Object.assign(onChain[name] || {}, { [key]: results[i] });
+						});
+					});
+
 					it(`The number of available synths in Synthetix matches the number of synths in the JSON file: ${synths.length}`, async () => {
-						const availableSynths = await contracts.Synthetix.methods
+						const availableSynths = await contracts.ProxyERC20.methods
 							.availableCurrencyKeys()
 							.call();
 						assert.strictEqual(availableSynths.length, synths.length);
 					});
 					synths.forEach(({ name, inverted, aggregator, index }) => {
 						describe(name, () => {
-							it('Synthetix has the synth added', async () => {
-								const foundSynth = await contracts.Synthetix.methods.synths(toBytes32(name)).call();
-								assert.strictEqual(foundSynth, targets[`Synth${name}`].address);
+							it('Synthetix has the synth added', () => {
+								assert.strictEqual(onChain[name].synth, targets[`Synth${name}`].address);
 							});
 							if (inverted) {
 								it('ensure only inverted synths have i prefix', () => {
 									assert.strictEqual(name[0], 'i');
 								});
-								it(`checking inverted params of ${name}`, async () => {
+								it(`checking inverted params of ${name}`, () => {
 									// check inverted status
-									const {
-										entryPoint,
-										upperLimit,
-										lowerLimit,
-									} = await contracts.ExchangeRates.methods.inversePricing(toBytes32(name)).call();
+									const { entryPoint, upperLimit, lowerLimit } = onChain[name].inversePricing;
 									assert.strictEqual(entryPoint, toWei(inverted.entryPoint.toString()));
 									assert.strictEqual(upperLimit, toWei(inverted.upperLimit.toString()));
 									assert.strictEqual(lowerLimit, toWei(inverted.lowerLimit.toString()));
@@ -75,11 +109,8 @@ describe('deployments', () => {
 								});
 							}
 							if (aggregator) {
-								it(`checking aggregator of ${name}`, async () => {
-									const aggregatorActual = await contracts.ExchangeRates.methods
-										.aggregators(toBytes32(name))
-										.call();
-									assert.strictEqual(aggregatorActual, aggregator);
+								it(`checking aggregator of ${name}`, () => {
+									assert.strictEqual(onChain[name].aggregator, aggregator);
 								});
 							}
 							if (index && Array.isArray(index)) {
@@ -101,20 +132,15 @@ describe('deployments', () => {
 				describe('deployment.json', () => {
 					['AddressResolver', 'ReadProxyAddressResolver'].forEach(target => {
 						describe(`${target} has correct addresses`, () => {
-							let resolver;
-							beforeEach(() => {
-								resolver = getContract({
-									source: 'AddressResolver',
-									target,
-								});
-							});
+							// the address of each of the names on-chain, by name
+							const resolved = {};
 
 							// Note: instead of manually managing this list, it would be better to read this
 							// on-chain for each environment when a contract had the MixinResolver function
 							// `getResolverAddressesRequired()` and compile and check these. The problem is then
 							// that would omit the deps from Depot and EtherCollateral which were not
 							// redeployed in Hadar (v2.21)
-							[
+							const names = [
 								'BinaryOptionMarketFactory',
 								'BinaryOptionMarketManager',
 								'DelegateApprovals',
@@ -136,32 +162,48 @@ describe('deployments', () => {
 								'SynthsUSD',
 								'SynthsETH',
 								'SystemStatus',
-							].forEach(name => {
-								it(`has correct address for ${name}`, async () => {
-									const actual = await resolver.methods.getAddress(toBytes32(name)).call();
-									assert.strictEqual(actual, targets[name].address);
+							];
+							before(async () => {
+								const results = await multicall(
+									names.map(name => ({
+										contract: contracts[target],
+										method: 'getAddress',
+										args: [toBytes32(name)],
+									}))
+								);
+								names.forEach((name, i) => {
+									resolved[name] = results[i];
+								});
+							});
+							names.forEach(name => {
+								it(`has correct address for ${name}`, () => {
+									assert.strictEqual(resolved[name], targets[name].address);
 								});
 							});
 						});
 					});
 				});
 				describe('address resolver correctly set', () => {
-					Object.entries(targets)
-						.filter(
-							([, { source }]) => !!sources[source].abi.find(({ name }) => name === 'resolver')
-						)
-						.forEach(([target, { source }]) => {
-							it(`${target} has correct address resolver`, async () => {
-								const Contract = getContract({
-									source,
-									target,
-								});
-								assert.strictEqual(
-									await Contract.methods.resolver().call(),
-									targets['AddressResolver'].address
-								);
-							});
+					const withResolver = Object.keys(targets).filter(
+						target => !!sources[targets[target].source].abi.find(({ name }) => name === 'resolver')
+					);
+
+					// the resolver of each on-chain, by target
+					const resolvers = {};
+					before(async () => {
+						const results = await multicall(
+							withResolver.map(target => ({ contract: contracts[target], method: 'resolver' }))
+						);
+						withResolver.forEach((target, i) => {
+							resolvers[target] = results[i];
 						});
+					});
+
+					withResolver.forEach(target => {
+						it(`${target} has correct address resolver`, () => {
+							assert.strictEqual(resolvers[target], targets['AddressResolver'].address);
+						});
+					});
 				});
 			});
 		});
@@ -0,0 +1,151 @@
+'use strict';
+
+const assert = require('assert');
+
+const FailoverProvider = require('../../../publish/src/FailoverProvider');
+
+const { retry } = FailoverProvider;
+
+// as assert.rejects, which the node versions supported don't all have
+const assertRejects = async (promise, pattern) => {
+	let error;
+	try {
+		await promise;
+	} catch (err) {
+		error = err;
+	}
+	assert.ok(error && pattern.test(error.message), `Expected a rejection matching ${pattern}`);
+};
+
+describe('FailoverProvider', () => {
+	describe('retry', () => {
+		it('tries again until it succeeds, backing off twice as long each time', async () => {
+			const times = [];
+			const errors = [];
+			const result = await retry(
+				async i => {
+					times.push(Date.now());
+					if (i < 3) {
+						throw Error(`failure ${i}`);
+					}
+					return 'done';
+				},
+				{ backoff: 20, onError: (err, i) => errors.push([err.message, i]) }
+			);
+			assert.strictEqual(result, 'done');
+			assert.deepStrictEqual(errors, [
+				['failure 0', 0],
+				['failure 1', 1],
+				['failure 2', 2],
+			]);
+			const waits = times.slice(1).map((time, i) => time - times[i]);
+			// allowing for timers firing a little early
+			[20, 40, 80].forEach((backoff, i) => assert.ok(waits[i] >= backoff - 5, `waited ${waits}`));
+		});
+
+		it('fails with the last error once out of retries', async () => {
+			let attempts = 0;
+			await assertRejects(
+				retry(
+					async i => {
+						attempts++;
+						throw Error(`failure ${i}`);
+					},
+					{ retries: 2, backoff: 1 }
+				),
+				/^failure 2$/
+			);
+			assert.strictEqual(attempts, 3);
+		});
+
+		it('does not try again without retries', async () => {
+			let attempts = 0;
+			await assertRejects(
+				retry(
+					async () => {
+						attempts++;
+						throw Error('failure');
+					},
+					{ retries: 0 }
+				),
+				/failure/
+			);
+			assert.strictEqual(attempts, 1);
+		});
+	});
+
+	describe('requests', () => {
+		const urls = ['https://one.example/key-1', 'https://two.example/key-2'];
+		let provider;
+		let answers;
+		let sent;
+
+		// each RPC answers with the next of its answers, an error or the result of a request
+		const endpoint = i => ({
+			send: (payload, callback) => {
+				sent.push([i, payload.method]);
+				const answer = answers[i].shift();
+				setImmediate(() =>
+					answer instanceof Error
+						? callback(answer)
+						: callback(null, Object.assign({ jsonrpc: '2.0', id: payload.id }, answer))
+				);
+			},
+		});
+
+		const request = method => provider.request({ jsonrpc: '2.0', id: 1, method, params: [] });
+
+		beforeEach(() => {
+			provider = new FailoverProvider({ providerUrls: urls, backoff: 1 });
+			provider.endpoints.forEach((entry, i) => {
+				entry.provider = endpoint(i);
+			});
+			answers = [[], []];
+			sent = [];
+		});
+
+		it('fails over to the next RPC, and carries on with it', async () => {
+			answers[0].push(Error(`Invalid JSON RPC response from ${urls[0]}`));
+			answers[1].push({ result: '0x1' }, { result: '0x2' });
+			assert.strictEqual((await request('eth_blockNumber')).result, '0x1');
+			assert.strictEqual((await request('eth_blockNumber')).result, '0x2');
+			assert.deepStrictEqual(sent, [
+				[0, 'eth_blockNumber'],
+				[1, 'eth_blockNumber'],
+				[1, 'eth_blockNumber'],
+			]);
+			assert.strictEqual(provider.endpoints[0].errors, 1);
+			// without the key in the URL
+			assert.strictEqual(
+				provider.endpoints[0].lastError,
+				'Invalid JSON RPC response from one.example'
+			);
+		});
+
+		it('retries an RPC that is rate limited, but not a call that reverts', async () => {
+			answers[0].push({ error: { code: -32005, message: 'limit exceeded' } });
+			answers[1].push({ error: { code: -32000, message: 'execution reverted' } });
+			const { error } = await request('eth_call');
+			assert.strictEqual(error.message, 'execution reverted');
+			assert.strictEqual(sent.length, 2);
+		});
+
+		it('sends a transaction once, as the first may have got through', async () => {
+			answers[0].push(Error('socket hang up'));
+			await assertRejects(request('eth_sendRawTransaction'), /socket hang up/);
+			assert.deepStrictEqual(sent, [[0, 'eth_sendRawTransaction']]);
+			// and later requests go to the next RPC
+			answers[1].push({ result: '0x1' });
+			await request('eth_chainId');
+			assert.deepStrictEqual(sent[1], [1, 'eth_chainId']);
+		});
+
+		it('spaces the requests out to the requests per second', async () => {
+			provider.interval = 1000 / 50;
+			answers[0].push({ result: '0x1' }, { result: '0x1' }, { result: '0x1' });
+			const start = Date.now();
+			await Promise.all([request('eth_chainId'), request('eth_chainId'), request('eth_chainId')]);
+			assert.ok(Date.now() - start >= 35);
+		});
+	});
+});
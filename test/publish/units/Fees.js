@@ -0,0 +1,173 @@
+'use strict';
+
+const assert = require('assert');
+const w3utils = require('web3-utils');
+
+const Fees = require('../../../publish/src/Fees');
+const { onEvent } = require('../../../publish/src/logger');
+
+const gwei = value => w3utils.toHex(w3utils.toWei(String(value), 'gwei'));
+
+// a node answering with the given results (or failing with those that are errors)
+const nodeAnswering = results => async (method, params) => {
+	const result = typeof results[method] === 'function' ? results[method](params) : results[method];
+	if (result instanceof Error) {
+		throw result;
+	}
+	return result;
+};
+
+describe('Fees', () => {
+	it('fails on a strategy it does not know, or without the price it needs', () => {
+		assert.throws(() => new Fees({ feeStrategy: 'cheap' }), /Unknown fee strategy cheap/);
+		assert.throws(() => new Fees({ feeStrategy: 'fixed' }), /provide the --gas-price/);
+		assert.throws(() => new Fees({ feeStrategy: 'capped' }), /provide the max gas price/);
+		assert.throws(() => new Fees({ feeStrategy: 'node:x' }), /Invalid multiplier/);
+	});
+
+	describe('getFeeFields', () => {
+		const send = nodeAnswering({
+			eth_gasPrice: gwei(10),
+			eth_maxPriorityFeePerGas: gwei(2),
+			eth_getBlockByNumber: { baseFeePerGas: gwei(5) },
+		});
+
+		it('prices at the gas price given for the fixed strategy', async () => {
+			assert.deepStrictEqual(await new Fees({ gasPrice: '3' }).getFeeFields(send), {
+				gasPrice: gwei(3),
+			});
+		});
+
+		it('prices at the gas price the node suggests, times the multiplier, up to the cap', async () => {
+			assert.deepStrictEqual(await new Fees({ feeStrategy: 'node:1.5' }).getFeeFields(send), {
+				gasPrice: gwei(15),
+			});
+			assert.deepStrictEqual(await new Fees({ feeStrategy: 'capped:12:1.5' }).getFeeFields(send), {
+				gasPrice: gwei(12),
+			});
+		});
+
+		it('allows for the base fee doubling under EIP-1559, up to the max fee', async () => {
+			assert.deepStrictEqual(await new Fees({ feeStrategy: 'eip1559' }).getFeeFields(send), {
+				maxFeePerGas: gwei(12),
+				maxPriorityFeePerGas: gwei(2),
+			});
+			assert.deepStrictEqual(await new Fees({ feeStrategy: 'eip1559:8:3' }).getFeeFields(send), {
+				maxFeePerGas: gwei(8),
+				maxPriorityFeePerGas: gwei(3),
+			});
+		});
+
+		it('falls back to the suggested gas price on a network without a base fee', async () => {
+			const fees = new Fees({ feeStrategy: 'eip1559:8' });
+			assert.deepStrictEqual(
+				await fees.getFeeFields(
+					nodeAnswering({ eth_gasPrice: gwei(10), eth_getBlockByNumber: {} })
+				),
+				{ gasPrice: gwei(8) }
+			);
+		});
+	});
+
+	describe('estimateGas', () => {
+		it('adds the margin to the estimate of the node', async () => {
+			const fees = new Fees({ gasPrice: '1', gasMargin: 1.5 });
+			assert.strictEqual(
+				await fees.estimateGas(nodeAnswering({ eth_estimateGas: '0x64' }), {}),
+				w3utils.toHex(150)
+			);
+		});
+
+		it('fails when the node cannot estimate the transaction', async () => {
+			const fees = new Fees({ gasPrice: '1' });
+			let error;
+			try {
+				await fees.estimateGas(nodeAnswering({ eth_estimateGas: Error('reverted') }), {});
+			} catch (err) {
+				error = err;
+			}
+			assert.ok(/it would likely fail: reverted/.test(error.message));
+		});
+	});
+
+	describe('mined', () => {
+		let events;
+		let stopListening;
+		let fees;
+
+		beforeEach(() => {
+			events = [];
+			stopListening = onEvent(event => event.event === 'transaction.mined' && events.push(event));
+			fees = new Fees({ gasPrice: '1' });
+		});
+
+		afterEach(() => {
+			stopListening();
+		});
+
+		const receipt = (hash, fields) =>
+			Object.assign(
+				{ transactionHash: hash, blockNumber: '0x10', status: '0x1', gasUsed: '0x64' },
+				fields
+			);
+
+		it('tallies the gas price of a legacy transaction, once', async () => {
+			fees.sent({ hash: '0x1', gasPrice: gwei(3) });
+			await fees.mined(receipt('0x1'));
+			await fees.mined(receipt('0x1'));
+			assert.deepStrictEqual(
+				events.map(({ hash, gasUsed, gasPrice, gasPriceUpperBound }) => ({
+					hash,
+					gasUsed,
+					gasPrice,
+					gasPriceUpperBound,
+				})),
+				[
+					{
+						hash: '0x1',
+						gasUsed: 100,
+						gasPrice: w3utils.toWei('3', 'gwei'),
+						gasPriceUpperBound: undefined,
+					},
+				]
+			);
+		});
+
+		it('ignores transactions it did not send', async () => {
+			await fees.mined(receipt('0x2'));
+			assert.deepStrictEqual(events, []);
+		});
+
+		it('takes the effective gas price of the receipt', async () => {
+			fees.sent({ hash: '0x1', maxFeePerGas: gwei(12), maxPriorityFeePerGas: gwei(2) });
+			await fees.mined(receipt('0x1', { effectiveGasPrice: gwei(6) }));
+			assert.strictEqual(events[0].gasPrice, w3utils.toWei('6', 'gwei'));
+		});
+
+		it('takes the base fee of the block plus the tip under EIP-1559, up to the max fee', async () => {
+			const send = nodeAnswering({
+				eth_getBlockByNumber: ([blockNumber]) => ({
+					baseFeePerGas: blockNumber === '0x10' ? gwei(5) : gwei(11),
+				}),
+			});
+			fees.sent({ hash: '0x1', maxFeePerGas: gwei(12), maxPriorityFeePerGas: gwei(2) });
+			fees.sent({ hash: '0x2', maxFeePerGas: gwei(12), maxPriorityFeePerGas: gwei(2) });
+			await fees.mined(receipt('0x1'), send);
+			await fees.mined(receipt('0x2', { blockNumber: '0x11' }), send);
+			assert.deepStrictEqual(
+				events.map(({ gasPrice, gasPriceUpperBound }) => ({ gasPrice, gasPriceUpperBound })),
+				[
+					{ gasPrice: w3utils.toWei('7', 'gwei'), gasPriceUpperBound: undefined },
+					{ gasPrice: w3utils.toWei('12', 'gwei'), gasPriceUpperBound: undefined },
+				]
+			);
+		});
+
+		it('takes the max fee as an upper bound when the block cannot be had', async () => {
+			fees.sent({ hash: '0x1', maxFeePerGas: gwei(12), maxPriorityFeePerGas: gwei(2) });
+			await fees.mined(receipt('0x1'), nodeAnswering({ eth_getBlockByNumber: Error('pruned') }));
+			assert.strictEqual(events[0].gasPrice, w3utils.toWei('12', 'gwei'));
+			assert.strictEqual(events[0].gasPriceUpperBound, true);
+		});
+	});
+});
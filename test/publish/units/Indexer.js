@@ -0,0 +1,238 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const rimraf = require('rimraf');
+const Web3 = require('web3');
+
+const Indexer = require('../../../publish/src/Indexer');
+
+const { abi } = new Web3().eth;
+
+const event = (name, inputs) => ({
+	type: 'event',
+	name,
+	anonymous: false,
+	inputs: inputs.map(([name, type, indexed = false]) => ({ name, type, indexed })),
+});
+
+const sources = {
+	Synth: {
+		abi: [
+			event('Issued', [
+				['account', 'address', true],
+				['value', 'uint256'],
+			]),
+			event('Burned', [
+				['account', 'address', true],
+				['value', 'uint256'],
+			]),
+		],
+	},
+	Proxy: { abi: [] },
+	FeePool: {
+		abi: [
+			event('FeesClaimed', [
+				['account', 'address'],
+				['oUSDAmount', 'uint256'],
+				['oksRewards', 'uint256'],
+			]),
+			event('IssuanceDebtRatioEntry', [
+				['account', 'address', true],
+				['debtRatio', 'uint256'],
+				['debtEntryIndex', 'uint256'],
+				['feePeriodStartingDebtIndex', 'uint256'],
+			]),
+		],
+	},
+};
+
+const address = n => `0x${String(n).repeat(40)}`;
+const targets = {
+	SynthoUSD: { source: 'Synth', address: address(1) },
+	ProxyoUSD: { source: 'Proxy', address: address(2) },
+	FeePool: { source: 'FeePool', address: address(3) },
+};
+
+const staker = address(5);
+const feeAddress = '0xfeEFEEfeefEeFeefEEFEEfEeFeefEEFeeFEEFEeF';
+
+describe('Indexer', () => {
+	let folder;
+	let chain;
+
+	// a chain of the given logs, each block with a hash that changes when it is reorganised
+	const web3 = {
+		eth: {
+			abi,
+			getBlockNumber: async () => chain.latest,
+			getBlock: async number =>
+				number <= chain.latest ? { number, hash: `0x${number}-${chain.forks[number] || 0}` } : null,
+			getPastLogs: async ({ fromBlock, toBlock, address, topics: [topics] }) =>
+				chain.logs.filter(
+					log =>
+						log.blockNumber >= fromBlock &&
+						log.blockNumber <= toBlock &&
+						address.find(entry => entry.toLowerCase() === log.address.toLowerCase()) &&
+						topics.includes(log.topics[0])
+				),
+		},
+	};
+
+	// a log emitted by the contract, with the topics and data of the values given for each input
+	const emit = (contract, name, values, { blockNumber, tx = `0x${blockNumber}` }) => {
+		const definition = sources[targets[contract].source].abi.find(entry => entry.name === name);
+		const inputs = definition.inputs.map((input, i) => Object.assign({ value: values[i] }, input));
+		const indexed = inputs.filter(({ indexed }) => indexed);
+		const unindexed = inputs.filter(({ indexed }) => !indexed);
+		chain.logs.push({
+			address: contract === 'SynthoUSD' ? targets.ProxyoUSD.address : targets[contract].address,
+			topics: [abi.encodeEventSignature(definition)].concat(
+				indexed.map(({ type, value }) => abi.encodeParameter(type, value))
+			),
+			data: abi.encodeParameters(
+				unindexed.map(({ type }) => type),
+				unindexed.map(({ value }) => value)
+			),
+			blockNumber,
+			transactionHash: tx,
+			logIndex: chain.logs.filter(log => log.blockNumber === blockNumber).length,
+		});
+	};
+
+	const create = options =>
+		new Indexer(
+			Object.assign(
+				{
+					network: 'testnet',
+					web3,
+					folder,
+					fromBlock: 1,
+					confirmations: 5,
+					pageSize: 10,
+					targets,
+					sources,
+				},
+				options
+			)
+		);
+
+	const values = records =>
+		records.map(({ event, returnValues: { value } }) => `${event} ${value}`);
+
+	beforeEach(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-'));
+		chain = { latest: 40, forks: {}, logs: [] };
+	});
+
+	afterEach(() => {
+		rimraf.sync(folder);
+	});
+
+	describe('the oUSD issued and burned', () => {
+		it('is only that of stakers, as followed by the issuance record of the staker', async () => {
+			// issuing
+			emit('SynthoUSD', 'Issued', [staker, 100], { blockNumber: 2 });
+			emit('FeePool', 'IssuanceDebtRatioEntry', [staker, 1, 1, 1], { blockNumber: 2 });
+			// exchanging from oUSD, with the fee minted
+			emit('SynthoUSD', 'Burned', [staker, 50], { blockNumber: 3 });
+			emit('SynthoUSD', 'Issued', [feeAddress, 1], { blockNumber: 3 });
+			// claiming fees
+			emit('SynthoUSD', 'Burned', [feeAddress, 2], { blockNumber: 4 });
+			emit('SynthoUSD', 'Issued', [staker, 2], { blockNumber: 4 });
+			emit('FeePool', 'FeesClaimed', [staker, 2, 0], { blockNumber: 4 });
+			// burning, after a reclaim on settling
+			emit('SynthoUSD', 'Burned', [staker, 3], { blockNumber: 5 });
+			emit('SynthoUSD', 'Burned', [staker, 40], { blockNumber: 5 });
+			emit('FeePool', 'IssuanceDebtRatioEntry', [staker, 1, 2, 1], { blockNumber: 5 });
+
+			const indexer = create();
+			await indexer.sync();
+			assert.deepStrictEqual(values(indexer.issuanceHistory(staker)), ['Issued 100', 'Burned 40']);
+			assert.deepStrictEqual(values(indexer.query('Issued')), ['Issued 100']);
+			assert.strictEqual(indexer.query('IssuanceDebtRatioEntry', { account: staker }).length, 2);
+			assert.strictEqual(indexer.feeClaims(staker).length, 1);
+		});
+
+		it('is only that of stakers when the synth is new to the deployment', async () => {
+			emit('SynthoUSD', 'Issued', [staker, 100], { blockNumber: 2 });
+			emit('FeePool', 'IssuanceDebtRatioEntry', [staker, 1, 1, 1], { blockNumber: 2 });
+			emit('SynthoUSD', 'Issued', [feeAddress, 1], { blockNumber: 3 });
+			const { SynthoUSD, ProxyoUSD, ...withoutSynth } = targets;
+			await create({ targets: withoutSynth }).sync();
+
+			const indexer = create();
+			await indexer.sync();
+			assert.deepStrictEqual(values(indexer.query('Issued')), ['Issued 100']);
+			// and the records of the other contracts are not indexed again
+			assert.strictEqual(indexer.query('IssuanceDebtRatioEntry').length, 1);
+		});
+	});
+
+	describe('sync', () => {
+		it('indexes up to the blocks with enough confirmations, from where it got to', async () => {
+			emit('FeePool', 'FeesClaimed', [staker, 1, 0], { blockNumber: 30 });
+			emit('FeePool', 'FeesClaimed', [staker, 2, 0], { blockNumber: 38 });
+			const indexer = create();
+			assert.deepStrictEqual(await indexer.sync(), { blockNumber: 35 });
+			assert.strictEqual(indexer.feeClaims(staker).length, 1);
+
+			chain.latest = 50;
+			const restarted = create();
+			assert.deepStrictEqual(await restarted.sync(), { blockNumber: 45 });
+			assert.deepStrictEqual(
+				restarted.feeClaims(staker).map(({ blockNumber }) => blockNumber),
+				[30, 38]
+			);
+			// the hash of the last block of each page
+			const { blocks } = restarted.loadCheckpoint();
+			assert.deepStrictEqual(
+				blocks.map(({ number }) => number),
+				[10, 20, 30, 35, 45]
+			);
+			assert.strictEqual(blocks[4].hash, '0x45-0');
+		});
+
+		it('indexes again what was after a reorganisation', async () => {
+			emit('FeePool', 'FeesClaimed', [staker, 1, 0], { blockNumber: 12 });
+			emit('FeePool', 'FeesClaimed', [staker, 2, 0], { blockNumber: 25 });
+			await create().sync();
+
+			// blocks from 24 are reorganised, with the claim now in block 26
+			chain.logs.pop();
+			emit('FeePool', 'FeesClaimed', [staker, 3, 0], { blockNumber: 26 });
+			for (let number = 24; number <= chain.latest; number++) {
+				chain.forks[number] = 1;
+			}
+			const indexer = create();
+			await indexer.sync();
+			assert.deepStrictEqual(
+				indexer
+					.feeClaims(staker)
+					.map(({ blockNumber, returnValues }) => [blockNumber, returnValues.oUSDAmount]),
+				[
+					[12, '1'],
+					[26, '3'],
+				]
+			);
+			assert.deepStrictEqual(
+				indexer.loadCheckpoint().blocks.map(({ number, hash }) => `${number} ${hash}`),
+				['10 0x10-0', '20 0x20-0', '30 0x30-1', '35 0x35-1']
+			);
+		});
+
+		it('indexes everything again when none of what it got to is on the chain anymore', async () => {
+			emit('FeePool', 'FeesClaimed', [staker, 1, 0], { blockNumber: 12 });
+			await create().sync();
+			for (let number = 1; number <= chain.latest; number++) {
+				chain.forks[number] = 1;
+			}
+			const indexer = create();
+			await indexer.sync();
+			assert.strictEqual(indexer.feeClaims(staker).length, 1);
+			assert.strictEqual(indexer.loadCheckpoint().blocks[0].hash, '0x10-1');
+		});
+	});
+});
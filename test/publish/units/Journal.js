@@ -0,0 +1,95 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const rimraf = require('rimraf');
+
+const Journal = require('../../../publish/src/Journal');
+
+describe('Journal', () => {
+	let folder;
+	let receipts;
+	let web3;
+
+	beforeEach(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+		receipts = {};
+		web3 = { eth: { getTransactionReceipt: async hash => receipts[hash] || null } };
+	});
+
+	afterEach(() => {
+		rimraf.sync(folder);
+	});
+
+	it('is written to a file of the run in the folder of the network', () => {
+		const journal = Journal.create({ folder, network: 'local', web3 });
+		assert.strictEqual(journal.file, path.join(folder, 'local', `journal-${journal.runId}.json`));
+		const { runId, network, entries } = JSON.parse(fs.readFileSync(journal.file));
+		assert.strictEqual(runId, journal.runId);
+		assert.strictEqual(network, 'local');
+		assert.deepStrictEqual(entries, {});
+	});
+
+	it('keys each time an action is taken apart', () => {
+		const journal = Journal.create({ folder, network: 'local', web3 });
+		assert.strictEqual(journal.nextKey('Issuer.setX(1)'), 'Issuer.setX(1)#1');
+		assert.strictEqual(journal.nextKey('Issuer.setY(1)'), 'Issuer.setY(1)#1');
+		assert.strictEqual(journal.nextKey('Issuer.setX(1)'), 'Issuer.setX(1)#2');
+	});
+
+	it('merges what is recorded of an entry and saves it', () => {
+		const journal = Journal.create({ folder, network: 'local', web3 });
+		journal.record('a#1', { status: 'sent', hash: '0x1' });
+		journal.record('a#1', { status: 'confirmed', blockNumber: 2 });
+		const { entries } = JSON.parse(fs.readFileSync(journal.file));
+		assert.strictEqual(entries['a#1'].hash, '0x1');
+		assert.strictEqual(entries['a#1'].status, 'confirmed');
+		assert.strictEqual(entries['a#1'].blockNumber, 2);
+	});
+
+	it('loads the run to resume, and fails for a run it cannot find', () => {
+		const journal = Journal.create({ folder, network: 'local', web3 });
+		journal.record('a#1', { status: 'sent', hash: '0x1' });
+		const loaded = Journal.load({ folder, network: 'local', runId: journal.runId, web3 });
+		assert.strictEqual(loaded.get('a#1').hash, '0x1');
+		assert.throws(
+			() => Journal.load({ folder, network: 'local', runId: 'missing', web3 }),
+			/Cannot find a journal for run "missing"/
+		);
+	});
+
+	describe('confirmedReceipt', () => {
+		let journal;
+		beforeEach(() => {
+			journal = Journal.create({ folder, network: 'local', web3 });
+		});
+
+		it('is undefined for an entry not sent, or not mined successfully', async () => {
+			journal.record('skipped#1', { status: 'skipped' });
+			journal.record('pending#1', { status: 'sent', hash: '0x1' });
+			journal.record('reverted#1', { status: 'sent', hash: '0x2' });
+			receipts['0x2'] = { status: false, blockNumber: 3 };
+			assert.strictEqual(await journal.confirmedReceipt('missing#1'), undefined);
+			assert.strictEqual(await journal.confirmedReceipt('skipped#1'), undefined);
+			assert.strictEqual(await journal.confirmedReceipt('pending#1'), undefined);
+			assert.strictEqual(await journal.confirmedReceipt('reverted#1'), undefined);
+		});
+
+		it('confirms an entry sent before the run was interrupted once mined', async () => {
+			journal.record('deploy:A', { status: 'sent', hash: '0x1' });
+			receipts['0x1'] = { status: true, blockNumber: 3, contractAddress: '0xa' };
+			assert.strictEqual(await journal.confirmedReceipt('deploy:A'), receipts['0x1']);
+			const { status, blockNumber, address } = journal.get('deploy:A');
+			assert.deepStrictEqual(
+				{ status, blockNumber, address },
+				{
+					status: 'confirmed',
+					blockNumber: 3,
+					address: '0xa',
+				}
+			);
+		});
+	});
+});
@@ -0,0 +1,240 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const rimraf = require('rimraf');
+const w3utils = require('web3-utils');
+
+const Fees = require('../../../publish/src/Fees');
+const NonceManager = require('../../../publish/src/NonceManager');
+
+const account = `0x${'aa'.repeat(20)}`;
+const gwei = value => w3utils.toHex(w3utils.toWei(String(value), 'gwei'));
+
+describe('NonceManager', () => {
+	let folder;
+	let pendingFolder;
+	let node;
+	let broadcasts;
+
+	// a node with the given transaction counts, transactions and receipts
+	const request = async (method, params) => {
+		if (method === 'eth_chainId') {
+			return '0x61';
+		} else if (method === 'eth_getTransactionCount') {
+			return w3utils.toHex(node.counts[params[1]]);
+		} else if (method === 'eth_getTransactionByHash') {
+			return node.known.includes(params[0]) ? { hash: params[0] } : null;
+		} else if (method === 'eth_sendRawTransaction') {
+			node.resent.push(params[0]);
+			return '0xresent';
+		} else if (method === 'eth_getTransactionReceipt') {
+			return node.receipts[params[0]] || null;
+		}
+		throw Error(`Unexpected ${method}`);
+	};
+
+	const broadcast = async tx => {
+		broadcasts.push(tx);
+		return { hash: `0xreplacement${broadcasts.length}`, raw: `0xraw${broadcasts.length}` };
+	};
+
+	const create = options =>
+		new NonceManager(
+			Object.assign(
+				{ account, request, broadcast, fees: new Fees({ gasPrice: '2' }), stuck: 'wait' },
+				options
+			)
+		);
+
+	// send a transaction with the next nonce, as the signing provider would
+	const send = async (nonces, tx = { to: account, gasPrice: gwei(1) }) => {
+		const nonce = await nonces.next();
+		nonces.sent({ nonce, hash: `0xsent${nonce}`, raw: `0xraw${nonce}`, tx });
+		return nonce;
+	};
+
+	// make the transaction with the nonce stuck
+	const stick = (nonces, nonce) => {
+		nonces.pending[nonce].sentAt = Date.now() - 3600e3;
+	};
+
+	const storedFile = () => path.join(folder, `97-${account}.json`);
+
+	beforeEach(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'nonces-'));
+		({ pendingFolder } = NonceManager.DEFAULTS);
+		NonceManager.DEFAULTS.pendingFolder = folder;
+		node = { counts: { latest: 3, pending: 3 }, known: [], resent: [], receipts: {} };
+		broadcasts = [];
+	});
+
+	afterEach(() => {
+		NonceManager.DEFAULTS.pendingFolder = pendingFolder;
+		rimraf.sync(folder);
+	});
+
+	it('fails on an action it does not know', () => {
+		assert.throws(() => create({ stuck: 'retry' }), /Unknown stuck transaction action retry/);
+		assert.throws(() => create({ stuck: 'wait:soon' }), /Unknown stuck transaction action/);
+	});
+
+	describe('next', () => {
+		it('hands out the nonces after those the node has pending, or the one given', async () => {
+			const nonces = create();
+			assert.strictEqual(await nonces.next(), 3);
+			assert.strictEqual(await nonces.next(), 4);
+			assert.strictEqual(await nonces.next(9), 9);
+			assert.strictEqual(await nonces.next(), 10);
+		});
+
+		it('continues after what another script sent from the account', async () => {
+			const nonces = create();
+			assert.strictEqual(await nonces.next(), 3);
+			node.counts.pending = 7;
+			assert.strictEqual(await nonces.next(), 7);
+		});
+
+		it('continues after the nonces used that the node does not know of', async () => {
+			assert.strictEqual(await create({ used: [3, 5] }).next(), 6);
+		});
+
+		it('hands out again the nonces released, lowest first', async () => {
+			const nonces = create();
+			await nonces.next();
+			await nonces.next();
+			await nonces.next();
+			nonces.release(5);
+			nonces.release(4);
+			assert.strictEqual(await nonces.next(), 4);
+			assert.strictEqual(await nonces.next(), 5);
+			assert.strictEqual(await nonces.next(), 6);
+		});
+	});
+
+	describe('what is in flight', () => {
+		it('is kept in a file of the chain and account', async () => {
+			const nonces = create();
+			await send(nonces);
+			const stored = JSON.parse(fs.readFileSync(storedFile()));
+			assert.deepStrictEqual(stored[3].hashes, ['0xsent3']);
+			assert.strictEqual(stored[3].raw, '0xraw3');
+		});
+
+		it('is resent by the next run when dropped, and continued after', async () => {
+			const nonces = create();
+			await send(nonces);
+			await send(nonces);
+			await send(nonces);
+			// the first is mined, the second is still known and the third was dropped
+			node.counts = { latest: 4, pending: 4 };
+			node.known = ['0xsent4'];
+
+			const restarted = create();
+			assert.strictEqual(await restarted.next(), 6);
+			assert.deepStrictEqual(node.resent, ['0xraw5']);
+			assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(storedFile()))), ['4', '5']);
+		});
+
+		it('is forgotten once mined', async () => {
+			const nonces = create();
+			await send(nonces);
+			node.receipts['0xsent3'] = { transactionHash: '0xsent3', status: '0x1' };
+			assert.strictEqual(await nonces.receipt('0xsent3'), node.receipts['0xsent3']);
+			assert.deepStrictEqual(JSON.parse(fs.readFileSync(storedFile())), {});
+		});
+	});
+
+	describe('stuck transactions', () => {
+		it('are left alone until they have waited long enough', async () => {
+			const nonces = create({ stuck: 'speed-up' });
+			await send(nonces);
+			assert.strictEqual(await nonces.receipt('0xsent3'), null);
+			assert.deepStrictEqual(broadcasts, []);
+		});
+
+		it('are sped up with higher fees, the receipt being that of the replacement', async () => {
+			const nonces = create({ stuck: 'speed-up' });
+			await send(nonces, { to: account, data: '0x12', gasPrice: gwei(1) });
+			await send(nonces, { to: account, data: '0x34', gasPrice: gwei(4) });
+			stick(nonces, 3);
+			stick(nonces, 4);
+
+			assert.strictEqual(await nonces.receipt('0xsent4'), null);
+			// the earliest first, each at least the current fees and 25% more than it had
+			assert.deepStrictEqual(broadcasts, [
+				{ to: account, data: '0x12', gasPrice: gwei(2), nonce: 3 },
+				{ to: account, data: '0x34', gasPrice: gwei(5), nonce: 4 },
+			]);
+
+			node.receipts['0xreplacement1'] = { transactionHash: '0xreplacement1', status: '0x1' };
+			assert.strictEqual(await nonces.receipt('0xsent3'), node.receipts['0xreplacement1']);
+		});
+
+		it('are replaced with an empty transaction when cancelled', async () => {
+			const nonces = create({ stuck: 'cancel' });
+			await send(nonces, { to: `0x${'bb'.repeat(20)}`, data: '0x12', gasPrice: gwei(4) });
+			stick(nonces, 3);
+
+			assert.strictEqual(await nonces.receipt('0xsent3'), null);
+			assert.deepStrictEqual(broadcasts, [
+				{
+					from: account,
+					to: account,
+					value: '0x0',
+					data: '0x',
+					gas: '0x5208',
+					gasPrice: gwei(5),
+					nonce: 3,
+				},
+			]);
+
+			node.receipts['0xreplacement1'] = {
+				transactionHash: '0xreplacement1',
+				status: '0x1',
+				gasUsed: '0x5208',
+			};
+			let error;
+			try {
+				await nonces.receipt('0xsent3');
+			} catch (err) {
+				error = err;
+			}
+			assert.ok(/0xsent3 was cancelled by 0xreplacement1/.test(error.message));
+		});
+
+		it('are waited on', async () => {
+			const nonces = create({ stuck: 'wait:1' });
+			await send(nonces);
+			stick(nonces, 3);
+			assert.strictEqual(await nonces.receipt('0xsent3'), null);
+			assert.deepStrictEqual(broadcasts, []);
+			// and stuck again only after waiting as long again
+			assert.ok(Date.now() - nonces.pending[3].sentAt < 1000);
+		});
+
+		it('are sped up rather than prompted for when told not to prompt', async () => {
+			const nonces = create({ stuck: 'prompt:1', yes: true });
+			assert.strictEqual(nonces.action, 'speed-up');
+			await send(nonces);
+			stick(nonces, 3);
+			await nonces.receipt('0xsent3');
+			assert.strictEqual(broadcasts.length, 1);
+		});
+
+		it('are sped up rather than prompted for in CI', () => {
+			const { CI } = process.env;
+			process.env.CI = 'true';
+			try {
+				assert.strictEqual(create({ stuck: 'prompt' }).action, 'speed-up');
+			} finally {
+				process.env.CI = CI;
+				if (CI === undefined) {
+					delete process.env.CI;
+				}
+			}
+		});
+	});
+});
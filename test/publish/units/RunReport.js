@@ -0,0 +1,134 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const rimraf = require('rimraf');
+const w3utils = require('web3-utils');
+
+const RunReport = require('../../../publish/src/RunReport');
+const { logEvent } = require('../../../publish/src/logger');
+
+const gwei = value => w3utils.toWei(String(value), 'gwei');
+
+describe('RunReport', () => {
+	let folder;
+	let defaultFolder;
+	let report;
+
+	const create = options =>
+		RunReport.create(
+			Object.assign(
+				{
+					runId: 'run',
+					network: 'testnet',
+					chainId: 97,
+					etherscanLinkPrefix: 'https://testnet.bscscan.com',
+					parameters: { issuanceRatio: '\u001b[33m0.2\u001b[39m\n' },
+				},
+				options
+			)
+		);
+
+	const read = () => JSON.parse(fs.readFileSync(report.jsonFile));
+
+	beforeEach(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+		({ folder: defaultFolder } = RunReport.DEFAULTS);
+		RunReport.DEFAULTS.folder = folder;
+	});
+
+	afterEach(() => {
+		report.complete();
+		RunReport.DEFAULTS.folder = defaultFolder;
+		rimraf.sync(folder);
+	});
+
+	it('is written to a folder for the network in the build folder, unless given one', async () => {
+		report = await create();
+		assert.strictEqual(report.jsonFile, path.join(folder, 'testnet', 'report-run.json'));
+		assert.ok(fs.existsSync(path.join(folder, 'testnet', 'report-run.md')));
+		report.complete();
+
+		report = await create({ folder: path.join(folder, 'release'), dryRun: true });
+		assert.strictEqual(report.jsonFile, path.join(folder, 'release', 'report-run-dry-run.json'));
+		assert.strictEqual(read().dryRun, true);
+	});
+
+	it('keeps the parameters without their colors', async () => {
+		report = await create();
+		assert.deepStrictEqual(read().parameters, { issuanceRatio: '0.2' });
+	});
+
+	it('records the outcome of each step, and the gas and cost of its transaction', async () => {
+		report = await create();
+		logEvent('step.started', { step: 'Oikos.setIssuer' });
+		logEvent('step.completed', { step: 'Oikos.setIssuer', hash: '0x1', gasUsed: 100 });
+		logEvent('transaction.mined', { hash: '0x1', gasUsed: 100, gasPrice: gwei(5) });
+		logEvent('step.started', { step: 'FeePool.setIssuer' });
+		logEvent('step.skipped', { step: 'FeePool.setIssuer', reason: 'nothing required' });
+		logEvent('step.started', { step: 'Issuer.addSynth' });
+		logEvent('step.failed', { step: 'Issuer.addSynth', error: 'reverted' });
+		logEvent('step.started', { step: 'Oikos.setOwner' });
+		logEvent('step.completed', { step: 'Oikos.setOwner', ownerAction: true });
+		logEvent('owner-action.appended', {
+			key: 'Oikos.setOwner',
+			target: '0x2',
+			action: 'setOwner',
+			data: '0x12',
+		});
+		report.complete();
+
+		const { steps, ownerActions, totals, outcome } = read();
+		assert.deepStrictEqual(steps, [
+			{
+				step: 'Oikos.setIssuer',
+				outcome: 'completed',
+				hash: '0x1',
+				gasUsed: 100,
+				cost: '0.0000005',
+			},
+			{ step: 'FeePool.setIssuer', outcome: 'skipped', reason: 'nothing required' },
+			{ step: 'Issuer.addSynth', outcome: 'failed', error: 'reverted' },
+			{ step: 'Oikos.setOwner', outcome: 'owner action' },
+		]);
+		assert.deepStrictEqual(ownerActions, [
+			{ key: 'Oikos.setOwner', target: '0x2', action: 'setOwner', data: '0x12' },
+		]);
+		assert.deepStrictEqual(totals, { transactions: 1, gasUsed: 100, cost: '0.0000005' });
+		assert.strictEqual(outcome, 'completed');
+	});
+
+	it('shows the cost as at most what it could be, when the price paid is not known', async () => {
+		report = await create();
+		logEvent('step.started', { step: 'Oikos.setIssuer' });
+		logEvent('step.completed', { step: 'Oikos.setIssuer', hash: '0x1', gasUsed: 100 });
+		logEvent('transaction.mined', {
+			hash: '0x1',
+			gasUsed: 100,
+			gasPrice: gwei(5),
+			gasPriceUpperBound: true,
+		});
+
+		const { steps, totals } = read();
+		assert.strictEqual(steps[0].costUpperBound, true);
+		assert.strictEqual(totals.costUpperBound, true);
+		const markdown = fs.readFileSync(report.markdownFile).toString();
+		assert.ok(markdown.includes('| BNB spent | at most 0.0000005 |'));
+		assert.ok(
+			markdown.includes(
+				'| Oikos.setIssuer | completed | [0x1](https://testnet.bscscan.com/tx/0x1) | 100 | at most 0.0000005 |'
+			)
+		);
+	});
+
+	it('stops recording once complete, and is incomplete until then', async () => {
+		report = await create();
+		assert.strictEqual(read().outcome, 'incomplete');
+		report.complete({ outcome: 'failed' });
+		logEvent('step.started', { step: 'Oikos.setIssuer' });
+		assert.deepStrictEqual(read().steps, []);
+		assert.strictEqual(read().outcome, 'failed');
+	});
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const assert = require('assert');
+
+const { compareBytecode } = require('../../../publish/src/bytecode');
+
+describe('bytecode', () => {
+	describe('compareBytecode', () => {
+		const constructor = '6080604052';
+		const runtime = '6080604052348015600f57600080fd5b50';
+		const address = 'ab'.repeat(20);
+
+		it('matches the code at the address with the end of the creation bytecode', () => {
+			const { deployedHash, expectedHash, matches } = compareBytecode({
+				code: `0x${runtime}`,
+				bytecode: `0x${constructor}${runtime}`,
+			});
+			assert.ok(matches);
+			assert.strictEqual(deployedHash, expectedHash);
+		});
+
+		it('does not match other code, or no code at all', () => {
+			assert.ok(
+				!compareBytecode({
+					code: `0x${runtime.replace('fd', 'fe')}`,
+					bytecode: `0x${constructor}${runtime}`,
+				}).matches
+			);
+			assert.deepStrictEqual(compareBytecode({ code: '0x', bytecode: `0x${runtime}` }), {
+				deployedHash: null,
+				expectedHash: null,
+				matches: false,
+			});
+		});
+
+		it('does not match code longer than the bytecode', () => {
+			const { expectedHash, matches } = compareBytecode({
+				code: `0x${runtime}00`,
+				bytecode: `0x${runtime}`,
+			});
+			assert.strictEqual(expectedHash, null);
+			assert.ok(!matches);
+		});
+
+		it('ignores the addresses of linked libraries', () => {
+			const placeholder = `__${'$'.repeat(36)}__`;
+			assert.ok(
+				compareBytecode({
+					code: `0x${runtime}73${address}${runtime}`,
+					bytecode: `0x${constructor}${runtime}73${placeholder}${runtime}`,
+				}).matches
+			);
+		});
+
+		it('ignores the address a library is deployed at', () => {
+			assert.ok(
+				compareBytecode({
+					code: `0x73${address}${runtime}`,
+					bytecode: `0x${constructor}73${'0'.repeat(40)}${runtime}`,
+				}).matches
+			);
+		});
+
+		it('ignores immutables, but nothing else', () => {
+			const immutable = '11'.repeat(32);
+			const code = `0x${runtime}${immutable}${runtime}`;
+			const bytecode = `0x${constructor}${runtime}${'00'.repeat(32)}${runtime}`;
+			const immutableReferences = { 3: [{ start: runtime.length / 2, length: 32 }] };
+			assert.ok(compareBytecode({ code, bytecode, immutableReferences }).matches);
+			assert.ok(!compareBytecode({ code, bytecode }).matches);
+		});
+	});
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const assert = require('assert');
+const w3utils = require('web3-utils');
+
+const { toBytes32 } = require('../../..');
+const {
+	deviationOf,
+	inspectDebtCache,
+	maintainDebtCache,
+} = require('../../../publish/src/debt-cache');
+
+const wei = value => w3utils.toWei(String(value));
+
+describe('debt-cache', () => {
+	describe('deviationOf', () => {
+		it('is how far the current debt is from the cached one, as a fraction of it', () => {
+			assert.strictEqual(deviationOf(wei(100), wei(101)), 0.01);
+			assert.strictEqual(deviationOf(wei(100), wei(95)), -0.05);
+			assert.strictEqual(deviationOf(wei(100), wei(100)), 0);
+		});
+
+		it('is none when there was and is no debt, and infinite when there was none', () => {
+			assert.strictEqual(deviationOf('0', '0'), 0);
+			assert.strictEqual(deviationOf('0', wei(1)), Infinity);
+			assert.strictEqual(deviationOf(wei(1), '0'), -1);
+		});
+	});
+
+	describe('maintainDebtCache', () => {
+		const fresh = { isStale: false, isInvalid: false, anyRateIsInvalid: false, deviation: 0 };
+		let sent;
+		const send = async step => sent.push(step);
+
+		beforeEach(() => {
+			sent = [];
+		});
+
+		const maintain = (state, options) =>
+			maintainDebtCache(Object.assign({ send, state: Object.assign({}, fresh, state) }, options));
+
+		it('leaves a cache that is up to date, or that cannot be refreshed', async () => {
+			assert.strictEqual((await maintain({ deviation: -0.0099 })).reason, undefined);
+			assert.strictEqual(
+				(await maintain({ anyRateIsInvalid: true, isInvalid: true })).reason,
+				undefined
+			);
+			assert.deepStrictEqual(sent, []);
+		});
+
+		it('takes a snapshot when stale, invalid, or to invalidate it', async () => {
+			const reasons = [];
+			for (const state of [{ isStale: true }, { isInvalid: true }, { anyRateIsInvalid: true }]) {
+				const { reason, refreshed } = await maintain(state, { currencyKeys: ['oBTC'] });
+				reasons.push(reason);
+				assert.strictEqual(refreshed, 'takeDebtSnapshot');
+			}
+			assert.deepStrictEqual(reasons, ['stale', 'invalid', 'rates are invalid']);
+			assert.deepStrictEqual(sent[0], {
+				write: 'takeDebtSnapshot',
+				writeArg: [],
+				gasLimit: 2.5e6,
+			});
+		});
+
+		it('updates the synths given when too far either way, or takes a snapshot', async () => {
+			const { reason, refreshed } = await maintain(
+				{ deviation: -0.02 },
+				{ currencyKeys: ['oBTC', 'oETH'] }
+			);
+			assert.strictEqual(reason, 'deviation of -2.00%');
+			assert.strictEqual(refreshed, 'updateCachedSynthDebts');
+			assert.deepStrictEqual(sent[0].writeArg, [[toBytes32('oBTC'), toBytes32('oETH')]]);
+
+			assert.strictEqual(
+				(await maintain({ deviation: 0.05 }, { maxDeviation: 0.1 })).reason,
+				undefined
+			);
+			assert.strictEqual((await maintain({ deviation: Infinity })).refreshed, 'takeDebtSnapshot');
+		});
+	});
+
+	describe('inspectDebtCache', () => {
+		it('reads the deviation of the debt and of each synth', async () => {
+			const call = result => ({ call: async () => result });
+			const currencyKeys = [toBytes32('oUSD'), toBytes32('oBTC')];
+			const debtCache = {
+				methods: {
+					cacheInfo: () =>
+						call({ debt: wei(200), timestamp: '10', isInvalid: false, isStale: true }),
+					currentDebt: () => call({ debt: wei(210), anyRateIsInvalid: false }),
+					cachedSynthDebts: () => call([wei(100), wei(100)]),
+					currentSynthDebts: () => call({ debtValues: [wei(100), wei(110)] }),
+				},
+			};
+			const issuer = { methods: { availableCurrencyKeys: () => call(currencyKeys) } };
+
+			const state = await inspectDebtCache({ debtCache, issuer });
+			assert.strictEqual(state.deviation, 0.05);
+			assert.strictEqual(state.isStale, true);
+			assert.deepStrictEqual(
+				state.synths.map(({ currencyKey, deviation }) => [currencyKey, deviation]),
+				[
+					['oUSD', 0],
+					['oBTC', 0.1],
+				]
+			);
+		});
+	});
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const rimraf = require('rimraf');
+
+const { configureLogger, logEvent, onEvent, stripColors } = require('../../../publish/src/logger');
+
+describe('logger', () => {
+	describe('stripColors', () => {
+		it('removes the codes of the colors, and nothing else', () => {
+			assert.strictEqual(
+				stripColors('\u001b[31mFailed\u001b[39m [step] \u001b[1;33m5\u001b[0m'),
+				'Failed [step] 5'
+			);
+			assert.strictEqual(stripColors(42), '42');
+		});
+	});
+
+	describe('onEvent', () => {
+		it('calls the listener with each event, logged or not, until stopped', () => {
+			const events = [];
+			const stopListening = onEvent(event => events.push(event));
+			logEvent('transaction.sent', { hash: '0x1' });
+			stopListening();
+			logEvent('transaction.sent', { hash: '0x2' });
+			assert.deepStrictEqual(events, [{ event: 'transaction.sent', hash: '0x1' }]);
+		});
+	});
+
+	describe('with a log file', () => {
+		let folder;
+		let logFile;
+		let error;
+
+		const logged = () =>
+			fs
+				.readFileSync(logFile)
+				.toString()
+				.split('\n')
+				.filter(line => line)
+				.map(line => JSON.parse(line));
+
+		beforeEach(() => {
+			folder = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+			logFile = path.join(folder, 'events.jsonl');
+			// keep the errors of the tests out of their output
+			({ error } = console);
+			console.error = () => {};
+		});
+
+		afterEach(() => {
+			configureLogger({ logFile: null });
+			console.error = error;
+			rimraf.sync(folder);
+		});
+
+		it('logs each error with the step under way, started before logging or not', () => {
+			logEvent('step.started', { step: 'Oikos.setIssuer' });
+			configureLogger({ logFile });
+			console.error('Could not set the issuer');
+			const [{ event, message, step }] = logged();
+			assert.deepStrictEqual(
+				{ event, message, step },
+				{
+					event: 'error',
+					message: 'Could not set the issuer',
+					step: 'Oikos.setIssuer',
+				}
+			);
+		});
+
+		it('logs no step for an error after the step ended', () => {
+			configureLogger({ logFile });
+			for (const end of ['step.completed', 'step.skipped', 'step.failed']) {
+				logEvent('step.started', { step: 'Oikos.setIssuer' });
+				logEvent(end, { step: 'Oikos.setIssuer' });
+				console.error(`After ${end}`);
+			}
+			assert.deepStrictEqual(
+				logged()
+					.filter(({ event }) => event === 'error')
+					.map(({ step }) => step),
+				[undefined, undefined, undefined]
+			);
+		});
+	});
+});
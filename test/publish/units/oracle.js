@@ -0,0 +1,37 @@
+'use strict';
+
+const assert = require('assert');
+const w3utils = require('web3-utils');
+
+const { deviationOf, invert } = require('../../../publish/src/commands/oracle');
+
+const wei = value => w3utils.toWei(String(value));
+
+describe('oracle', () => {
+	describe('deviationOf', () => {
+		it('is how far the new rate is from the rate on chain either way, as a fraction of it', () => {
+			assert.strictEqual(deviationOf(wei(100), wei(101)), 0.01);
+			assert.strictEqual(deviationOf(wei(100), wei(98)), 0.02);
+			assert.strictEqual(deviationOf(wei(100), wei(100)), 0);
+		});
+
+		it('is infinite when there is no rate on chain', () => {
+			assert.strictEqual(deviationOf('0', wei(1)), Infinity);
+		});
+	});
+
+	describe('invert', () => {
+		const inverse = { entryPoint: wei(100), upperLimit: wei(150), lowerLimit: wei(50) };
+
+		it('mirrors the price about the entry point', () => {
+			assert.strictEqual(invert(wei(90), inverse).toString(), wei(110));
+			assert.strictEqual(invert(wei(120), inverse).toString(), wei(80));
+		});
+
+		it('keeps within the limits', () => {
+			assert.strictEqual(invert(wei(40), inverse).toString(), wei(150));
+			assert.strictEqual(invert(wei(160), inverse).toString(), wei(50));
+			assert.strictEqual(invert(wei(250), inverse).toString(), wei(50));
+		});
+	});
+});
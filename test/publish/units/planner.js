@@ -0,0 +1,344 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const rimraf = require('rimraf');
+const w3utils = require('web3-utils');
+
+const { toBytes32 } = require('../../..');
+const {
+	mergePlan,
+	loadPlan,
+	getReferences,
+	resolveValue,
+	sortPlan,
+	importAddresses,
+	runPlan,
+} = require('../../../publish/src/planner');
+
+const addressOf = name => `0x${name}`;
+
+// a deployed contract, with the resolver entries it returns and whether it has a setResolver
+const contractAt = ({ address, resolverEntries = {}, hasResolver = false }) => ({
+	options: {
+		address,
+		jsonInterface: hasResolver ? [{ name: 'setResolver' }] : [],
+	},
+	methods: {
+		getAddress: key => ({ call: async () => resolverEntries[key] || '0x' }),
+	},
+});
+
+describe('planner', () => {
+	describe('getReferences', () => {
+		it('finds each "@Name" in strings, arrays and objects, but not in conversions', () => {
+			assert.deepStrictEqual(
+				getReferences(['@A', '$account', 'B', ['@C'], { a: '@D' }, { bytes32: '@E' }]),
+				['A', 'C', 'D']
+			);
+		});
+	});
+
+	describe('resolveValue', () => {
+		const variables = { account: '0xaccount' };
+		const resolve = value => resolveValue({ value, variables, addressOf });
+
+		it('resolves contracts, variables and conversions, in arrays too', () => {
+			assert.deepStrictEqual(resolve(['@Issuer', '$account', { bytes32: 'OKS' }, { wei: 0.5 }]), [
+				'0xIssuer',
+				'0xaccount',
+				toBytes32('OKS'),
+				w3utils.toWei('0.5'),
+			]);
+		});
+
+		it('leaves anything else as it is', () => {
+			assert.deepStrictEqual(resolve([1, 'name', true, null]), [1, 'name', true, null]);
+		});
+
+		it('fails on an unknown variable', () => {
+			assert.throws(() => resolve('$missing'), /Unknown variable "\$missing"/);
+		});
+	});
+
+	describe('sortPlan', () => {
+		const namesOf = entries => sortPlan(entries).map(({ name }) => name);
+
+		it('keeps the order given when nothing depends on what comes later', () => {
+			assert.deepStrictEqual(namesOf([{ name: 'A' }, { name: 'B', deps: ['A'] }, { name: 'C' }]), [
+				'A',
+				'B',
+				'C',
+			]);
+		});
+
+		it('moves an entry after its deps and the contracts in its args', () => {
+			assert.deepStrictEqual(
+				namesOf([
+					{ name: 'A', deps: ['C'] },
+					{ name: 'B', args: ['$account', ['@D']] },
+					{ name: 'C' },
+					{ name: 'D' },
+				]),
+				['C', 'A', 'D', 'B']
+			);
+		});
+
+		it('ignores references to itself and to contracts not in the plan', () => {
+			assert.deepStrictEqual(namesOf([{ name: 'A', deps: ['A', 'Elsewhere'] }, { name: 'B' }]), [
+				'A',
+				'B',
+			]);
+		});
+
+		it('fails on duplicates and circular dependencies', () => {
+			assert.throws(() => sortPlan([{ name: 'A' }, { name: 'A' }]), /duplicate entries: A/);
+			assert.throws(
+				() => sortPlan([{ name: 'A', deps: ['B'] }, { name: 'B', args: ['@A'] }, { name: 'C' }]),
+				/circular dependencies between: A, B/
+			);
+		});
+	});
+
+	describe('mergePlan', () => {
+		const defaults = {
+			contracts: [{ name: 'A' }, { name: 'B', args: ['@A'] }],
+			imports: [{ A: '@A' }],
+		};
+
+		it('is the default plan when the network has none', () => {
+			assert.deepStrictEqual(mergePlan(defaults), defaults);
+		});
+
+		it('replaces the entries of the same name in place, adds the others and their imports', () => {
+			assert.deepStrictEqual(
+				mergePlan(defaults, {
+					contracts: [{ name: 'C' }, { name: 'A', args: ['$account'] }],
+					imports: [{ X: '0x1' }],
+				}),
+				{
+					contracts: [
+						{ name: 'A', args: ['$account'] },
+						{ name: 'B', args: ['@A'] },
+						{ name: 'C' },
+					],
+					imports: [{ A: '@A' }, { X: '0x1' }],
+				}
+			);
+		});
+	});
+
+	describe('loadPlan', () => {
+		let folder;
+		let defaultPlanFile;
+		beforeEach(() => {
+			folder = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-'));
+			defaultPlanFile = path.join(folder, 'default.json');
+			fs.writeFileSync(defaultPlanFile, JSON.stringify({ contracts: [{ name: 'A' }] }));
+		});
+		afterEach(() => {
+			rimraf.sync(folder);
+		});
+
+		it('merges the plan of the deployment folder, if any, into the default plan', () => {
+			assert.deepStrictEqual(loadPlan({ deploymentPath: folder, defaultPlanFile }), {
+				contracts: [{ name: 'A' }],
+				imports: [],
+			});
+			fs.writeFileSync(path.join(folder, 'plan.json'), JSON.stringify({ imports: [{ A: '@A' }] }));
+			assert.deepStrictEqual(loadPlan({ deploymentPath: folder, defaultPlanFile }), {
+				contracts: [{ name: 'A' }],
+				imports: [{ A: '@A' }],
+			});
+		});
+
+		it('reads the plan of each network', () => {
+			['bsc', 'local', 'testnet'].forEach(network => {
+				const { contracts } = loadPlan({
+					deploymentPath: path.join(__dirname, '..', '..', '..', 'publish', 'deployed', network),
+				});
+				assert.ok(sortPlan(contracts).length > 0);
+			});
+		});
+
+		it('imports the auto traders and the oUSD collateral on every network', () => {
+			['bsc', 'local', 'testnet'].forEach(network => {
+				const { imports } = loadPlan({
+					deploymentPath: path.join(__dirname, '..', '..', '..', 'publish', 'deployed', network),
+				});
+				const imported = Object.assign({}, ...imports);
+				assert.strictEqual(imported.EtherCollateraloUSD, '@VBNBCollateraloUSD', network);
+				assert.strictEqual(
+					imported.AutoTrader,
+					'0xbFf2afd145A575255782ff4473084341c4Fb9B1B',
+					network
+				);
+				assert.strictEqual(
+					imported.AutoTraderC,
+					'0x3c76f22afd0779119e29df0faab0fb17f7c177c7',
+					network
+				);
+			});
+		});
+	});
+
+	describe('importAddresses', () => {
+		it('imports only the addresses missing or wrong, then sets the resolvers', async () => {
+			const steps = [];
+			const deployedContracts = {
+				AddressResolver: contractAt({
+					address: '0xresolver',
+					resolverEntries: { [toBytes32('A')]: '0xA', [toBytes32('B')]: '0xold' },
+				}),
+				C: contractAt({ address: '0xC', hasResolver: true }),
+			};
+			await importAddresses({
+				addresses: [
+					{ name: 'A', address: '0xa' },
+					{ name: 'B', address: '0xB' },
+					{ name: 'C', address: '0xC' },
+				],
+				deployedContracts,
+				runStep: async step => steps.push(step),
+			});
+			assert.deepStrictEqual(
+				steps.map(({ contract, write, writeArg }) => ({ contract, write, writeArg })),
+				[
+					{
+						contract: 'AddressResolver',
+						write: 'importAddresses',
+						writeArg: [
+							[toBytes32('B'), toBytes32('C')],
+							['0xB', '0xC'],
+						],
+					},
+					{ contract: 'C', write: 'setResolver', writeArg: '0xresolver' },
+				]
+			);
+			assert.ok(steps[1].expected('0xresolver'));
+		});
+
+		it('sends nothing when the resolver has every address', async () => {
+			const steps = [];
+			await importAddresses({
+				addresses: [{ name: 'A', address: '0xA' }],
+				deployedContracts: {
+					AddressResolver: contractAt({
+						address: '0xresolver',
+						resolverEntries: { [toBytes32('A')]: '0xa' },
+					}),
+				},
+				runStep: async step => steps.push(step),
+			});
+			assert.deepStrictEqual(steps, []);
+		});
+	});
+
+	describe('runPlan', () => {
+		let deployed;
+		let steps;
+		let deployedContracts;
+
+		const run = ({ plan, config = {}, skip = [] }) =>
+			runPlan({
+				plan,
+				config,
+				variables: { account: '0xaccount' },
+				deployedContracts,
+				deployContract: async ({ name, args }) => {
+					deployed.push({ name, args });
+					if (!skip.includes(name)) {
+						deployedContracts[name] = contractAt({ address: `0x${name}` });
+					}
+				},
+				runStep: async step => steps.push(step),
+			});
+
+		beforeEach(() => {
+			deployed = [];
+			steps = [];
+			deployedContracts = {};
+		});
+
+		it('deploys in dependency order with the args resolved', async () => {
+			await run({
+				plan: {
+					contracts: [
+						{ name: 'B', args: ['@A', '$account'] },
+						{ name: 'A', source: 'Proxy', deps: [] },
+					],
+				},
+			});
+			assert.deepStrictEqual(deployed, [
+				{ name: 'A', args: [] },
+				{ name: 'B', args: ['0xA', '0xaccount'] },
+			]);
+		});
+
+		it('takes each step once the contracts it references are deployed', async () => {
+			await run({
+				plan: {
+					contracts: [
+						{
+							name: 'A',
+							steps: [
+								{ read: 'b', write: 'setB', writeArg: '@B' },
+								{ contract: 'C', read: 'a', write: 'setA', writeArg: '@A' },
+							],
+						},
+						{ name: 'B' },
+						{ name: 'C' },
+					],
+				},
+			});
+			assert.deepStrictEqual(
+				steps.map(({ contract, write, writeArg }) => `${contract}.${write}(${writeArg})`),
+				['A.setB(0xB)', 'C.setA(0xA)']
+			);
+			// complete when what is read is what would be written
+			assert.ok(steps[0].expected('0xB'));
+			assert.ok(!steps[0].expected('0xA'));
+		});
+
+		it('skips the steps of contracts not deployed, and those only for contracts not deploying', async () => {
+			await run({
+				plan: {
+					contracts: [
+						{ name: 'A', steps: [{ read: 'b', write: 'setB', writeArg: '@B' }] },
+						{
+							name: 'B',
+							steps: [
+								{ read: 'x', write: 'setX', writeArg: 1, expected: 2 },
+								{ read: 'y', write: 'setY', writeArg: 1, onlyIfDeploying: ['A'] },
+							],
+						},
+					],
+				},
+				config: { A: { deploy: false } },
+				skip: ['A'],
+			});
+			assert.deepStrictEqual(
+				steps.map(({ write }) => write),
+				['setX']
+			);
+			assert.ok(steps[0].expected(2));
+		});
+
+		it('imports each batch once its contracts are deployed, and sets the resolvers at the end', async () => {
+			const imported = [];
+			deployedContracts.AddressResolver = contractAt({ address: '0xresolver' });
+			await run({
+				plan: {
+					contracts: [{ name: 'A' }, { name: 'B' }],
+					imports: [{ B: '@B', External: '0xexternal', Missing: '@Missing' }],
+				},
+			});
+			steps
+				.filter(({ write }) => write === 'importAddresses')
+				.forEach(({ writeArg }) => imported.push(writeArg[1]));
+			assert.deepStrictEqual(imported, [['0xB', '0xexternal']]);
+		});
+	});
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const assert = require('assert');
+const Web3 = require('web3');
+const { ethers } = require('ethers');
+
+const {
+	CALL,
+	DELEGATE_CALL,
+	encodeMultiSend,
+	signSafeTransactionHash,
+	recoverSafeSigner,
+	joinSafeSignatures,
+} = require('../../../publish/src/safe-utils');
+
+describe('safe-utils', () => {
+	const web3 = new Web3();
+	const safeTxHash = web3.utils.keccak256('a safe transaction');
+	const privateKeys = [1, 2, 3].map(i => `0x${String(i).padStart(64, '0')}`);
+
+	describe('encodeMultiSend', () => {
+		it('packs each transaction as operation, to, value, data length and data', () => {
+			const to = '0x' + '11'.repeat(20);
+			const other = '0x' + '22'.repeat(20);
+			const encoded = encodeMultiSend({
+				web3,
+				transactions: [
+					{ to, data: '0xabcdef' },
+					{ to: other, value: 5, data: '0x12', operation: DELEGATE_CALL },
+				],
+			});
+
+			assert.strictEqual(
+				encoded.slice(0, 10),
+				web3.eth.abi.encodeFunctionSignature('multiSend(bytes)')
+			);
+			const transactions = web3.eth.abi.decodeParameter('bytes', '0x' + encoded.slice(10));
+			const word = n => n.toString(16).padStart(64, '0');
+			assert.strictEqual(
+				transactions,
+				'0x' +
+					[
+						`0${CALL}`,
+						to.slice(2),
+						word(0),
+						word(3),
+						'abcdef',
+						`0${DELEGATE_CALL}`,
+						other.slice(2),
+						word(5),
+						word(1),
+						'12',
+					].join('')
+			);
+		});
+	});
+
+	describe('signatures', () => {
+		it('recovers the owner who signed the hash directly', () => {
+			const { signer, signature } = signSafeTransactionHash({
+				safeTxHash,
+				privateKey: privateKeys[0],
+			});
+			assert.strictEqual(signer, new ethers.Wallet(privateKeys[0]).address);
+			assert.strictEqual(recoverSafeSigner({ safeTxHash, signature }), signer);
+		});
+
+		it('recovers the owner who signed the hash as an eth_sign message', async () => {
+			const wallet = new ethers.Wallet(privateKeys[1]);
+			const { r, s, v } = ethers.utils.splitSignature(
+				await wallet.signMessage(ethers.utils.arrayify(safeTxHash))
+			);
+			// the safe tells the two apart by v, which is 4 more for a message
+			const signature = ethers.utils.hexlify(
+				ethers.utils.concat([r, s, ethers.utils.hexlify(v + 4)])
+			);
+			assert.strictEqual(recoverSafeSigner({ safeTxHash, signature }), wallet.address);
+		});
+
+		it('joins the signatures in ascending order of their signer', () => {
+			const signatures = privateKeys
+				.map(privateKey => signSafeTransactionHash({ safeTxHash, privateKey }))
+				.reduce((memo, { signer, signature }) => Object.assign(memo, { [signer]: signature }), {});
+			// as numbers, which for addresses of the same length is as lowercase strings
+			const signers = Object.keys(signatures).sort((a, b) =>
+				a.toLowerCase() < b.toLowerCase() ? -1 : 1
+			);
+
+			const joined = joinSafeSignatures(signatures);
+			assert.strictEqual(joined.length, 2 + 130 * signers.length);
+			signers.forEach((signer, i) => {
+				assert.strictEqual(
+					recoverSafeSigner({
+						safeTxHash,
+						signature: '0x' + joined.slice(2 + 130 * i, 132 + 130 * i),
+					}),
+					signer
+				);
+			});
+		});
+	});
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const rimraf = require('rimraf');
+const { ethers } = require('ethers');
+
+const Fees = require('../../../publish/src/Fees');
+const NonceManager = require('../../../publish/src/NonceManager');
+const { loadSigner, signingProvider } = require('../../../publish/src/signer');
+
+const privateKey = `0x${'01'.padStart(64, '0')}`;
+const account = new ethers.Wallet(privateKey).address;
+
+// a node answering with the given results, keeping the requests it was sent
+const nodeAnswering = results => {
+	const requests = [];
+	return {
+		requests,
+		send: ({ id, method, params }, callback) => {
+			requests.push({ method, params });
+			const result =
+				typeof results[method] === 'function' ? results[method](params) : results[method];
+			setImmediate(() => callback(null, { jsonrpc: '2.0', id, result }));
+		},
+	};
+};
+
+// as assert.rejects, which the node versions supported don't all have
+const assertRejects = async (promise, pattern) => {
+	let error;
+	try {
+		await promise;
+	} catch (err) {
+		error = err;
+	}
+	assert.ok(error && pattern.test(error.message), `Expected a rejection matching ${pattern}`);
+};
+
+const request = (provider, method, params = []) =>
+	new Promise((resolve, reject) =>
+		provider.send({ jsonrpc: '2.0', id: 1, method, params }, (err, { result, error }) =>
+			err || error ? reject(err || Error(error.message)) : resolve(result)
+		)
+	);
+
+describe('signer', () => {
+	let folder;
+	let pendingFolder;
+
+	beforeEach(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'signer-'));
+		({ pendingFolder } = NonceManager.DEFAULTS);
+		NonceManager.DEFAULTS.pendingFolder = path.join(folder, 'pending');
+	});
+
+	afterEach(() => {
+		NonceManager.DEFAULTS.pendingFolder = pendingFolder;
+		rimraf.sync(folder);
+	});
+
+	describe('loadSigner', () => {
+		it('signs with the private key by default', async () => {
+			assert.deepStrictEqual(await loadSigner({ privateKey }), { privateKey });
+		});
+
+		it('sends from the unlocked account of a fork', async () => {
+			assert.deepStrictEqual(await loadSigner({ privateKey, fork: { account } }), { account });
+		});
+
+		it('writes the transactions of an unsigned signer to a file', async () => {
+			assert.deepStrictEqual(await loadSigner({ signer: `unsigned:${account}` }), {
+				account,
+				unsignedFile: 'unsigned-transactions.json',
+			});
+			assert.deepStrictEqual(await loadSigner({ signer: `unsigned:${account}:txs.json` }), {
+				account,
+				unsignedFile: 'txs.json',
+			});
+			await assertRejects(loadSigner({ signer: 'unsigned:0x1' }), /provide the address/);
+		});
+
+		it('derives the key of a mnemonic', async () => {
+			const { MNEMONIC } = process.env;
+			const mnemonic =
+				'myth like bonus scare over problem client lizard pioneer submit female collect';
+			process.env.MNEMONIC = mnemonic;
+			try {
+				const { privateKey: derived } = await loadSigner({ signer: "mnemonic:m/44'/60'/0'/0/1" });
+				assert.strictEqual(
+					derived,
+					ethers.Wallet.fromMnemonic(mnemonic, "m/44'/60'/0'/0/1").privateKey
+				);
+			} finally {
+				process.env.MNEMONIC = MNEMONIC;
+				if (MNEMONIC === undefined) {
+					delete process.env.MNEMONIC;
+				}
+			}
+		});
+
+		it('fails on a signer it does not know', async () => {
+			await assertRejects(loadSigner({ signer: 'ledger' }), /Unknown signer ledger/);
+		});
+	});
+
+	describe('signingProvider', () => {
+		const results = {
+			eth_chainId: '0x61',
+			eth_getTransactionCount: '0x5',
+			eth_estimateGas: '0x5208',
+			eth_blockNumber: '0x10',
+		};
+		const fees = () => new Fees({ gasPrice: '2' });
+
+		it('signs with the private key, pricing, estimating and numbering each transaction', async () => {
+			const node = nodeAnswering(
+				Object.assign({}, results, {
+					eth_sendRawTransaction: ([raw]) => ethers.utils.keccak256(raw),
+				})
+			);
+			const provider = signingProvider({ provider: node, account, privateKey, fees: fees() });
+			const to = `0x${'22'.repeat(20)}`;
+
+			for (const expectedNonce of [5, 6]) {
+				const hash = await request(provider, 'eth_sendTransaction', [
+					{ from: account, to, data: '0x12', gasPrice: '0x1' },
+				]);
+				const { params } = node.requests.find(
+					({ method, params }) =>
+						method === 'eth_sendRawTransaction' && ethers.utils.keccak256(params[0]) === hash
+				);
+				const tx = ethers.utils.parseTransaction(params[0]);
+				assert.strictEqual(tx.from, account);
+				assert.strictEqual(tx.to, ethers.utils.getAddress(to));
+				assert.strictEqual(tx.nonce, expectedNonce);
+				// the fee strategy over what web3 fills in, and the estimate with the margin
+				assert.strictEqual(tx.gasPrice.toString(), ethers.utils.parseUnits('2', 'gwei').toString());
+				assert.strictEqual(tx.gasLimit.toNumber(), Math.ceil(21000 * Fees.DEFAULTS.gasMargin));
+				assert.strictEqual(tx.chainId, 97);
+			}
+		});
+
+		it('writes the transactions of the unsigned signer to its file, as if mined', async () => {
+			const unsignedFile = path.join(folder, 'unsigned.json');
+			const provider = signingProvider({
+				provider: nodeAnswering(results),
+				account,
+				unsignedFile,
+				fees: fees(),
+			});
+
+			const hash = await request(provider, 'eth_sendTransaction', [
+				{ from: account, data: '0x6080', gas: '0x100000' },
+			]);
+			const [deployment] = JSON.parse(fs.readFileSync(unsignedFile));
+			const contractAddress = ethers.utils.getContractAddress({ from: account, nonce: 5 });
+			assert.strictEqual(deployment.nonce, 5);
+			assert.strictEqual(deployment.contractAddress, contractAddress);
+
+			const receipt = await request(provider, 'eth_getTransactionReceipt', [hash]);
+			assert.strictEqual(receipt.status, '0x1');
+			assert.strictEqual(receipt.contractAddress, contractAddress);
+			assert.strictEqual(await request(provider, 'eth_getCode', [contractAddress]), '0x00');
+
+			// the gas of a call to a contract yet to be deployed cannot be estimated
+			await assertRejects(
+				request(provider, 'eth_sendTransaction', [{ from: account, to: contractAddress }]),
+				/Please give its gas limit/
+			);
+		});
+
+		it('continues after the transactions already in the unsigned file', async () => {
+			const unsignedFile = path.join(folder, 'unsigned.json');
+			fs.writeFileSync(unsignedFile, JSON.stringify([{ from: account.toLowerCase(), nonce: 8 }]));
+			const provider = signingProvider({
+				provider: nodeAnswering(results),
+				account,
+				unsignedFile,
+				fees: fees(),
+			});
+			await request(provider, 'eth_sendTransaction', [
+				{ from: account, to: account, gas: '0x5208' },
+			]);
+			const transactions = JSON.parse(fs.readFileSync(unsignedFile));
+			assert.strictEqual(transactions[1].nonce, 9);
+		});
+	});
+});
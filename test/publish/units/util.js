@@ -0,0 +1,72 @@
+'use strict';
+
+const assert = require('assert');
+
+const { loadConnections, providerUrlsOption, runRounds } = require('../../../publish/src/util');
+
+describe('util', () => {
+	describe('loadConnections', () => {
+		it('connects to the RPCs given, otherwise to those of the network', () => {
+			const [, , parse] = providerUrlsOption;
+			const providerUrls = parse('https://one.example, https://two.example');
+			assert.deepStrictEqual(
+				loadConnections({ network: 'bsc', providerUrl: providerUrls }).providerUrls,
+				['https://one.example', 'https://two.example']
+			);
+			assert.deepStrictEqual(
+				loadConnections({ network: 'bsc', providerUrl: 'https://one.example' }).providerUrls,
+				['https://one.example']
+			);
+			assert.ok(loadConnections({ network: 'bsc' }).providerUrls.length > 0);
+		});
+	});
+
+	describe('runRounds', () => {
+		it('runs the round once, failing when it does', async () => {
+			assert.deepStrictEqual(await runRounds({ round: async () => 'done' }), ['done']);
+			let error;
+			try {
+				await runRounds({
+					round: async () => {
+						throw Error('reverted');
+					},
+				});
+			} catch (err) {
+				error = err;
+			}
+			assert.strictEqual(error.message, 'reverted');
+		});
+
+		it('keeps running rounds when watching, past those that fail', async () => {
+			let rounds = 0;
+			const results = await runRounds({
+				watch: true,
+				interval: 0,
+				round: async () => {
+					rounds++;
+					if (rounds === 2) {
+						throw Error('RPC down');
+					} else if (rounds === 4) {
+						process.emit('SIGINT');
+					}
+					return rounds;
+				},
+			});
+			assert.deepStrictEqual(results, [1, 3, 4]);
+		});
+
+		it('stops at once when stopped while waiting for the next round', async () => {
+			let rounds = 0;
+			const start = Date.now();
+			const results = runRounds({
+				watch: true,
+				interval: 3600,
+				round: async () => ++rounds,
+			});
+			setTimeout(() => process.emit('SIGINT'), 10);
+			assert.deepStrictEqual(await results, [1]);
+			assert.ok(Date.now() - start < 1000);
+			assert.strictEqual(process.listenerCount('SIGINT'), 0);
+		});
+	});
+});
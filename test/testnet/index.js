@@ -24,6 +24,7 @@ const commands = {
 const testUtils = require('../utils');
 
 const { loadConnections, confirmAction, ensureNetwork } = require('../../publish/src/util');
+const FailoverProvider = require('../../publish/src/FailoverProvider');
 
 const logExchangeRates = (
 	currencyKeys,
@@ -61,17 +62,24 @@ program
 		ensureNetwork(network);
 
 		let esLinkPrefix;
+		let rpc;
 		try {
 			console.log(`Running tests on ${network}`);
 
-			const { providerUrl, privateKey: envPrivateKey, etherscanLinkPrefix } = loadConnections({
+			const {
+				providerUrls,
+				requestsPerSecond,
+				privateKey: envPrivateKey,
+				etherscanLinkPrefix,
+			} = loadConnections({
 				network,
 			});
 			esLinkPrefix = etherscanLinkPrefix;
 
 			let privateKey = envPrivateKey;
 
-			const web3 = new Web3(new Web3.providers.HttpProvider(providerUrl));
+			rpc = new FailoverProvider({ providerUrls, requestsPerSecond });
+			const web3 = new Web3(rpc);
 
 			const { loadLocalUsers, isCompileRequired, fastForward, currentTime } = testUtils({ web3 });
 
@@ -558,6 +566,9 @@ program
 			}
 			process.exitCode = 1;
 		}
+		if (rpc) {
+			rpc.summary();
+		}
 	});
 
 // perform as CLI tool if not run as module